@@ -0,0 +1,233 @@
+// adminCommands.js
+
+const logger = require('./logger');
+const { findCropInText } = require('./cropTaxonomy');
+
+// Commands that authorized admins can send to the bot in a direct WhatsApp message.
+// Replies are plain text and go back to the same chat.
+const HELP_TEXT = [
+    '*Admin commands*',
+    '!status - Bot, queue and Gemini status',
+    '!automation on|off|review - Forward directly, stop, or hold messages for review in the web UI',
+    '!groups - Configured seller and buyer groups',
+    '!resend <offer id> - Send a stored offer to its buyer groups again',
+    '!last <crop> - Latest stored offer for a crop',
+    '!stats today - Offers processed today',
+    '!subscribers [crop or category] - Buyers subscribed to offers by direct message'
+].join('\n');
+
+// Keeps only the digits of a phone number or WhatsApp ID ("+91 98765-43210", "919876543210@c.us").
+function normalizePhoneNumber(value) {
+    return String(value || '').split('@')[0].replace(/\D/g, '');
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// "default ready (reader, sender)", "standby disconnected"
+function describeSession(session) {
+    return `${session.name} ${session.state}${session.roles.length > 0 ? ` (${session.roles.join(', ')})` : ''}`;
+}
+
+/**
+ * Creates the admin command handler. Everything that touches WhatsApp or the bot's state is
+ * passed in, so this module only parses commands and formats the replies.
+ *
+ * @param {Object} options
+ * @param {string[]} options.adminNumbers Phone numbers allowed to send commands (any format; only digits are compared).
+ * @param {Object} options.marketStore The market price history (see marketStore.js).
+ * @param {function(): Promise<Object>} options.getStatus Resolves to `{ automationMode, whatsappReady, whatsapp, queue, circuitBreaker, cache, digest }`
+ *   (`whatsapp` is `{ reader, sender, sessions }` with the state and roles of every WhatsApp session; `digest` is
+ *   `{ offers, nextRunAt }` in digest mode, otherwise null).
+ * @param {function(string, string): void} options.setAutomationMode Sets the mode ('off', 'on' or 'review'); the second argument names who changed it.
+ * @param {function(): Promise<Object[]>} options.listGroups Resolves to `[{ role, id, name }]` for every configured group.
+ * @param {function(Object): Promise<string[]>} options.resendOffer Sends a stored offer row to its buyer groups; resolves to the targets it was sent to.
+ * @param {Object} options.subscriptions The buyers' private offer subscriptions (see subscriptionStore.js).
+ * @returns {{isAdmin: function(...string): boolean, isCommand: function(string): boolean, handleCommand: function(string, string): Promise<string>}}
+ */
+function createAdminCommands({ adminNumbers = [], marketStore, getStatus, setAutomationMode, listGroups, resendOffer, subscriptions }) {
+    const admins = new Set(adminNumbers.map(normalizePhoneNumber).filter(Boolean));
+    if (admins.size === 0) {
+        logger.warn('No admin phone numbers configured (ADMIN_PHONE_NUMBERS). WhatsApp admin commands are disabled.');
+    }
+
+    // Returns true if any of the given IDs/numbers (e.g. msg.from and the contact's number) belongs to an admin.
+    function isAdmin(...senderIds) {
+        return senderIds.some(id => admins.has(normalizePhoneNumber(id)));
+    }
+
+    function isCommand(text) {
+        return typeof text === 'string' && text.trim().startsWith('!');
+    }
+
+    // --- Commands ---
+    async function statusCommand() {
+        const status = await getStatus();
+        const queue = status.queue;
+        const breaker = status.circuitBreaker;
+        const offersToday = marketStore.queryOffers({ since: startOfToday() }).length;
+        return [
+            '*Bot status*',
+            `WhatsApp: ${status.whatsappReady ? 'connected' : 'not ready'}`,
+            status.whatsapp ? `Sessions: ${status.whatsapp.sessions.map(describeSession).join(', ')}` : null,
+            `Automation: ${status.automationMode.toUpperCase()}`,
+            `Queue: ${queue.pending} waiting, ${queue.processing} processing, ${queue.retrying} retrying, ${queue.failed} failed`,
+            `Gemini: ${breaker.open ? `paused until ${formatTime(breaker.openUntil)} (offline extractor in use)` : 'available'}`,
+            `Gemini cache: ${status.cache.hits} hit(s), ${status.cache.misses} miss(es), ${status.cache.entries} entries`,
+            `Offers today: ${offersToday}`,
+            status.digest ? `Digest: ${status.digest.offers} offer(s) waiting${status.digest.nextRunAt ? `, next at ${formatTime(status.digest.nextRunAt)}` : ''}` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    function automationCommand(args, sender) {
+        const value = (args[0] || '').toLowerCase();
+        if (!['on', 'off', 'review'].includes(value)) {
+            return 'Usage: !automation on|off|review';
+        }
+        setAutomationMode(value, `admin ${sender}`);
+        return `Automation turned ${value.toUpperCase()}.`;
+    }
+
+    async function groupsCommand() {
+        const groups = await listGroups();
+        if (groups.length === 0) {
+            return 'No groups are configured.';
+        }
+        return ['*Configured groups*', ...groups.map(group => `${group.role}: ${group.name || 'unknown group'} (${group.id})`)].join('\n');
+    }
+
+    async function resendCommand(args) {
+        const id = args[0];
+        if (!id) {
+            return 'Usage: !resend <offer id>';
+        }
+        const offer = marketStore.getOfferById(id);
+        if (!offer) {
+            return `No stored offer with ID "${id}".`;
+        }
+        const targets = await resendOffer(offer);
+        if (targets.length === 0) {
+            return `Offer ${id} (${offer.extractedName}) has no buyer groups configured for category ${offer.category || 'UNKNOWN'}.`;
+        }
+        return `Resent offer ${id} (${offer.extractedName}) to:\n${targets.join('\n')}`;
+    }
+
+    function lastCommand(args) {
+        const query = args.join(' ').trim();
+        if (!query) {
+            return 'Usage: !last <crop>';
+        }
+        const crop = findCropInText(query);
+        const standardizedName = crop ? crop.standardizedName : query.toUpperCase();
+        const [offer] = marketStore.queryOffers({ standardizedName, limit: 1 });
+        if (!offer) {
+            return `No stored offers for ${standardizedName}.`;
+        }
+        return [
+            `*Latest ${standardizedName}* (${formatTime(offer.timestamp)}, from "${offer.sellerGroupName}")`,
+            offer.translations.en || offer.extractedName,
+            offer.flagged ? `⚠️ Flagged: ${offer.validationErrors.join('; ')}` : null,
+            `ID: ${offer.id}`
+        ].filter(Boolean).join('\n');
+    }
+
+    function statsCommand(args) {
+        if ((args[0] || '').toLowerCase() !== 'today') {
+            return 'Usage: !stats today';
+        }
+        const offers = marketStore.queryOffers({ since: startOfToday() });
+        if (offers.length === 0) {
+            return 'No offers processed today.';
+        }
+        const byCategory = {};
+        const sellerGroups = new Set();
+        for (const offer of offers) {
+            const category = offer.category || 'UNKNOWN';
+            byCategory[category] = (byCategory[category] || 0) + 1;
+            sellerGroups.add(offer.sellerGroupId);
+        }
+        const flagged = offers.filter(offer => offer.flagged).length;
+        return [
+            '*Today*',
+            `Offers: ${offers.length} from ${sellerGroups.size} seller group(s)`,
+            `Flagged: ${flagged}`,
+            ...Object.keys(byCategory).sort().map(category => `${category}: ${byCategory[category]}`)
+        ].join('\n');
+    }
+
+    // Subscribers grouped by crop or category, optionally only those of one crop or category.
+    function subscribersCommand(args) {
+        const filter = args.join(' ').trim().toUpperCase();
+        const crop = filter ? findCropInText(filter) : null;
+        const all = subscriptions.listAll()
+            .filter(s => !filter || s.name === filter || (crop && s.name === crop.standardizedName));
+        if (all.length === 0) {
+            return filter ? `No subscribers for ${filter}.` : 'No buyers have subscribed yet.';
+        }
+        const byName = {};
+        for (const subscription of all) {
+            const heading = `${subscription.name}${subscription.type === 'category' ? ' (category)' : ''}`;
+            if (!byName[heading]) {
+                byName[heading] = [];
+            }
+            byName[heading].push(`${normalizePhoneNumber(subscription.chatId)} (${subscription.language})`);
+        }
+        const chats = new Set(all.map(s => s.chatId));
+        return [
+            `*Subscribers*: ${chats.size} buyer(s), ${all.length} subscription(s)`,
+            ...Object.keys(byName).sort().map(heading => `${heading}: ${byName[heading].join(', ')}`)
+        ].join('\n');
+    }
+
+    function startOfToday() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+
+    /**
+     * Runs one admin command and returns the reply text. The caller must check isAdmin first.
+     *
+     * @param {string} text The message body, e.g. "!last toor dal".
+     * @param {string} sender Who sent it, for logging.
+     * @returns {Promise<string>} The reply to send back.
+     */
+    async function handleCommand(text, sender) {
+        const [name, ...args] = text.trim().split(/\s+/);
+        logger.info(`Admin command from ${sender}: ${text.trim()}`);
+        try {
+            switch (name.toLowerCase()) {
+                case '!status':
+                    return await statusCommand();
+                case '!automation':
+                    return automationCommand(args, sender);
+                case '!groups':
+                    return await groupsCommand();
+                case '!resend':
+                    return await resendCommand(args);
+                case '!last':
+                    return lastCommand(args);
+                case '!stats':
+                    return statsCommand(args);
+                case '!subscribers':
+                    return subscribersCommand(args);
+                default:
+                    return HELP_TEXT;
+            }
+        } catch (error) {
+            logger.error(`Error running admin command "${text.trim()}": ${error.message}`);
+            return `❌ Error: ${error.message}`;
+        }
+    }
+
+    return {
+        isAdmin,
+        isCommand,
+        handleCommand
+    };
+}
+
+module.exports = {
+    createAdminCommands
+};
@@ -0,0 +1,129 @@
+// analyticsRoutes.js
+
+const express = require('express');
+const { getPrice } = require('./marketStore');
+
+// "2026-10-19" -> start of that day in local time, or null if the text isn't a date.
+function parseDay(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '')) {
+        return null;
+    }
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// The `from`/`to` query parameters as queryOffers' `since`/`until`; `to` includes the whole day.
+function getDateRange(query) {
+    const since = parseDay(query.from);
+    const until = parseDay(query.to);
+    if (until) {
+        until.setDate(until.getDate() + 1);
+    }
+    return { since, until };
+}
+
+/**
+ * Creates the Express router behind the analytics page (public/analytics.html). All endpoints read
+ * the market price history and skip flagged offers, whose numbers failed validation.
+ *
+ *   GET /analytics/filters                               Crops and markets with stored offers, and the date span.
+ *   GET /analytics/history?crop=&market=&from=&to=       Offers of one crop over time, oldest first.
+ *   GET /analytics/markets?crop=&from=&to=               Per-market comparison for one crop.
+ *
+ * Dates are "YYYY-MM-DD" in local time; `market`, `from` and `to` are optional.
+ *
+ * @param {Object} options
+ * @param {Object} options.marketStore The market price history (see marketStore.js).
+ * @returns {express.Router}
+ */
+function createAnalyticsRouter({ marketStore }) {
+    const router = express.Router();
+
+    function queryValidOffers(filters) {
+        return marketStore.queryOffers({ ...filters, includeFlagged: false }).filter(row => getPrice(row) !== null);
+    }
+
+    router.get('/analytics/filters', (req, res) => {
+        const rows = queryValidOffers({});
+        const crops = {};
+        const markets = new Set();
+        for (const row of rows) {
+            if (row.standardizedName) {
+                crops[row.standardizedName] = row.category || null;
+            }
+            if (row.market) {
+                markets.add(row.market.toUpperCase());
+            }
+        }
+        res.json({
+            crops: Object.keys(crops).sort().map(standardizedName => ({ standardizedName, category: crops[standardizedName] })),
+            markets: Array.from(markets).sort(),
+            // Rows are newest first
+            firstTimestamp: rows.length > 0 ? rows[rows.length - 1].timestamp : null,
+            lastTimestamp: rows.length > 0 ? rows[0].timestamp : null
+        });
+    });
+
+    router.get('/analytics/history', (req, res) => {
+        const crop = String(req.query.crop || '').toUpperCase();
+        if (!crop) {
+            res.status(400).json({ error: 'The crop parameter is required.' });
+            return;
+        }
+        const market = req.query.market ? String(req.query.market).toUpperCase() : null;
+        const offers = queryValidOffers({ standardizedName: crop, market, ...getDateRange(req.query) })
+            .reverse()
+            .map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                market: (row.market || 'UNKNOWN').toUpperCase(),
+                priceMin: row.priceMin,
+                priceMax: row.priceMax,
+                unit: row.unit,
+                arrivalMin: row.arrivalMin,
+                arrivalMax: row.arrivalMax,
+                arrivalUnit: row.arrivalUnit
+            }));
+        res.json({ crop, market, offers });
+    });
+
+    router.get('/analytics/markets', (req, res) => {
+        const crop = String(req.query.crop || '').toUpperCase();
+        if (!crop) {
+            res.status(400).json({ error: 'The crop parameter is required.' });
+            return;
+        }
+        const byMarket = {};
+        // Newest first, so the first row seen per market is its latest price
+        for (const row of queryValidOffers({ standardizedName: crop, ...getDateRange(req.query) })) {
+            const market = (row.market || 'UNKNOWN').toUpperCase();
+            const price = getPrice(row);
+            if (!byMarket[market]) {
+                byMarket[market] = {
+                    market,
+                    offers: 0,
+                    latest: { timestamp: row.timestamp, priceMin: row.priceMin, priceMax: row.priceMax, unit: row.unit },
+                    lowest: price,
+                    highest: price,
+                    priceTotal: 0
+                };
+            }
+            const entry = byMarket[market];
+            entry.offers++;
+            entry.lowest = Math.min(entry.lowest, typeof row.priceMin === 'number' ? row.priceMin : price);
+            entry.highest = Math.max(entry.highest, price);
+            entry.priceTotal += price;
+        }
+        const markets = Object.values(byMarket).map(({ priceTotal, ...entry }) => ({
+            ...entry,
+            average: Math.round(priceTotal / entry.offers)
+        })).sort((a, b) => a.market.localeCompare(b.market));
+        res.json({ crop, markets });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAnalyticsRouter
+};
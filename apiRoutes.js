@@ -0,0 +1,182 @@
+// apiRoutes.js
+
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./logger');
+const { findCropInText } = require('./cropTaxonomy');
+
+const DEFAULT_OFFER_LIMIT = 100;
+const MAX_OFFER_LIMIT = 1000;
+const MAX_PROCESS_TEXT_LENGTH = 10000; // Longer texts are rejected instead of being sent to the LLM
+
+// Compares two strings in constant time, so the token can't be guessed from response times.
+function tokensMatch(given, expected) {
+    const givenHash = crypto.createHash('sha256').update(String(given)).digest();
+    const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(givenHash, expectedHash);
+}
+
+// "Authorization: Bearer <token>" or "X-API-Token: <token>".
+function getRequestToken(req) {
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : (req.get('x-api-token') || '');
+}
+
+// Parses an ISO timestamp or "YYYY-MM-DD" (local midnight); returns null if the value is missing, undefined if invalid.
+function parseTime(value) {
+    if (!value) {
+        return null;
+    }
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Creates the Express router for the JSON REST API under /api. Every request needs the API token,
+ * sent as "Authorization: Bearer <token>" or "X-API-Token: <token>". Without a configured token the
+ * API answers 503, so it is never open by accident. Errors are returned as `{ "error": "..." }`.
+ *
+ *   GET  /api/health           Bot, WhatsApp, queue and LLM status.
+ *   GET  /api/offers           Stored offers, newest first. Filters: crop, market, category, from, to, flagged, limit.
+ *   GET  /api/offers/:id       One stored offer.
+ *   POST /api/process          { text, languages? } Runs the extraction on any text and returns the offers, without sending or storing them.
+ *   POST /api/automation       { mode } Sets the automation mode ('off', 'on' or 'review').
+ *
+ * @param {Object} options
+ * @param {string} options.apiToken The token clients must send; the API is disabled if empty.
+ * @param {Object} options.marketStore The market price history (see marketStore.js).
+ * @param {function(string, string[]=): Promise<Object>} options.processText Runs the extraction pipeline; resolves to `{ offers, diagnostics }`.
+ * @param {function(): Promise<Object>} options.getStatus Resolves to `{ automationMode, whatsappReady, whatsapp, queue, circuitBreaker, cache, digest }`.
+ * @param {function(string, string): boolean} options.setAutomationMode Sets the mode; returns false for an unknown mode.
+ * @returns {express.Router}
+ */
+function createApiRouter({ apiToken, marketStore, processText, getStatus, setAutomationMode }) {
+    const router = express.Router();
+    if (!apiToken) {
+        logger.warn('No API_TOKEN configured. The REST API under /api is disabled.');
+    }
+
+    router.use('/api', (req, res, next) => {
+        if (!apiToken) {
+            res.status(503).json({ error: 'The API is disabled. Set API_TOKEN in .env to enable it.' });
+            return;
+        }
+        if (!tokensMatch(getRequestToken(req), apiToken)) {
+            logger.warn(`Rejected API request ${req.method} ${req.originalUrl} from ${req.ip}: missing or wrong token.`);
+            res.status(401).json({ error: 'Missing or invalid API token.' });
+            return;
+        }
+        next();
+    });
+
+    router.use('/api', express.json({ limit: '100kb' }));
+
+    // --- Endpoints ---
+    // `whatsappReady` is true when sessions hold both the reader and the sender role
+    router.get('/api/health', async (req, res) => {
+        const status = await getStatus();
+        res.json({
+            status: status.whatsappReady && !status.circuitBreaker.open ? 'ok' : 'degraded',
+            ...status,
+            uptimeSeconds: Math.round(process.uptime())
+        });
+    });
+
+    router.get('/api/offers', (req, res) => {
+        const since = parseTime(req.query.from);
+        const until = parseTime(req.query.to);
+        if (since === undefined || until === undefined) {
+            res.status(400).json({ error: 'from and to must be ISO timestamps or YYYY-MM-DD dates.' });
+            return;
+        }
+        const limit = req.query.limit === undefined ? DEFAULT_OFFER_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_OFFER_LIMIT) {
+            res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_OFFER_LIMIT}.` });
+            return;
+        }
+        // Any alias works, e.g. crop=kandulu
+        let standardizedName;
+        if (req.query.crop) {
+            const crop = findCropInText(req.query.crop);
+            standardizedName = crop ? crop.standardizedName : String(req.query.crop).toUpperCase();
+        }
+
+        let offers = marketStore.queryOffers({
+            standardizedName,
+            market: req.query.market ? String(req.query.market) : undefined,
+            category: req.query.category ? String(req.query.category) : undefined,
+            since,
+            until
+        });
+        if (req.query.flagged === 'true' || req.query.flagged === 'false') {
+            offers = offers.filter(offer => offer.flagged === (req.query.flagged === 'true'));
+        }
+        res.json({ count: Math.min(offers.length, limit), total: offers.length, offers: offers.slice(0, limit) });
+    });
+
+    router.get('/api/offers/:id', (req, res) => {
+        const offer = marketStore.getOfferById(req.params.id);
+        if (!offer) {
+            res.status(404).json({ error: `No stored offer with ID "${req.params.id}".` });
+            return;
+        }
+        res.json(offer);
+    });
+
+    router.post('/api/process', async (req, res) => {
+        const { text, languages } = req.body || {};
+        if (typeof text !== 'string' || text.trim().length === 0) {
+            res.status(400).json({ error: 'text is required.' });
+            return;
+        }
+        if (text.length > MAX_PROCESS_TEXT_LENGTH) {
+            res.status(400).json({ error: `text is longer than ${MAX_PROCESS_TEXT_LENGTH} characters.` });
+            return;
+        }
+        if (languages !== undefined && (!Array.isArray(languages) || !languages.every(language => typeof language === 'string'))) {
+            res.status(400).json({ error: 'languages must be an array of language codes, e.g. ["en", "te"].' });
+            return;
+        }
+        try {
+            const { offers, diagnostics } = await processText(text, languages);
+            res.json({
+                offers: Object.values(offers || {}),
+                cacheHit: Boolean(diagnostics.cacheHit),
+                usedOfflineFallback: Boolean(diagnostics.usedOfflineFallback),
+                error: diagnostics.error || null
+            });
+        } catch (error) {
+            logger.error(`Error processing text from the API: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.post('/api/automation', (req, res) => {
+        const mode = String((req.body || {}).mode || '').toLowerCase();
+        if (!setAutomationMode(mode, 'REST API')) {
+            res.status(400).json({ error: 'mode must be "off", "on" or "review".' });
+            return;
+        }
+        res.json({ automationMode: mode });
+    });
+
+    router.use('/api', (req, res) => {
+        res.status(404).json({ error: `Unknown endpoint ${req.method} ${req.originalUrl}.` });
+    });
+
+    // Malformed or oversized JSON bodies, and anything else thrown above (Express needs all four arguments here)
+    router.use('/api', (error, req, res, next) => {
+        const status = error.status || error.statusCode || 500;
+        if (status >= 500) {
+            logger.error(`API error for ${req.method} ${req.originalUrl}: ${error.message}`);
+        }
+        res.status(status).json({ error: status >= 500 ? 'Internal error.' : `Invalid request body: ${error.message}` });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiRouter
+};
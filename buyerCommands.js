@@ -0,0 +1,208 @@
+// buyerCommands.js
+
+const logger = require('./logger');
+const { CROP_CATEGORIES_AND_STANDARDIZATION, findCropInText } = require('./cropTaxonomy');
+
+// Commands that anyone can send to the bot in a direct WhatsApp message. Unlike admin commands
+// they have no "!" prefix, so buyers can type them naturally ("WATCH TOOR DAL KEKRI 2%").
+const HELP_TEXT = [
+    '*Prices*',
+    'RATE <crop> [market] - Latest prices, e.g. RATE KANDULU or RATE MIRCHI GUNTUR (also works in groups)',
+    '',
+    '*Offers in private*',
+    'SUBSCRIBE <crop or category> [language] - Receive matching offers here, e.g. SUBSCRIBE TOOR DAL te or SUBSCRIBE SPICES en',
+    'UNSUBSCRIBE [crop or category] - Stop one subscription, or all of them',
+    'MY SUBSCRIPTIONS - List your subscriptions',
+    '',
+    '*Price alerts*',
+    'WATCH <crop> [market] <amount> - Alert when the price moves by ₹<amount> or more',
+    'WATCH <crop> [market] <percent>% - Alert when the price moves by that percent or more',
+    'WATCH <crop> [market] ABOVE|BELOW <price> - Alert when the price crosses <price>',
+    'UNWATCH <number> - Remove a watch (numbers are shown by MY WATCHES)',
+    'MY WATCHES - List your watches',
+    '',
+    'Example: WATCH TOOR DAL KEKRI 100'
+].join('\n');
+
+const COMMAND_PATTERN = /^(WATCH|UNWATCH|MY\s+WATCHES|SUBSCRIBE|UNSUBSCRIBE|MY\s+SUBSCRIPTIONS)\b/i;
+
+// "TOOR DAL KEKRI ABOVE 7,500" -> { cropAndMarket: "TOOR DAL KEKRI", type: "above", value: 7500 }
+const WATCH_PATTERN = /^(.+?)\s+(?:(ABOVE|BELOW)\s+)?₹?(\d[\d,]*(?:\.\d+)?)\s*(%?)$/i;
+
+/**
+ * Parses the arguments of a WATCH command.
+ *
+ * @param {string} text Everything after "WATCH".
+ * @returns {{standardizedName: string, market: string|null, type: string, value: number}|{error: string}}
+ */
+function parseWatchArguments(text) {
+    const match = WATCH_PATTERN.exec(text.trim());
+    if (!match) {
+        return { error: 'Please give a crop and an amount, e.g. WATCH TOOR DAL KEKRI 100' };
+    }
+    const [, cropAndMarket, direction, amount, percent] = match;
+    const value = Number(amount.replace(/,/g, ''));
+    if (!(value > 0)) {
+        return { error: 'The amount must be greater than zero.' };
+    }
+    if (direction && percent) {
+        return { error: 'ABOVE and BELOW take a price, not a percentage.' };
+    }
+
+    const crop = findCropInText(cropAndMarket);
+    if (!crop) {
+        return { error: `Unknown crop in "${cropAndMarket}". Use a crop name as it appears in the offers, e.g. TOOR DAL or JEERA.` };
+    }
+    // Whatever is left after removing the crop name is the market
+    const upperText = ` ${cropAndMarket.toUpperCase().replace(/[^A-Z0-9]+/g, ' ')} `;
+    const market = upperText.replace(` ${crop.alias} `, ' ').trim();
+
+    return {
+        standardizedName: crop.standardizedName,
+        market: market || null,
+        type: direction ? direction.toLowerCase() : (percent ? 'percent' : 'change'),
+        value
+    };
+}
+
+// "SPICES" -> { type: 'category', name: 'SPICES' }, "kandulu" -> { type: 'crop', name: 'TOOR DAL' }
+function resolveSubscriptionTarget(text) {
+    const upperText = text.trim().toUpperCase().replace(/\s+/g, ' ');
+    if (CROP_CATEGORIES_AND_STANDARDIZATION[upperText]) {
+        return { type: 'category', name: upperText };
+    }
+    const crop = findCropInText(upperText);
+    return crop ? { type: 'crop', name: crop.standardizedName } : null;
+}
+
+/**
+ * Creates the buyer command handler.
+ *
+ * @param {Object} options
+ * @param {Object} options.watchlist The price alert rules (see watchlist.js).
+ * @param {Object} options.subscriptions The private offer subscriptions (see subscriptionStore.js).
+ * @param {function(): string[]} options.getTargetLanguages The languages offers are translated into.
+ * @returns {{isCommand: function(string): boolean, handleCommand: function(string, string): Promise<string>}}
+ */
+function createBuyerCommands({ watchlist, subscriptions, getTargetLanguages }) {
+    function isCommand(text) {
+        return typeof text === 'string' && COMMAND_PATTERN.test(text.trim());
+    }
+
+    // --- Commands ---
+    function watchCommand(argsText, chatId) {
+        const parsed = parseWatchArguments(argsText);
+        if (parsed.error) {
+            return `${parsed.error}\n\n${HELP_TEXT}`;
+        }
+        const rule = watchlist.addRule({ chatId, ...parsed });
+        return `✅ Watching: ${watchlist.describeRule(rule)}.\nSend MY WATCHES to see all your watches.`;
+    }
+
+    function unwatchCommand(argsText, chatId) {
+        const number = Number(argsText.trim());
+        if (!Number.isInteger(number) || number < 1) {
+            return 'Usage: UNWATCH <number>. Send MY WATCHES to see the numbers.';
+        }
+        const rule = watchlist.removeRule(chatId, number);
+        if (!rule) {
+            return `You have no watch number ${number}. Send MY WATCHES to see the numbers.`;
+        }
+        return `Removed: ${watchlist.describeRule(rule)}.`;
+    }
+
+    function myWatchesCommand(chatId) {
+        const rules = watchlist.listRules(chatId);
+        if (rules.length === 0) {
+            return `You have no watches.\n\n${HELP_TEXT}`;
+        }
+        return ['*Your watches*', ...rules.map((rule, index) => `${index + 1}. ${watchlist.describeRule(rule)}`)].join('\n');
+    }
+
+    function subscribeCommand(argsText, chatId) {
+        const words = argsText.trim().split(/\s+/).filter(Boolean);
+        const languages = getTargetLanguages();
+        // The last word is the language if it is one of ours ("te"); English otherwise
+        const lastWord = (words[words.length - 1] || '').toLowerCase();
+        const language = languages.includes(lastWord) ? words.pop().toLowerCase() : 'en';
+        if (words.length === 0) {
+            return `Usage: SUBSCRIBE <crop or category> [language], e.g. SUBSCRIBE TOOR DAL te. Languages: ${languages.join(', ')}`;
+        }
+        const target = resolveSubscriptionTarget(words.join(' '));
+        if (!target) {
+            return `Unknown crop or category "${words.join(' ')}". Categories: ${Object.keys(CROP_CATEGORIES_AND_STANDARDIZATION).join(', ')}`;
+        }
+        const subscription = subscriptions.subscribe({ chatId, ...target, language });
+        return `✅ Subscribed: ${subscriptions.describeSubscription(subscription)}. Matching offers will be sent to you here.\nSend UNSUBSCRIBE to stop.`;
+    }
+
+    function unsubscribeCommand(argsText, chatId) {
+        const text = argsText.trim();
+        let name;
+        if (text) {
+            const target = resolveSubscriptionTarget(text);
+            if (!target) {
+                return `Unknown crop or category "${text}". Send MY SUBSCRIPTIONS to see yours.`;
+            }
+            name = target.name;
+        }
+        const removed = subscriptions.unsubscribe(chatId, name);
+        if (removed.length === 0) {
+            return name ? `You are not subscribed to ${name}.` : 'You have no subscriptions.';
+        }
+        return `Unsubscribed from: ${removed.map(subscriptions.describeSubscription).join(', ')}.`;
+    }
+
+    function mySubscriptionsCommand(chatId) {
+        const list = subscriptions.listSubscriptions(chatId);
+        if (list.length === 0) {
+            return `You have no subscriptions.\n\n${HELP_TEXT}`;
+        }
+        return ['*Your subscriptions*', ...list.map(subscription => `- ${subscriptions.describeSubscription(subscription)}`)].join('\n');
+    }
+
+    /**
+     * Runs one buyer command and returns the reply text.
+     *
+     * @param {string} text The message body, e.g. "WATCH JEERA BELOW 24000".
+     * @param {string} chatId The chat that sent it; alerts and subscribed offers go back to this chat.
+     * @returns {Promise<string>} The reply to send back.
+     */
+    async function handleCommand(text, chatId) {
+        const trimmed = text.trim();
+        const [, name] = COMMAND_PATTERN.exec(trimmed) || [];
+        const argsText = trimmed.substring(name ? name.length : 0);
+        logger.info(`Buyer command from ${chatId}: ${trimmed}`);
+        try {
+            switch ((name || '').toUpperCase().replace(/\s+/g, ' ')) {
+                case 'WATCH':
+                    return watchCommand(argsText, chatId);
+                case 'UNWATCH':
+                    return unwatchCommand(argsText, chatId);
+                case 'MY WATCHES':
+                    return myWatchesCommand(chatId);
+                case 'SUBSCRIBE':
+                    return subscribeCommand(argsText, chatId);
+                case 'UNSUBSCRIBE':
+                    return unsubscribeCommand(argsText, chatId);
+                case 'MY SUBSCRIPTIONS':
+                    return mySubscriptionsCommand(chatId);
+                default:
+                    return HELP_TEXT;
+            }
+        } catch (error) {
+            logger.error(`Error running buyer command "${trimmed}": ${error.message}`);
+            return `❌ ${error.message}`;
+        }
+    }
+
+    return {
+        isCommand,
+        handleCommand
+    };
+}
+
+module.exports = {
+    createBuyerCommands,
+    parseWatchArguments
+};
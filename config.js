@@ -1,58 +1,320 @@
 // config.js
 
-// --- IMPORTANT: REPLACE THESE WITH YOUR ACTUAL WHATSAPP GROUP IDs ---
-// You obtained these IDs from the bot's startup logs (e.g., "123456789012345678@g.us").
-
-const SELLER_GROUP_IDS = [
-    '000000000000000000@g.us' // Seller Group 1:Replace with actual ID
-    //'120363403964644334@g.us', // Seller Group 2
-    //'120363401097138757@g.us'  // Seller Group 3
-    // Add more seller group IDs as needed
-];
-
-// This maps top-level CATEGORIES of crops (e.g., "PULSES", "SPICES")
-// to their respective buyer group IDs for each supported language.
-// The language keys ('en', 'te') are standard ISO codes and will be used
-// consistently across geminiProcessor and index.js.
-const BUYER_GROUP_MAPPING = {
-    "PULSES": {
-        "en": '000000000000000000@g.us', // <<< IMPORTANT: Replace with actual ID
-        "te": '000000000000000000@g.us'  // <<< IMPORTANT: Replace with actual ID
+require('dotenv').config(); // Some settings below can be overridden from .env
+
+// --- Group Routing ---
+// Seller groups, buyer groups per category and language, the "All Updates" group and the target
+// languages live in a JSON file (see routing.example.json) instead of this module. The file is
+// created from the example on first start and reloaded automatically when it changes, so groups
+// can be added or changed without restarting the bot.
+const ROUTING_SETTINGS = {
+    filePath: process.env.ROUTING_FILE || './routing.json',
+    examplePath: './routing.example.json',
+    reloadCheckIntervalMs: 2000 // How often the file is checked for changes
+};
+
+// --- Crop Taxonomy ---
+// Categories, standardized crop names and the aliases sellers use for them live in a JSON file
+// (see taxonomy.example.json), created from the example on first start. It can be edited in the web
+// UI or by hand; changes apply to the next message without a restart.
+const TAXONOMY_SETTINGS = {
+    filePath: process.env.TAXONOMY_FILE || './taxonomy.json',
+    examplePath: './taxonomy.example.json',
+    reloadCheckIntervalMs: 2000 // How often the file is checked for changes
+};
+
+// --- WhatsApp Sessions ---
+// Each session is a WhatsApp number the bot is logged in with, with its own login under .wwebjs_auth
+// and its own QR code in the web UI. `reader` lists the sessions that may read the seller groups and
+// `sender` the ones that may send to buyer groups and buyers, in order of preference. If the session
+// holding a role disconnects or its login fails, the next ready session in the list takes over.
+// The session named "default" keeps the login of the single-number setup. Example with a standby number:
+//   sessions: ['default', 'standby'], reader: ['default', 'standby'], sender: ['default', 'standby']
+const SESSION_SETTINGS = {
+    sessions: ['default'],
+    reader: ['default'],
+    sender: ['default'],
+    reconnectDelayMs: 60 * 1000 // Wait before restarting a disconnected session
+};
+
+// Settings for the message queue that sits between the seller groups and Gemini.
+// Seller messages are stored on disk and processed in order, so bursts of bulletins
+// (e.g. every group posting at 9:00) don't hit Gemini's rate limits.
+const QUEUE_SETTINGS = {
+    concurrency: 1,               // How many messages are sent to Gemini at the same time
+    requestsPerMinute: 10,        // Maximum Gemini calls started per minute (0 = no limit)
+    maxAttempts: 5,               // Attempts per message before it is marked as failed
+    retryBaseDelayMs: 5000,       // Wait before the first retry; doubles with every further attempt
+    retryMaxDelayMs: 5 * 60 * 1000 // Never wait longer than this between retries
+};
+
+// Settings for the email alerts sent to ERROR_RECIPIENT_EMAIL (see .env).
+// Alerts of the same kind (e.g. several failed sends) are collected and sent as one email.
+const EMAIL_ALERT_SETTINGS = {
+    batchWindowMs: 5 * 60 * 1000, // Collect similar alerts for this long before emailing them
+    maxAlertsPerEmail: 20         // Further alerts in the same batch are only counted, not listed
+};
+
+// Which LLM backend extracts and translates the offers.
+// 'gemini' calls Google Gemini (needs GEMINI_API_KEY in .env); 'mock' answers from a local fixtures
+// file so the whole pipeline can run offline (tests, laptops without keys).
+// Both can be overridden from .env with LLM_PROVIDER, LLM_MODEL and LLM_MOCK_FIXTURES.
+const LLM_SETTINGS = {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    model: process.env.LLM_MODEL || 'gemini-1.5-flash',
+    mockFixturesPath: process.env.LLM_MOCK_FIXTURES || './fixtures/mock_llm_responses.json',
+    // After this many failed LLM calls in a row, stop calling it for the cooldown period and use the
+    // offline rule-based extractor instead (its offers are marked as low confidence).
+    circuitBreakerThreshold: 3,
+    circuitBreakerCooldownMs: 5 * 60 * 1000
+};
+
+// Per-language texts for the bulletins the bot builds, for every language that may appear in
+// routing.json's targetLanguages. A language without an entry gets the English texts with its code.
+//   name:              Language name, used in logs and in the LLM prompt.
+//   allUpdatesHeader:  First line of the "All Updates" message.
+//   categoryHeader:    Heading of each category in the "All Updates" message ({category} is replaced).
+//   categorySeparator: Line between the categories in the "All Updates" message.
+//   offerSeparator:    Line between offers in a buyer group or private message.
+//   rateReplies:       Fixed texts of the replies to RATE questions ({crop}, {market}, {text} and {n}
+//                      are replaced). For a text that depends on the count, give [singular, plural].
+//                      Missing texts are taken from English.
+//   glossary:          Optional additions to the fixed translations in translationGlossary.js, in the same
+//                      shape: `crops`, `variants`, `markets` and `terms` objects and `corrections`
+//                      ([RegExp, replacement] pairs). Entries here win over the built-in ones, and a
+//                      language with no built-in glossary gets one.
+const LANGUAGE_SETTINGS = {
+    en: {
+        name: 'English',
+        allUpdatesHeader: '*** ALL MARKET UPDATES (ENGLISH) ***',
+        categoryHeader: '--- {category} (ENGLISH) ---',
+        categorySeparator: '===== CATEGORY SEPARATOR =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} rates*',
+            noOffers: 'No prices for {crop} yet.',
+            noOffersInMarket: 'No prices for {crop} in {market} yet.',
+            unknownCrop: 'Unknown crop "{text}". Try e.g. RATE TOOR DAL or RATE KANDULU KEKRI.',
+            justNow: 'just now',
+            minutesAgo: '{n} min ago',
+            hoursAgo: ['{n} hour ago', '{n} hours ago'],
+            daysAgo: ['{n} day ago', '{n} days ago']
+        }
+    },
+    te: {
+        name: 'Telugu',
+        allUpdatesHeader: '*** అన్ని మార్కెట్ అప్‌డేట్‌లు (తెలుగు) ***',
+        categoryHeader: '--- {category} (TELUGU) ---',
+        categorySeparator: '===== కేటగిరీ సెపరేటర్ =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} ధరలు*',
+            noOffers: '{crop} ధరలు ఇంకా అందుబాటులో లేవు.',
+            noOffersInMarket: '{market} లో {crop} ధరలు ఇంకా అందుబాటులో లేవు.',
+            unknownCrop: '"{text}" పంట తెలియదు. ఉదా: RATE TOOR DAL లేదా RATE KANDULU KEKRI.',
+            justNow: 'ఇప్పుడే',
+            minutesAgo: '{n} నిమిషాల క్రితం',
+            hoursAgo: '{n} గంటల క్రితం',
+            daysAgo: '{n} రోజుల క్రితం'
+        }
     },
-    "SPICES": {
-        "en": '000000000000000000@g.us' // <<< IMPORTANT: Replace with actual ID
-        // As per requirements, Spices are English-only. No "te" entry here.
+    hi: {
+        name: 'Hindi',
+        allUpdatesHeader: '*** सभी मंडी अपडेट (हिंदी) ***',
+        categoryHeader: '--- {category} (HINDI) ---',
+        categorySeparator: '===== श्रेणी विभाजक =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} भाव*',
+            noOffers: '{crop} के भाव अभी उपलब्ध नहीं हैं।',
+            noOffersInMarket: '{market} में {crop} के भाव अभी उपलब्ध नहीं हैं।',
+            unknownCrop: '"{text}" फसल की जानकारी नहीं है। उदा: RATE TOOR DAL या RATE KANDULU KEKRI.',
+            justNow: 'अभी',
+            minutesAgo: '{n} मिनट पहले',
+            hoursAgo: '{n} घंटे पहले',
+            daysAgo: '{n} दिन पहले'
+        },
+        glossary: {
+            crops: {
+                'CHANA DAL': 'चना दाल',
+                'TOOR DAL': 'तुअर दाल',
+                'URAD DAL': 'उड़द दाल',
+                'MOONG DAL': 'मूंग दाल',
+                'MASUR DAL': 'मसूर दाल',
+                'TURMERIC': 'हल्दी',
+                'DHANIA': 'धनिया',
+                'JEERA': 'जीरा',
+                'SUGAR': 'चीनी'
+            },
+            terms: {
+                'ARRIVAL': 'आवक',
+                'MARKET': 'मंडी',
+                'BAGS': 'बोरी',
+                'BAG': 'बोरी',
+                'QUINTAL': 'क्विंटल',
+                'QTL': 'क्विंटल'
+            }
+        }
     },
-    "OILS": {
-        "en": '000000000000000000@g.us'   // <<< IMPORTANT: Replace with actual ID
-        // As per requirements, Oils are English-only. No "te" entry here.
+    kn: {
+        name: 'Kannada',
+        allUpdatesHeader: '*** ಎಲ್ಲಾ ಮಾರುಕಟ್ಟೆ ಅಪ್‌ಡೇಟ್‌ಗಳು (ಕನ್ನಡ) ***',
+        categoryHeader: '--- {category} (KANNADA) ---',
+        categorySeparator: '===== ವರ್ಗ ವಿಭಜಕ =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} ದರಗಳು*',
+            noOffers: '{crop} ದರಗಳು ಇನ್ನೂ ಲಭ್ಯವಿಲ್ಲ.',
+            noOffersInMarket: '{market} ನಲ್ಲಿ {crop} ದರಗಳು ಇನ್ನೂ ಲಭ್ಯವಿಲ್ಲ.',
+            unknownCrop: '"{text}" ಬೆಳೆ ತಿಳಿದಿಲ್ಲ. ಉದಾ: RATE TOOR DAL ಅಥವಾ RATE KANDULU KEKRI.',
+            justNow: 'ಈಗಷ್ಟೇ',
+            minutesAgo: '{n} ನಿಮಿಷಗಳ ಹಿಂದೆ',
+            hoursAgo: '{n} ಗಂಟೆಗಳ ಹಿಂದೆ',
+            daysAgo: '{n} ದಿನಗಳ ಹಿಂದೆ'
+        }
     },
-    "SUGAR": {
-        "en": '000000000000000000@g.us' // Your existing "Sugar Buyers - English" group ID.
-        // As per requirements, Sugar is English-only. The previous "Telugu" entry for Sugar has been removed.
-        // If you still need a Telugu Sugar group, please let me know.
+    mr: {
+        name: 'Marathi',
+        allUpdatesHeader: '*** सर्व बाजार अपडेट्स (मराठी) ***',
+        categoryHeader: '--- {category} (MARATHI) ---',
+        categorySeparator: '===== श्रेणी विभाजक =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} दर*',
+            noOffers: '{crop} चे दर अजून उपलब्ध नाहीत.',
+            noOffersInMarket: '{market} मध्ये {crop} चे दर अजून उपलब्ध नाहीत.',
+            unknownCrop: '"{text}" हे पीक ओळखता आले नाही. उदा: RATE TOOR DAL किंवा RATE KANDULU KEKRI.',
+            justNow: 'आत्ताच',
+            minutesAgo: '{n} मिनिटांपूर्वी',
+            hoursAgo: '{n} तासांपूर्वी',
+            daysAgo: '{n} दिवसांपूर्वी'
+        }
     },
-    "KIRANA": {
-        "en": '000000000000000000@g.us' // <<< IMPORTANT: Replace with actual ID (to be updated in future)
-        // Kirana is English-only. No "te" entry here.
-    }, 
-    // The "RICE" entry was removed from here as it was not part of the new specified categories (Pulses, Spices, Oils, Sugar, Kirana).
-    // If you need to include "RICE", please clarify which new category it falls under or if it needs a new category.
+    gu: {
+        name: 'Gujarati',
+        allUpdatesHeader: '*** બધા બજાર અપડેટ્સ (ગુજરાતી) ***',
+        categoryHeader: '--- {category} (GUJARATI) ---',
+        categorySeparator: '===== શ્રેણી વિભાજક =====',
+        offerSeparator: '-----------------',
+        rateReplies: {
+            title: '*{crop} ભાવ*',
+            noOffers: '{crop} ના ભાવ હજી ઉપલબ્ધ નથી.',
+            noOffersInMarket: '{market} માં {crop} ના ભાવ હજી ઉપલબ્ધ નથી.',
+            unknownCrop: '"{text}" પાક ઓળખાયો નથી. ઉદા: RATE TOOR DAL અથવા RATE KANDULU KEKRI.',
+            justNow: 'હમણાં જ',
+            minutesAgo: '{n} મિનિટ પહેલાં',
+            hoursAgo: '{n} કલાક પહેલાં',
+            daysAgo: '{n} દિવસ પહેલાં'
+        }
+    }
+};
+
+// Duplicate detection. The same bulletin is often forwarded into several seller groups:
+// copies with identical text, or nearly identical text with exactly the same numbers, are skipped
+// before the LLM is called. Offers with the same market, crop, price range and day as one already
+// passed on are not sent again. Everything skipped is listed in data/suppressed_items.jsonl.
+const DUPLICATE_SETTINGS = {
+    messageWindowMs: 6 * 60 * 60 * 1000, // How long a message is remembered for comparison
+    nearDuplicateThreshold: 0.9,         // Share of identical words (0-1) for a near-duplicate
+    offerWindowMs: 12 * 60 * 60 * 1000   // How long a passed-on offer is remembered
+};
+
+// How offers reach the buyer groups.
+// 'immediate': every seller message is forwarded as soon as it is processed.
+// 'digest':    offers are collected and sent as one bulletin per category and language at the
+//              `digestTimes` (24-hour local time). If the same crop is offered at the same market
+//              more than once, only the latest offer is sent.
+// The mode can be overridden from .env with DELIVERY_MODE.
+const DELIVERY_SETTINGS = {
+    mode: process.env.DELIVERY_MODE || 'immediate',
+    digestTimes: ['10:00', '16:00']
+};
+
+// Daily and weekly market reports (CSV plus a PDF or PNG rendered with puppeteer), kept in data/reports
+// and downloadable from the web UI. At each of the `postTimes` (24-hour local time) the day's report
+// is generated and posted: every buyer group gets its category's report, the "All Updates" group
+// gets the full one. The weekly report, covering the seven days up to and including the posting day,
+// is posted the same way on `weeklyPostDay` at each of the `weeklyPostTimes`. Reports are only posted
+// while automation is ON; leave the times empty to only generate reports from the web UI.
+const REPORT_SETTINGS = {
+    format: 'pdf',            // 'pdf' or 'png'
+    postTimes: [],            // e.g. ['19:00']
+    weeklyPostDay: 'sunday',  // Day of the week for the weekly report
+    weeklyPostTimes: [],      // e.g. ['19:30']
+    topMoversCount: 5         // Crops/markets listed as top movers
+};
+
+// Rate sheets posted as photos or PDFs. The file is downloaded to data/media (kept for audit and
+// linked from the stored offers), its text is read and then processed like a text message.
+// 'multimodal': the LLM provider reads the file (Gemini handles images and PDFs).
+// 'ocr':        local tools read it: `tesseract` for images and `pdftotext` for PDFs with a text
+//               layer. Both must be installed and on the PATH. Overridable with MEDIA_EXTRACTION in .env.
+const MEDIA_SETTINGS = {
+    enabled: true,
+    method: process.env.MEDIA_EXTRACTION || 'multimodal',
+    maxSizeMb: 10,        // Larger attachments are skipped
+    ocrLanguages: 'eng'   // Tesseract languages, e.g. 'eng+tel' (the language data must be installed)
+};
+
+// Voice notes from seller groups are transcribed and the transcription is processed like a text
+// message. The audio is kept in data/media. Transcriptions the engine is unsure of (confidence below
+// `minConfidence`, or words it could not make out) are never published automatically: their offers
+// are flagged and held for review in the web UI, even when automation is ON.
+// 'gemini' sends the audio to Gemini (needs GEMINI_API_KEY); 'mock' answers from a local fixtures file.
+// Overridable with TRANSCRIPTION_ENGINE and TRANSCRIPTION_MOCK_FIXTURES in .env.
+const TRANSCRIPTION_SETTINGS = {
+    enabled: true,
+    engine: process.env.TRANSCRIPTION_ENGINE || (LLM_SETTINGS.provider === 'mock' ? 'mock' : 'gemini'),
+    model: LLM_SETTINGS.model,
+    mockFixturesPath: process.env.TRANSCRIPTION_MOCK_FIXTURES || './fixtures/mock_transcriptions.json',
+    minConfidence: 0.8,
+    languages: ['te', 'hi', 'en'] // Languages the sellers speak in their voice notes
+};
+
+// Cache of LLM results, so retries and reposts of an identical message don't call the LLM again.
+// Keyed by the normalized message text, the target languages and the prompt version.
+const LLM_CACHE_SETTINGS = {
+    filePath: './data/llm_cache.json',
+    ttlMs: 24 * 60 * 60 * 1000, // Entries older than this are ignored and dropped
+    maxEntries: 500             // Least recently used entries are dropped above this size
+};
+
+// Direct messages to individual buyers (subscription offers and price alerts) go through their own
+// disk-backed queue, limited to `messagesPerMinute`, so a busy market day doesn't look like spam to
+// WhatsApp and get the number banned.
+const PRIVATE_MESSAGE_SETTINGS = {
+    messagesPerMinute: 20,
+    maxAttempts: 3
 };
 
-// This is the group where ALL processed English messages will be sent.
-// This ID should be specific to your "All Updates" WhatsApp group.
-const ALL_UPDATES_GROUP_ID = '000000000000000000@g.us'; // <<< IMPORTANT: Replace with your actual "All Updates" group ID
+// Phone numbers (with country code, e.g. "919876543210") allowed to control the bot by sending
+// commands like "!status" in a direct WhatsApp message. Set ADMIN_PHONE_NUMBERS in .env as a
+// comma-separated list; direct messages from anyone else are ignored.
+const ADMIN_PHONE_NUMBERS = (process.env.ADMIN_PHONE_NUMBERS || '')
+    .split(',')
+    .map(number => number.trim())
+    .filter(number => number.length > 0);
 
-// These are the standard ISO language codes into which Gemini will translate
-// the crop offer summaries. These will be used as keys in BUYER_GROUP_MAPPING
-// and in the object returned by geminiProcessor.
-const TARGET_LANGUAGES = ['en', 'te']; // 'en' for English, 'te' for Telugu
+// Token that programs using the REST API under /api (ERP, price boards) must send, as
+// "Authorization: Bearer <token>". Set API_TOKEN in .env; without it the API is disabled.
+const API_TOKEN = process.env.API_TOKEN || '';
 
 // This exports all variables so other parts of your bot (like index.js) can use them.
 module.exports = {
-    SELLER_GROUP_IDS,
-    BUYER_GROUP_MAPPING,
-    TARGET_LANGUAGES,
-    ALL_UPDATES_GROUP_ID // Export the new ID
+    ROUTING_SETTINGS,
+    TAXONOMY_SETTINGS,
+    SESSION_SETTINGS,
+    QUEUE_SETTINGS,
+    EMAIL_ALERT_SETTINGS,
+    LLM_SETTINGS,
+    LLM_CACHE_SETTINGS,
+    LANGUAGE_SETTINGS,
+    DELIVERY_SETTINGS,
+    REPORT_SETTINGS,
+    MEDIA_SETTINGS,
+    TRANSCRIPTION_SETTINGS,
+    DUPLICATE_SETTINGS,
+    PRIVATE_MESSAGE_SETTINGS,
+    ADMIN_PHONE_NUMBERS,
+    API_TOKEN
 };
\ No newline at end of file
@@ -0,0 +1,499 @@
+// cropTaxonomy.js
+
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { writeJsonFile } = require('./jsonFile');
+const { TAXONOMY_SETTINGS } = require('./config');
+
+// --- CROP CATEGORIES AND STANDARDIZATION MAPPING ---
+// This mapping helps Gemini standardize crop names and assign categories. It is loaded from the
+// taxonomy file (see TAXONOMY_SETTINGS in config.js), which looks like:
+//   {
+//     "PULSES": {
+//       "CHANA DAL": ["CHANA", "CHANA DAL", "GRAM", "SENAGA PAPPU"],
+//       ...
+//     },
+//     ...
+//   }
+// i.e. category -> standardized crop name -> aliases. Ensure the standardized names match your
+// expectations for routing. The objects exported below are updated in place whenever the taxonomy
+// changes, so modules that hold on to them always see the current taxonomy.
+const CROP_CATEGORIES_AND_STANDARDIZATION = {};
+
+// Flatten the mapping for easy lookup by Gemini's prompt and local processing: alias -> { standardizedName, category }
+const FLATTENED_CROP_MAPPING = {};
+
+// Offers the LLM can't place get this category
+const UNKNOWN_CATEGORY = 'UNKNOWN';
+
+// Names are matched against text with everything but letters and digits turned into spaces (see
+// findCropInText), so they are stored in that form.
+const NAME_PATTERN = /^[A-Z0-9]+( [A-Z0-9]+)*$/;
+
+let cropCategories = {}; // standardized name -> category
+let taxonomyVersion = '';
+let savedMtimeMs = null; // mtime of our own last save, so the watcher doesn't reload it again
+const changeListeners = [];
+
+/**
+ * Brings a name typed by a person or returned by the LLM into the stored form,
+ * e.g. "Kabuli-chana " -> "KABULI CHANA".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Checks a parsed taxonomy file.
+ *
+ * @param {Object} taxonomy The parsed JSON.
+ * @returns {string[]} A list of problems; empty when the taxonomy is valid.
+ */
+function validateTaxonomy(taxonomy) {
+    if (!taxonomy || typeof taxonomy !== 'object' || Array.isArray(taxonomy)) {
+        return ['The taxonomy must be a JSON object of category -> { standardized name: [aliases] }.'];
+    }
+    const errors = [];
+    const categories = Object.keys(taxonomy);
+    if (categories.length === 0) {
+        errors.push('The taxonomy needs at least one category.');
+    }
+    const cropOwners = {};
+    const aliasOwners = {};
+    for (const category of categories) {
+        if (!NAME_PATTERN.test(category)) {
+            errors.push(`Category "${category}" must be upper case letters and digits separated by single spaces.`);
+        }
+        if (category === UNKNOWN_CATEGORY) {
+            errors.push(`"${UNKNOWN_CATEGORY}" is reserved for offers that match no category.`);
+        }
+        const crops = taxonomy[category];
+        if (!crops || typeof crops !== 'object' || Array.isArray(crops)) {
+            errors.push(`${category} must be an object of standardized name -> aliases.`);
+            continue;
+        }
+        for (const crop in crops) {
+            if (!NAME_PATTERN.test(crop)) {
+                errors.push(`${category}: crop "${crop}" must be upper case letters and digits separated by single spaces.`);
+            }
+            if (cropOwners[crop]) {
+                errors.push(`Crop "${crop}" is in both ${cropOwners[crop]} and ${category}.`);
+            }
+            cropOwners[crop] = category;
+            const aliases = crops[crop];
+            if (!Array.isArray(aliases) || aliases.length === 0) {
+                errors.push(`${category}.${crop} must be a non-empty array of aliases.`);
+                continue;
+            }
+            for (const alias of aliases) {
+                if (typeof alias !== 'string' || !NAME_PATTERN.test(alias)) {
+                    errors.push(`${category}.${crop}: alias "${alias}" must be upper case letters and digits separated by single spaces.`);
+                } else if (aliasOwners[alias] && aliasOwners[alias] !== crop) {
+                    errors.push(`Alias "${alias}" is used for both ${aliasOwners[alias]} and ${crop}.`);
+                }
+                aliasOwners[alias] = crop;
+            }
+        }
+    }
+    return errors;
+}
+
+// Replaces the live mapping objects with the given (valid) taxonomy and tells the listeners.
+function applyTaxonomy(taxonomy) {
+    for (const key of Object.keys(CROP_CATEGORIES_AND_STANDARDIZATION)) {
+        delete CROP_CATEGORIES_AND_STANDARDIZATION[key];
+    }
+    for (const key of Object.keys(FLATTENED_CROP_MAPPING)) {
+        delete FLATTENED_CROP_MAPPING[key];
+    }
+    cropCategories = {};
+
+    for (const category in taxonomy) {
+        CROP_CATEGORIES_AND_STANDARDIZATION[category] = taxonomy[category];
+        for (const standardizedName in taxonomy[category]) {
+            cropCategories[standardizedName] = category;
+            for (const alias of taxonomy[category][standardizedName]) {
+                FLATTENED_CROP_MAPPING[alias.toUpperCase()] = { standardizedName, category };
+            }
+        }
+    }
+    taxonomyVersion = crypto.createHash('sha256').update(JSON.stringify(taxonomy)).digest('hex').substring(0, 8);
+
+    for (const listener of changeListeners) {
+        try {
+            listener();
+        } catch (error) {
+            logger.error(`Error in a crop taxonomy change listener: ${error.message}`);
+        }
+    }
+}
+
+function readTaxonomyFile(filePath) {
+    const taxonomy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = validateTaxonomy(taxonomy);
+    if (errors.length > 0) {
+        const error = new Error(`Invalid taxonomy file ${filePath}:\n- ${errors.join('\n- ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    return taxonomy;
+}
+
+// Loads the taxonomy file, creating it from the example on first start. An invalid file throws,
+// since nothing can be categorized without it.
+function loadTaxonomy() {
+    const { filePath, examplePath } = TAXONOMY_SETTINGS;
+    if (!fs.existsSync(filePath) && examplePath && fs.existsSync(examplePath)) {
+        fs.copyFileSync(examplePath, filePath);
+        logger.info(`Created ${filePath} from ${examplePath}.`);
+    }
+    applyTaxonomy(readTaxonomyFile(filePath));
+    logger.info(`Loaded crop taxonomy from ${filePath}: ${getCategories().length} categories, ${getStandardizedNames().length} crops, ${Object.keys(FLATTENED_CROP_MAPPING).length} aliases.`);
+}
+
+/**
+ * Validates and atomically writes a taxonomy, then uses it immediately.
+ *
+ * @param {Object} taxonomy category -> standardized crop name -> aliases.
+ * @throws {Error} With `validationErrors` if the taxonomy is invalid; nothing is written then.
+ */
+function saveTaxonomy(taxonomy) {
+    const errors = validateTaxonomy(taxonomy);
+    if (errors.length > 0) {
+        const error = new Error(`Invalid taxonomy:\n- ${errors.join('\n- ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    const { filePath } = TAXONOMY_SETTINGS;
+    writeJsonFile(filePath, taxonomy, 4);
+    savedMtimeMs = fs.statSync(filePath).mtimeMs;
+    applyTaxonomy(taxonomy);
+}
+
+/**
+ * Reloads the taxonomy file whenever it is edited by hand while the bot runs. An invalid edit is
+ * logged and the previous taxonomy is kept.
+ *
+ * @param {Object} [options]
+ * @param {function(): void} [options.onReload] Called after a successful reload.
+ * @param {function(Error): void} [options.onReloadError] Called when a changed file is invalid.
+ * @returns {function(): void} Stops watching.
+ */
+function watchTaxonomyFile({ onReload = () => {}, onReloadError = () => {} } = {}) {
+    const { filePath, reloadCheckIntervalMs = 2000 } = TAXONOMY_SETTINGS;
+    // fs.watchFile polls, which (unlike fs.watch) keeps working when editors replace the file on save.
+    const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === savedMtimeMs || current.nlink === 0) {
+            return;
+        }
+        try {
+            applyTaxonomy(readTaxonomyFile(filePath));
+            logger.info(`🔄 Reloaded crop taxonomy from ${filePath}.`);
+            onReload();
+        } catch (error) {
+            logger.error(`Keeping the previous crop taxonomy. ${error.message}`);
+            onReloadError(error);
+        }
+    };
+    fs.watchFile(filePath, { interval: reloadCheckIntervalMs }, listener);
+    return () => fs.unwatchFile(filePath, listener);
+}
+
+// --- Editing ---
+
+function taxonomyError(message) {
+    const error = new Error(message);
+    error.validationErrors = [message];
+    return error;
+}
+
+// Checks and normalizes a name from an edit; throws with a readable message if it can't be used.
+function requireName(name, label) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+        throw taxonomyError(`The ${label} needs at least one Latin letter or digit.`);
+    }
+    return normalized;
+}
+
+/**
+ * Applies one edit from the web UI and saves the taxonomy. `change.type` is one of:
+ *   addCategory     { category }
+ *   renameCategory  { category, newName }
+ *   mergeCategories { category, into }          Moves all crops of `category` into `into` and removes it.
+ *   removeCategory  { category }                Only for categories without crops.
+ *   addCrop         { category, crop, aliases } The crop name itself is always an alias too.
+ *   renameCrop      { crop, newName }           The old name stays as an alias.
+ *   mergeCrops      { crop, into }              `crop` and its aliases become aliases of `into`.
+ *   moveCrop        { crop, category }
+ *   addAlias        { crop, alias }
+ *   removeAlias     { crop, alias }
+ * Names are normalized (upper case, letters and digits). Throws an error with `validationErrors`
+ * if the edit is not possible; the taxonomy is unchanged then.
+ *
+ * @param {Object} change
+ * @returns {{summary: string, categoryChanges: Array<{from: string, to: string|null}>, cropChanges: Array<{from: string, to: string}>}}
+ *   What was done, the categories that were renamed or merged (`to` set) or removed (`to` null), and the
+ *   crops that were renamed or merged, so the routing, subscriptions and watch rules can follow.
+ */
+function updateTaxonomy(change) {
+    let taxonomy = JSON.parse(JSON.stringify(CROP_CATEGORIES_AND_STANDARDIZATION));
+    const categoryChanges = [];
+    const cropChanges = [];
+    const type = change && change.type;
+
+    const requireCategory = (name) => {
+        const category = requireName(name, 'category');
+        if (!taxonomy[category]) {
+            throw taxonomyError(`Unknown category "${category}".`);
+        }
+        return category;
+    };
+    const requireCrop = (name) => {
+        const crop = requireName(name, 'crop name');
+        const category = Object.keys(taxonomy).find(c => taxonomy[c][crop]);
+        if (!category) {
+            throw taxonomyError(`Unknown crop "${crop}".`);
+        }
+        return { crop, category };
+    };
+    const requireNewCategory = (name) => {
+        const category = requireName(name, 'category');
+        if (taxonomy[category]) {
+            throw taxonomyError(`Category "${category}" already exists.`);
+        }
+        return category;
+    };
+    const requireNewCrop = (name) => {
+        const crop = requireName(name, 'crop name');
+        if (cropCategories[crop]) {
+            throw taxonomyError(`Crop "${crop}" already exists in ${cropCategories[crop]}.`);
+        }
+        return crop;
+    };
+    // Adds aliases to a crop, skipping ones it has; an alias of another crop is an error.
+    const addAliases = (crop, category, aliases) => {
+        for (const alias of aliases) {
+            const owner = FLATTENED_CROP_MAPPING[alias];
+            if (owner && owner.standardizedName !== crop) {
+                throw taxonomyError(`"${alias}" is already an alias of ${owner.standardizedName}.`);
+            }
+            if (!taxonomy[category][crop].includes(alias)) {
+                taxonomy[category][crop].push(alias);
+            }
+        }
+    };
+    // Renames a key without changing the order of the others, so the file diff stays small.
+    const renameKey = (object, from, to) => {
+        const renamed = {};
+        for (const key of Object.keys(object)) {
+            renamed[key === from ? to : key] = object[key];
+        }
+        return renamed;
+    };
+
+    let summary;
+    switch (type) {
+        case 'addCategory': {
+            const category = requireNewCategory(change.category);
+            taxonomy[category] = {};
+            summary = `Added category ${category}.`;
+            break;
+        }
+        case 'renameCategory': {
+            const category = requireCategory(change.category);
+            const newName = requireNewCategory(change.newName);
+            taxonomy = renameKey(taxonomy, category, newName);
+            categoryChanges.push({ from: category, to: newName });
+            summary = `Renamed category ${category} to ${newName}.`;
+            break;
+        }
+        case 'mergeCategories': {
+            const category = requireCategory(change.category);
+            const into = requireCategory(change.into);
+            if (category === into) {
+                throw taxonomyError('A category can\'t be merged into itself.');
+            }
+            Object.assign(taxonomy[into], taxonomy[category]);
+            delete taxonomy[category];
+            categoryChanges.push({ from: category, to: into });
+            summary = `Merged category ${category} into ${into}.`;
+            break;
+        }
+        case 'removeCategory': {
+            const category = requireCategory(change.category);
+            if (Object.keys(taxonomy[category]).length > 0) {
+                throw taxonomyError(`Category ${category} still has crops. Move or merge them first.`);
+            }
+            delete taxonomy[category];
+            categoryChanges.push({ from: category, to: null });
+            summary = `Removed category ${category}.`;
+            break;
+        }
+        case 'addCrop': {
+            const category = requireCategory(change.category);
+            const crop = requireNewCrop(change.crop);
+            const aliases = [crop, ...(Array.isArray(change.aliases) ? change.aliases : [])
+                .map(alias => normalizeName(alias))
+                .filter(Boolean)];
+            taxonomy[category][crop] = [];
+            addAliases(crop, category, aliases);
+            summary = `Added crop ${crop} to ${category}.`;
+            break;
+        }
+        case 'renameCrop': {
+            const { crop, category } = requireCrop(change.crop);
+            const newName = requireNewCrop(change.newName);
+            const owner = FLATTENED_CROP_MAPPING[newName];
+            if (owner && owner.standardizedName !== crop) {
+                throw taxonomyError(`"${newName}" is already an alias of ${owner.standardizedName}.`);
+            }
+            taxonomy[category] = renameKey(taxonomy[category], crop, newName);
+            // Sellers keep writing the old name, so it stays an alias
+            const aliases = taxonomy[category][newName];
+            for (const alias of [crop, newName]) {
+                if (!aliases.includes(alias)) {
+                    aliases.push(alias);
+                }
+            }
+            cropChanges.push({ from: crop, to: newName });
+            summary = `Renamed crop ${crop} to ${newName}.`;
+            break;
+        }
+        case 'mergeCrops': {
+            const source = requireCrop(change.crop);
+            const target = requireCrop(change.into);
+            if (source.crop === target.crop) {
+                throw taxonomyError('A crop can\'t be merged into itself.');
+            }
+            const aliases = [source.crop, ...taxonomy[source.category][source.crop]];
+            delete taxonomy[source.category][source.crop];
+            for (const alias of aliases) {
+                if (!taxonomy[target.category][target.crop].includes(alias)) {
+                    taxonomy[target.category][target.crop].push(alias);
+                }
+            }
+            cropChanges.push({ from: source.crop, to: target.crop });
+            summary = `Merged crop ${source.crop} into ${target.crop}.`;
+            break;
+        }
+        case 'moveCrop': {
+            const { crop, category } = requireCrop(change.crop);
+            const newCategory = requireCategory(change.category);
+            if (newCategory === category) {
+                throw taxonomyError(`Crop ${crop} is already in ${category}.`);
+            }
+            taxonomy[newCategory][crop] = taxonomy[category][crop];
+            delete taxonomy[category][crop];
+            summary = `Moved crop ${crop} from ${category} to ${newCategory}.`;
+            break;
+        }
+        case 'addAlias': {
+            const { crop, category } = requireCrop(change.crop);
+            const alias = requireName(change.alias, 'alias');
+            addAliases(crop, category, [alias]);
+            summary = `Added alias ${alias} to ${crop}.`;
+            break;
+        }
+        case 'removeAlias': {
+            const { crop, category } = requireCrop(change.crop);
+            const alias = requireName(change.alias, 'alias');
+            const aliases = taxonomy[category][crop];
+            if (!aliases.includes(alias)) {
+                throw taxonomyError(`"${alias}" is not an alias of ${crop}.`);
+            }
+            if (aliases.length === 1) {
+                throw taxonomyError(`${crop} needs at least one alias. Merge the crop instead.`);
+            }
+            taxonomy[category][crop] = aliases.filter(a => a !== alias);
+            summary = `Removed alias ${alias} from ${crop}.`;
+            break;
+        }
+        default:
+            throw taxonomyError(`Unknown taxonomy change "${type}".`);
+    }
+
+    saveTaxonomy(taxonomy);
+    logger.info(`Crop taxonomy updated: ${summary}`);
+    return { summary, categoryChanges, cropChanges };
+}
+
+// --- Lookups ---
+
+// Standardized names and categories for the prompt
+function getStandardizedNames() {
+    return Object.keys(cropCategories);
+}
+
+function getCategories() {
+    return Object.keys(CROP_CATEGORIES_AND_STANDARDIZATION);
+}
+
+// Changes whenever the taxonomy does, e.g. to keep cached LLM results from an older taxonomy out of use.
+function getTaxonomyVersion() {
+    return taxonomyVersion;
+}
+
+/**
+ * Registers a function called after every change of the taxonomy (edits in the web UI or the file).
+ *
+ * @param {function(): void} listener
+ */
+function onTaxonomyChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Looks up a crop by its standardized name or any alias, e.g. the standardizedName the LLM returned.
+ *
+ * @param {string} name
+ * @returns {{standardizedName: string, category: string}|null} null if the taxonomy doesn't know the name.
+ */
+function resolveCropName(name) {
+    const normalized = normalizeName(name);
+    if (cropCategories[normalized]) {
+        return { standardizedName: normalized, category: cropCategories[normalized] };
+    }
+    return FLATTENED_CROP_MAPPING[normalized] || null;
+}
+
+/**
+ * Finds the crop mentioned in a piece of text (e.g. "NEW MOONG DAL" or "TUR SUDAN") by looking
+ * for the longest known alias that appears as a whole word, so "COTTON KHAL" wins over "COTTON".
+ *
+ * @param {string} text Any text that may contain a crop name.
+ * @returns {{alias: string, standardizedName: string, category: string}|null} The match, or null if no alias is found.
+ */
+function findCropInText(text) {
+    const upperText = ` ${String(text).toUpperCase().replace(/[^A-Z0-9]+/g, ' ')} `;
+    let bestAlias = null;
+    for (const alias in FLATTENED_CROP_MAPPING) {
+        if (upperText.includes(` ${alias} `) && (!bestAlias || alias.length > bestAlias.length)) {
+            bestAlias = alias;
+        }
+    }
+    return bestAlias ? { alias: bestAlias, ...FLATTENED_CROP_MAPPING[bestAlias] } : null;
+}
+
+loadTaxonomy();
+
+module.exports = {
+    CROP_CATEGORIES_AND_STANDARDIZATION,
+    FLATTENED_CROP_MAPPING,
+    UNKNOWN_CATEGORY,
+    normalizeName,
+    validateTaxonomy,
+    saveTaxonomy,
+    updateTaxonomy,
+    watchTaxonomyFile,
+    getStandardizedNames,
+    getCategories,
+    getTaxonomyVersion,
+    onTaxonomyChange,
+    resolveCropName,
+    findCropInText
+};
@@ -0,0 +1,105 @@
+// digestCollector.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+const { parseOfferText } = require('./offerParser');
+
+/**
+ * Collects offers for the scheduled digests. Offers are keyed by market plus standardized crop,
+ * so a newer offer for the same crop at the same market replaces the older one, and only the
+ * latest price is sent. The collected offers are written to `filePath`, so a restart before the
+ * next digest loses nothing.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the collected offers.
+ * @returns {{addOffers: function(Object, Object): void, takeOffers: function(): Object, getStats: function(): Object}}
+ */
+function createDigestCollector({ filePath }) {
+    let entries = {}; // Dedupe key -> { offer, sellerGroupName, receivedAt }
+
+    function load() {
+        const saved = readJsonFile(filePath, 'digest');
+        entries = saved && saved.entries && typeof saved.entries === 'object' ? saved.entries : {};
+        const count = Object.keys(entries).length;
+        if (count > 0) {
+            logger.info(`Loaded ${count} offer(s) waiting for the next digest.`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { entries }, 'digest');
+    }
+
+    // "KEKRI|MOONG DAL". Offers without a known crop fall back to their extracted name.
+    function getDedupeKey(offer) {
+        const market = offer.market || parseOfferText(offer.en).market || '';
+        const crop = offer.standardizedName || offer.extractedName || '';
+        return `${market.toUpperCase()}|${crop.toUpperCase()}`;
+    }
+
+    /**
+     * Adds the offers of one seller message to the next digest.
+     *
+     * @param {Object} processedOffers Offers keyed by extracted name (as returned by extractAndTranslateCropOffers).
+     * @param {Object} context
+     * @param {string} context.sellerGroupName Name of the seller group.
+     * @param {string} [context.receivedAt] ISO timestamp of the seller message (defaults to now).
+     */
+    function addOffers(processedOffers, { sellerGroupName, receivedAt }) {
+        const timestamp = receivedAt || new Date().toISOString();
+        for (const extractedName in processedOffers) {
+            const offer = processedOffers[extractedName];
+            const key = getDedupeKey(offer);
+            const existing = entries[key];
+            // Queued messages can finish out of order after retries, so compare the receive times
+            if (!existing || existing.receivedAt <= timestamp) {
+                if (existing) {
+                    logger.info(`Digest: replaced ${existing.offer.extractedName} from "${existing.sellerGroupName}" with a newer offer.`);
+                }
+                entries[key] = { offer, sellerGroupName, receivedAt: timestamp };
+            }
+        }
+        persist();
+    }
+
+    /**
+     * Returns the collected offers (keyed by market and crop, oldest first) together with the
+     * seller groups they came from, and empties the digest.
+     *
+     * @returns {{offers: Object, sellerGroupNames: string[]}}
+     */
+    function takeOffers() {
+        const sorted = Object.values(entries).sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+        const offers = {};
+        const sellerGroupNames = new Set();
+        for (const entry of sorted) {
+            offers[getDedupeKey(entry.offer)] = entry.offer;
+            sellerGroupNames.add(entry.sellerGroupName);
+        }
+        entries = {};
+        persist();
+        return { offers, sellerGroupNames: Array.from(sellerGroupNames) };
+    }
+
+    function getStats() {
+        return { offers: Object.keys(entries).length };
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        addOffers,
+        takeOffers,
+        getStats
+    };
+}
+
+module.exports = {
+    createDigestCollector
+};
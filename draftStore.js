@@ -0,0 +1,131 @@
+// draftStore.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+
+/**
+ * Creates the store for messages held for review. In review mode, every consolidated message that
+ * would have been sent to a buyer group is saved here as a draft until an operator approves
+ * (possibly after editing) or rejects it in the web UI. Drafts are written to `filePath`, so they
+ * survive a restart.
+ *
+ * A draft looks like:
+ *   { id, createdAt, groupId, target, text, sellerGroupName, sellerMessage, offers, receivedAt }
+ * where `target` describes the destination for the operator (e.g. "PULSES (te)"), `offers` the offers
+ * in the message (keyed by extracted name) and `receivedAt` when the seller message came in. Each
+ * offer has the `historyId` of its market history row, so the rows of rejected offers can be flagged;
+ * approved offers are remembered as passed on for duplicate detection.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the drafts.
+ * @returns {{addDraft: function(Object): Object, listDrafts: function(): Object[], getDraft: function(string): Object|null,
+ *   updateDraftText: function(string, string): Object|null, removeDraft: function(string): Object|null,
+ *   releaseOffers: function(string[]): void, isOfferHeld: function(string): boolean}}
+ */
+function createDraftStore({ filePath }) {
+    let drafts = [];
+
+    function load() {
+        const saved = readJsonFile(filePath, 'drafts');
+        drafts = saved && Array.isArray(saved.drafts) ? saved.drafts : [];
+        if (drafts.length > 0) {
+            logger.info(`Loaded ${drafts.length} draft(s) waiting for review.`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { drafts }, 'drafts');
+    }
+
+    function addDraft({ groupId, target, text, sellerGroupName, sellerMessage, offers = {}, receivedAt = null }) {
+        const draft = {
+            id: crypto.randomBytes(4).toString('hex'),
+            createdAt: new Date().toISOString(),
+            groupId,
+            target,
+            text,
+            sellerGroupName,
+            sellerMessage,
+            offers,
+            receivedAt
+        };
+        drafts.push(draft);
+        persist();
+        return draft;
+    }
+
+    // Oldest first, so the operator reviews messages in the order they came in.
+    function listDrafts() {
+        return drafts.slice();
+    }
+
+    function getDraft(id) {
+        return drafts.find(draft => draft.id === id) || null;
+    }
+
+    function updateDraftText(id, text) {
+        const draft = getDraft(id);
+        if (!draft) {
+            return null;
+        }
+        draft.text = text;
+        persist();
+        return draft;
+    }
+
+    function removeDraft(id) {
+        const draft = getDraft(id);
+        if (!draft) {
+            return null;
+        }
+        drafts = drafts.filter(d => d.id !== id);
+        persist();
+        return draft;
+    }
+
+    // Takes offers out of every draft that still holds them. A message's offers are usually in several
+    // drafts (one per category and language, plus "All Updates"); once one of them is approved, the
+    // others no longer decide what happens to those offers.
+    function releaseOffers(historyIds) {
+        let changed = false;
+        for (const draft of drafts) {
+            for (const extractedName in draft.offers || {}) {
+                if (historyIds.includes(draft.offers[extractedName].historyId)) {
+                    delete draft.offers[extractedName];
+                    changed = true;
+                }
+            }
+        }
+        if (changed) {
+            persist();
+        }
+    }
+
+    // True if a draft waiting for review still holds the offer with this market history row ID.
+    function isOfferHeld(historyId) {
+        return drafts.some(draft => Object.values(draft.offers || {}).some(offer => offer.historyId === historyId));
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        addDraft,
+        listDrafts,
+        getDraft,
+        updateDraftText,
+        removeDraft,
+        releaseOffers,
+        isOfferHeld
+    };
+}
+
+module.exports = {
+    createDraftStore
+};
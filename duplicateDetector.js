@@ -0,0 +1,243 @@
+// duplicateDetector.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+const { parseOfferText } = require('./offerParser');
+
+// Text of a message reduced to what matters for comparing bulletins: upper case, no emojis,
+// punctuation or "Forwarded" markers, single spaces.
+function normalizeMessageText(text) {
+    return String(text || '')
+        .toUpperCase()
+        .replace(/\bFORWARDED\b/g, ' ')
+        .replace(/[^\p{L}\p{N}\s.\-+]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Numbers in the message, in order. Two bulletins are only near-duplicates if these are identical,
+// so an updated bulletin with a single changed price is never suppressed.
+function extractNumbers(normalizedText) {
+    return normalizedText.match(/\d+(?:\.\d+)?/g) || [];
+}
+
+// Jaccard similarity of the two texts' word sets (1 = same words).
+function wordSimilarity(wordsA, wordsB) {
+    const setA = new Set(wordsA);
+    const setB = new Set(wordsB);
+    let shared = 0;
+    for (const word of setA) {
+        if (setB.has(word)) {
+            shared++;
+        }
+    }
+    const total = setA.size + setB.size - shared;
+    return total === 0 ? 1 : shared / total;
+}
+
+/**
+ * Creates the duplicate detector. It catches the same bulletin forwarded into several seller groups
+ * before it is sent to the LLM (exact and near-duplicate text), and offers that were already sent
+ * (same market, crop, price range and day). Offers are only checked by `filterDuplicateOffers`; the
+ * caller remembers them with `recordOffers` once they have actually been sent (or a draft holding them
+ * was approved), so an offer that failed or was rejected can still go out later. Everything it
+ * suppresses is appended to `suppressedLogPath`.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath JSON file holding recent message fingerprints and sent offers.
+ * @param {string} options.suppressedLogPath JSONL file listing every suppressed message and offer.
+ * @param {number} [options.messageWindowMs] How long a message fingerprint is remembered.
+ * @param {number} [options.nearDuplicateThreshold=0.9] Word similarity (0-1) above which a message with the same numbers is a duplicate.
+ * @param {number} [options.offerWindowMs] How long a sent offer is remembered.
+ * @returns {{checkMessage: function(string, Object): Object, forgetMessage: function(string): void,
+ *   filterDuplicateOffers: function(Object, Object): Object, recordOffers: function(Object, Object): void}}
+ */
+function createDuplicateDetector({
+    filePath,
+    suppressedLogPath,
+    messageWindowMs = 6 * 60 * 60 * 1000,
+    nearDuplicateThreshold = 0.9,
+    offerWindowMs = 12 * 60 * 60 * 1000
+}) {
+    let messages = []; // { hash, words, numbers, sellerGroupName, receivedAt }
+    let offers = {};   // Offer key -> { sellerGroupName, sentAt }
+
+    function load() {
+        const saved = readJsonFile(filePath, 'duplicate detection') || {};
+        messages = Array.isArray(saved.messages) ? saved.messages : [];
+        offers = saved.offers && typeof saved.offers === 'object' ? saved.offers : {};
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { messages, offers }, 'duplicate detection');
+    }
+
+    // Forgets fingerprints and offers older than their windows.
+    function prune(now) {
+        messages = messages.filter(message => now - new Date(message.receivedAt).getTime() < messageWindowMs);
+        for (const key in offers) {
+            if (now - new Date(offers[key].sentAt).getTime() >= offerWindowMs) {
+                delete offers[key];
+            }
+        }
+    }
+
+    function logSuppressed(entry) {
+        try {
+            fs.appendFileSync(suppressedLogPath, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+        } catch (e) {
+            logger.error(`Error writing suppressed items log: ${e.message}`);
+        }
+    }
+
+    /**
+     * Checks a seller message against the messages seen within the window, and remembers it if it is new.
+     *
+     * @param {string} body The raw message text.
+     * @param {Object} context
+     * @param {string} context.sellerGroupName Name of the seller group it arrived in.
+     * @param {string} [context.receivedAt] ISO timestamp (defaults to now).
+     * @returns {{duplicate: boolean, reason?: string, original?: Object, fingerprint?: string}} `original` is the
+     *   earlier copy's `{ sellerGroupName, receivedAt }`; `fingerprint` identifies a new message for forgetMessage.
+     */
+    function checkMessage(body, { sellerGroupName, receivedAt }) {
+        const timestamp = receivedAt || new Date().toISOString();
+        prune(Date.now());
+
+        const normalized = normalizeMessageText(body);
+        const hash = crypto.createHash('sha1').update(normalized).digest('hex');
+        const words = normalized.split(' ').filter(word => !/^\d/.test(word));
+        const numbers = extractNumbers(normalized);
+
+        let match = messages.find(message => message.hash === hash);
+        let reason = match ? 'identical text' : null;
+        if (!match && numbers.length > 0) {
+            match = messages.find(message => message.numbers.join(' ') === numbers.join(' ')
+                && wordSimilarity(message.words, words) >= nearDuplicateThreshold);
+            reason = match ? 'near-duplicate text with the same numbers' : null;
+        }
+
+        if (match) {
+            logSuppressed({
+                type: 'message',
+                reason,
+                sellerGroupName,
+                originalSellerGroupName: match.sellerGroupName,
+                originalReceivedAt: match.receivedAt,
+                preview: String(body).substring(0, 200)
+            });
+            return { duplicate: true, reason, original: { sellerGroupName: match.sellerGroupName, receivedAt: match.receivedAt } };
+        }
+
+        messages.push({ hash, words, numbers, sellerGroupName, receivedAt: timestamp });
+        persist();
+        return { duplicate: false, fingerprint: hash };
+    }
+
+    /**
+     * Forgets a message remembered by checkMessage, e.g. when it could not be processed, so a later copy
+     * of it is processed instead of being skipped.
+     *
+     * @param {string} fingerprint The `fingerprint` checkMessage returned.
+     */
+    function forgetMessage(fingerprint) {
+        const count = messages.length;
+        messages = messages.filter(message => message.hash !== fingerprint);
+        if (messages.length !== count) {
+            persist();
+        }
+    }
+
+    // "KEKRI|MOONG DAL|6800-7200|2026-10-19" (the day in local time)
+    function getOfferKey(offer, timestamp) {
+        const fromText = parseOfferText(offer.en);
+        const market = offer.market || fromText.market || '';
+        const priceMin = offer.priceMin !== undefined ? offer.priceMin : fromText.priceMin;
+        const priceMax = offer.priceMax !== undefined ? offer.priceMax : fromText.priceMax;
+        const date = new Date(timestamp);
+        const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return [market.toUpperCase(), (offer.standardizedName || offer.extractedName || '').toUpperCase(), `${priceMin}-${priceMax}`, day].join('|');
+    }
+
+    /**
+     * Removes offers that were already passed on (same market, crop, price range and day within the
+     * window). Nothing is remembered here; see recordOffers.
+     *
+     * @param {Object} processedOffers Offers keyed by extracted name.
+     * @param {Object} context
+     * @param {string} context.sellerGroupName Name of the seller group the offers came from.
+     * @param {string} [context.receivedAt] ISO timestamp of the seller message (defaults to now).
+     * @returns {{offers: Object, suppressed: Object[]}} The new offers (same shape as the input) and the suppressed ones.
+     */
+    function filterDuplicateOffers(processedOffers, { sellerGroupName, receivedAt }) {
+        const timestamp = receivedAt || new Date().toISOString();
+        prune(Date.now());
+
+        const result = {};
+        const suppressed = [];
+        for (const extractedName in processedOffers) {
+            const offer = processedOffers[extractedName];
+            const key = getOfferKey(offer, timestamp);
+            if (offers[key]) {
+                suppressed.push(offer);
+                logSuppressed({
+                    type: 'offer',
+                    reason: 'same market, crop, price range and day already sent',
+                    key,
+                    sellerGroupName,
+                    originalSellerGroupName: offers[key].sellerGroupName,
+                    originalSentAt: offers[key].sentAt,
+                    offer: offer.en
+                });
+                continue;
+            }
+            result[extractedName] = offer;
+        }
+        return { offers: result, suppressed };
+    }
+
+    /**
+     * Remembers offers as passed on, so later copies are removed by filterDuplicateOffers. An offer
+     * that is already remembered keeps its first record.
+     *
+     * @param {Object} processedOffers Offers keyed by extracted name.
+     * @param {Object} context
+     * @param {string} context.sellerGroupName Name of the seller group the offers came from.
+     * @param {string} [context.receivedAt] ISO timestamp of the seller message (defaults to now).
+     */
+    function recordOffers(processedOffers, { sellerGroupName, receivedAt }) {
+        const timestamp = receivedAt || new Date().toISOString();
+        prune(Date.now());
+
+        for (const extractedName in processedOffers) {
+            const key = getOfferKey(processedOffers[extractedName], timestamp);
+            if (!offers[key]) {
+                offers[key] = { sellerGroupName, sentAt: timestamp };
+            }
+        }
+        persist();
+    }
+
+    for (const file of [filePath, suppressedLogPath]) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+    load();
+
+    return {
+        checkMessage,
+        forgetMessage,
+        filterDuplicateOffers,
+        recordOffers
+    };
+}
+
+module.exports = {
+    createDuplicateDetector,
+    normalizeMessageText
+};
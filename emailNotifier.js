@@ -0,0 +1,154 @@
+// emailNotifier.js
+
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Human-readable titles for each alert type, used in the email subject.
+const ALERT_TITLES = {
+    gemini_failure: 'Gemini could not process a message',
+    send_failure: 'Failed to send to buyer group',
+    queue_failure: 'Seller message dropped after retries',
+    whatsapp_connection: 'WhatsApp connection problem'
+};
+
+/**
+ * Builds a nodemailer transport from environment variables.
+ * If NODEMAILER_HOST is set, a plain SMTP transport is used (handy for a local SMTP stand-in
+ * such as MailHog during testing); otherwise Gmail is used with NODEMAILER_EMAIL/NODEMAILER_PASSWORD.
+ *
+ * @returns {Object|null} A nodemailer transport, or null if email is not configured.
+ */
+function createMailTransportFromEnv() {
+    const { NODEMAILER_HOST, NODEMAILER_PORT, NODEMAILER_SECURE, NODEMAILER_EMAIL, NODEMAILER_PASSWORD } = process.env;
+
+    if (NODEMAILER_HOST) {
+        const options = {
+            host: NODEMAILER_HOST,
+            port: parseInt(NODEMAILER_PORT || '587', 10),
+            secure: NODEMAILER_SECURE === 'true'
+        };
+        if (NODEMAILER_EMAIL && NODEMAILER_PASSWORD) {
+            options.auth = { user: NODEMAILER_EMAIL, pass: NODEMAILER_PASSWORD };
+        }
+        return nodemailer.createTransport(options);
+    }
+
+    if (NODEMAILER_EMAIL && NODEMAILER_PASSWORD) {
+        return nodemailer.createTransport({
+            service: 'gmail',
+            auth: { user: NODEMAILER_EMAIL, pass: NODEMAILER_PASSWORD }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Creates an email notifier that batches alerts of the same type into a single email.
+ * The first alert of a type starts a timer; every alert of that type that arrives before the
+ * timer fires is sent together in one email.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.transport Any object with a nodemailer-compatible `sendMail(mail)` method.
+ * @param {string} options.from Sender address; without it (or `to`) alerts are disabled.
+ * @param {string} options.to Recipient address(es).
+ * @param {number} [options.batchWindowMs=300000] How long to collect alerts of the same type before sending.
+ * @param {number} [options.maxAlertsPerEmail=20] Alerts beyond this count are only counted, not listed.
+ * @returns {{notify: function(Object): void, flushAll: function(): Promise<void>}}
+ */
+function createEmailNotifier({ transport, from, to, batchWindowMs = 5 * 60 * 1000, maxAlertsPerEmail = 20 }) {
+    const enabled = Boolean(transport && from && to);
+    const pendingBatches = {}; // alert type -> { alerts: [], timer }
+
+    if (!enabled) {
+        logger.warn('Email alerts are disabled: set NODEMAILER_EMAIL (or NODEMAILER_FROM), NODEMAILER_PASSWORD and ERROR_RECIPIENT_EMAIL in .env to enable them.');
+    }
+
+    function formatAlert(alert, index) {
+        const lines = [`#${index + 1} at ${alert.timestamp}`];
+        if (alert.sellerGroupName) {
+            lines.push(`Seller group: ${alert.sellerGroupName}`);
+        }
+        if (alert.target) {
+            lines.push(`Target: ${alert.target}`);
+        }
+        if (alert.error) {
+            lines.push(`Error: ${alert.error}`);
+        }
+        if (alert.messageBody) {
+            lines.push('', 'Original message:', alert.messageBody);
+        }
+        if (alert.rawResponse) {
+            lines.push('', 'Raw Gemini response:', alert.rawResponse);
+        }
+        return lines.join('\n');
+    }
+
+    async function flush(type) {
+        const batch = pendingBatches[type];
+        if (!batch) {
+            return;
+        }
+        delete pendingBatches[type];
+        clearTimeout(batch.timer);
+
+        const title = ALERT_TITLES[type] || type;
+        const listed = batch.alerts.slice(0, maxAlertsPerEmail);
+        let text = listed.map(formatAlert).join('\n\n----------------------------------------\n\n');
+        if (batch.alerts.length > listed.length) {
+            text += `\n\n... and ${batch.alerts.length - listed.length} more alert(s) of this type. See the bot logs for details.`;
+        }
+
+        try {
+            await transport.sendMail({
+                from,
+                to,
+                subject: `[Crop Bot] ${title} (${batch.alerts.length} alert${batch.alerts.length === 1 ? '' : 's'})`,
+                text
+            });
+            logger.info(`📧 Sent alert email "${title}" with ${batch.alerts.length} alert(s) to ${to}.`);
+        } catch (error) {
+            logger.error(`Error sending alert email "${title}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Queues an alert for the next email of its type.
+     *
+     * @param {Object} alert
+     * @param {string} alert.type One of the ALERT_TITLES keys.
+     * @param {string} [alert.sellerGroupName] Name of the seller group the message came from.
+     * @param {string} [alert.messageBody] The original seller message.
+     * @param {string} [alert.rawResponse] The raw text returned by Gemini.
+     * @param {string} [alert.target] The buyer group or session the alert relates to.
+     * @param {string} [alert.error] The error message.
+     */
+    function notify(alert) {
+        if (!enabled) {
+            return;
+        }
+        const type = alert.type || 'general';
+        if (!pendingBatches[type]) {
+            pendingBatches[type] = {
+                alerts: [],
+                timer: setTimeout(() => flush(type), batchWindowMs)
+            };
+        }
+        pendingBatches[type].alerts.push({ ...alert, timestamp: new Date().toISOString() });
+    }
+
+    // Sends every pending batch right away (e.g. before shutting down).
+    async function flushAll() {
+        await Promise.all(Object.keys(pendingBatches).map(flush));
+    }
+
+    return {
+        notify,
+        flushAll
+    };
+}
+
+module.exports = {
+    createEmailNotifier,
+    createMailTransportFromEnv
+};
@@ -1,137 +1,101 @@
 // geminiProcessor.js
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const winston = require('winston');
-const DailyRotateFile = require('winston-daily-rotate-file');
+const { createLlmProvider } = require('./llmProviders');
+const { LLM_SETTINGS, LLM_CACHE_SETTINGS } = require('./config');
+const { createResponseCache } = require('./responseCache');
+const { normalizeOfferFields, validateOfferFields } = require('./offerSchema');
+const { parseOfferText } = require('./offerParser');
+const { CROP_CATEGORIES_AND_STANDARDIZATION, UNKNOWN_CATEGORY, getCategories, getTaxonomyVersion, resolveCropName } = require('./cropTaxonomy');
+const { applyFormattingRules } = require('./messageFormatting');
+const { extractOffersOffline } = require('./offlineExtractor');
+const { translateOfferText, correctTranslation, describeCropTranslations } = require('./translationGlossary');
+const { getLanguageProfile } = require('./languages');
+const logger = require('./logger');
 
 // Load environment variables
 require('dotenv').config();
 
-// Configure logging
-const logFormat = winston.format.combine(
-    winston.format.timestamp({ format: 'YYYY-MM-DD, HH:mm:ss' }),
-    winston.format.printf(
-        info => `${info.timestamp} [${info.level.toUpperCase()}]: ${info.message}`
-    )
-);
-
-const logger = winston.createLogger({
-    level: 'info',
-    format: logFormat,
-    transports: [
-        new winston.transports.Console(),
-        new DailyRotateFile({
-            filename: 'logs/bot_activity-%DATE%.log',
-            datePattern: 'YYYY-MM-DD',
-            zippedArchive: true,
-            maxSize: '20m',
-            maxFiles: '14d'
-        })
-    ]
-});
-
-const API_KEY = process.env.GEMINI_API_KEY;
-if (!API_KEY) {
-    logger.error('GEMINI_API_KEY not found in .env file.');
-    throw new Error('GEMINI_API_KEY is not defined. Please set it in your .env file.');
+// The LLM backend (Gemini or the offline mock) is selected in config.js via LLM_SETTINGS.
+// Providers connect lazily, so loading this module never requires an API key.
+const defaultProvider = createLlmProvider(LLM_SETTINGS);
+
+// --- Response cache ---
+// Bump PROMPT_VERSION whenever the prompt or the processing of the response changes, so results
+// cached with the old prompt are no longer used.
+const PROMPT_VERSION = 'v6';
+const responseCache = createResponseCache(LLM_CACHE_SETTINGS);
+
+// Cache hit/miss counters and size, e.g. for status displays.
+function getResponseCacheStats() {
+    return responseCache.getStats();
 }
 
-const genAI = new GoogleGenerativeAI(API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-// --- CROP CATEGORIES AND STANDARDIZATION MAPPING ---
-// This mapping helps Gemini standardize crop names and assign categories.
-// Ensure these standardized names match your expectations for routing.
-const CROP_CATEGORIES_AND_STANDARDIZATION = {
-    "PULSES": {
-        "CHANA DAL": ["CHANA", "CHANA DAL", "GRAM", "SENAGA PAPPU"],
-        "TOOR DAL": ["TOOR", "TOOR DAL", "ARHAR", "TUR", "KANDI PAPPU", "KANDULU"],
-        "URAD DAL": ["URAD", "URAD DAL", "MINUMULU", "MINAPAPPU"],
-        "MOONG DAL": ["MOONG", "MOONG DAL", "MUNG", "MUNG DAL", "PESALU", "PESARA PAPPU"],
-        "MASUR DAL": ["MASUR", "MASUR DAL"],
-        "MATAR": ["MATAR", "MATAR DAL", "BATANI", "BATANI PAPPU"]
-    },
-    "SPICES": {
-        "TURMERIC": ["TURMERIC", "HALDI"],
-        "DHANIA": ["DHANIA", "CORIANDER"],
-        "CHILLI": ["CHILLI", "CHILLY", "CHILI", "MIRCHI"],
-        "JEERA": ["JEERA", "CUMIN"],
-        "SAUNF": ["SAUNF", "FENNEL"],
-        "METHI": ["METHI", "FENUGREEK"],
-        "KALONJI": ["KALONJI", "BLACK CUMIN"],
-        "AJWAIN": ["AJWAIN", "CAROM SEEDS"],
-        "BLACK PEPPER": ["BLACK PEPPER", "KALI MIRCH"]
-    },
-    "OILS": {
-        "COTTON OIL": ["COTTON", "COTTON OIL"],
-        "COTTON KHAL": ["COTTON KHAL"],
-        "RICE BRAN OIL": ["RICE BRAN", "RICE BRAN OIL"],
-        "GN SEED OIL": ["GN SEED", "GROUNDNUT SEED", "GNUT SEED"],
-        "GROUNDNUT OIL": ["GROUNDNUT", "GROUNDNUT OIL", "PALLI NUNE"],
-        "SESAME OIL": ["SESAME", "SESAME OIL", "TIL OIL"],
-        "CASTOR OIL": ["CASTOR", "CASTOR OIL"],
-        "KANDLA OIL": ["KANDLA", "KANDLA OIL"],
-        "SOYA OIL": ["SOYA", "SOYABEAN", "SOYA OIL"],
-        "PALM OIL": ["PALM", "PALM OIL"],
-        "VANASPATI GHEE": ["VANASPATI", "VANASPATI GHEE"],
-        "MUSTARD OIL": ["MUSTARD", "MUSTARD OIL", "SARSON"],
-        "ADANI WILMAR": ["ADANI WILMAR", "ADANI"],
-    },
-    "SUGAR": {
-        "SUGAR": ["SUGAR", "CHINI"],
-        "JAGGERY": ["JAGGERY", "GUD"]
-    },
-    "KIRANA": {
-        "KIRANA": ["KIRANA", "GROCERY"]
-    },
+// --- Circuit breaker around the LLM ---
+// After `circuitBreakerThreshold` failed calls in a row the breaker opens: for `circuitBreakerCooldownMs`
+// no calls are made and messages go straight to the offline extractor. The first call after the
+// cooldown is a trial; if it fails too, the breaker opens again right away.
+const circuitBreaker = {
+    consecutiveFailures: 0,
+    openUntil: 0
 };
 
-// Flatten the mapping for easy lookup by Gemini's prompt and local processing
-const FLATTENED_CROP_MAPPING = {};
-const STANDARDIZED_NAMES = new Set();
-const CATEGORIES = new Set();
-
-for (const category in CROP_CATEGORIES_AND_STANDARDIZATION) {
-    CATEGORIES.add(category);
-    for (const standardizedName in CROP_CATEGORIES_AND_STANDARDIZATION[category]) {
-        STANDARDIZED_NAMES.add(standardizedName);
-        for (const alias of CROP_CATEGORIES_AND_STANDARDIZATION[category][standardizedName]) {
-            FLATTENED_CROP_MAPPING[alias.toUpperCase()] = { standardizedName, category };
-        }
+function isCircuitOpen() {
+    return Date.now() < circuitBreaker.openUntil;
+}
+
+function recordApiFailure() {
+    circuitBreaker.consecutiveFailures++;
+    const failedTrialCall = circuitBreaker.openUntil > 0;
+    if (failedTrialCall || circuitBreaker.consecutiveFailures >= LLM_SETTINGS.circuitBreakerThreshold) {
+        circuitBreaker.openUntil = Date.now() + LLM_SETTINGS.circuitBreakerCooldownMs;
+        logger.warn(`LLM circuit breaker OPEN after ${circuitBreaker.consecutiveFailures} failure(s). Using the offline extractor until ${new Date(circuitBreaker.openUntil).toISOString()}.`);
     }
 }
 
-// Convert sets to arrays for the prompt
-const STANDARDIZED_NAMES_ARRAY = Array.from(STANDARDIZED_NAMES).join(', ');
-const CATEGORIES_ARRAY = Array.from(CATEGORIES).join(', ');
+function recordApiSuccess() {
+    if (circuitBreaker.openUntil > 0) {
+        logger.info('LLM circuit breaker CLOSED: the LLM is responding again.');
+    }
+    circuitBreaker.consecutiveFailures = 0;
+    circuitBreaker.openUntil = 0;
+}
 
-// --- NEW: Fallback mapping for specific PULSES crop names in Telugu ---
-// This ensures desired Telugu translations even if Gemini's isn't perfect.
-const PULSES_TELUGU_FALLBACK_MAPPING = {
-    "CHANA DAL": {
-        desired: "సెనగ పప్పు",
-        regex: /\b(CHANA\s*DAL|CHANA|GRAM|సెనగ దాల్|చెన దాల్|శనగ పప్పు)\b/gi
-    },
-    "TOOR DAL": {
-        desired: "కంది పప్పు",
-        regex: /\b(TOOR\s*DAL|TOOR|ARHAR|TUR|కంది దాల్|టూర్ దాల్)\b/gi
-    },
-    "URAD DAL": {
-        desired: "మినపప్పు",
-        regex: /\b(URAD\s*DAL|URAD|ఉరద్ దాల్)\b/gi
-    },
-    "MOONG DAL": {
-        desired: "పెసర పప్పు",
-        regex: /\b(MOONG\s*DAL|MOONG|MUNG|MUNG\s*DAL|మూంగ్ దాల్|ముంగ్ దాల్)\b/gi
-    },
-    "MASUR DAL": {
-        desired: "మసూర్ పప్పు",
-        regex: /\b(MASUR\s*DAL|MASUR|మసూర్ దాల్)\b/gi
-    },
-    "MATAR": {
-        desired: "బటానీ పప్పు",
-        regex: /\b(MATAR|MATAR\s*DAL|బటానీ|మటార్ దాల్)\b/gi
+// Current breaker state, e.g. for status displays.
+function getCircuitBreakerStatus() {
+    return {
+        open: isCircuitOpen(),
+        consecutiveFailures: circuitBreaker.consecutiveFailures,
+        openUntil: circuitBreaker.openUntil ? new Date(circuitBreaker.openUntil).toISOString() : null
+    };
+}
+
+// The standardized names for the prompt, each with its other aliases, e.g. "MASUR DAL (MASUR)".
+// Built from the current taxonomy, so aliases added in the web UI are used from the next message on.
+function describeStandardizedNames() {
+    const names = [];
+    for (const category in CROP_CATEGORIES_AND_STANDARDIZATION) {
+        for (const standardizedName in CROP_CATEGORIES_AND_STANDARDIZATION[category]) {
+            const aliases = CROP_CATEGORIES_AND_STANDARDIZATION[category][standardizedName].filter(alias => alias !== standardizedName);
+            names.push(aliases.length > 0 ? `${standardizedName} (${aliases.join(', ')})` : standardizedName);
+        }
     }
-};
+    return names.join(', ');
+}
+
+// Prompt lines with the fixed crop names for every target language that has a glossary.
+function describeGlossaryRules(targetLanguages) {
+    return targetLanguages
+        .filter(language => language !== 'en' && describeCropTranslations(language))
+        .map(language => `Ensure the crop names are translated to their specific ${getLanguageProfile(language).name} ('${language}') terms as follows:\n${describeCropTranslations(language)}`)
+        .join('\n\n');
+}
+
+// Runs the rule-based extractor when the LLM cannot be used. Its offers are marked low confidence.
+function extractWithOfflineFallback(messageContent, targetLanguages, diagnostics) {
+    const offers = extractOffersOffline(messageContent, targetLanguages);
+    diagnostics.usedOfflineFallback = true;
+    logger.warn(`Used the offline rule-based extractor: ${Object.keys(offers).length} low-confidence offer(s) found.`);
+    return offers;
+}
 
 /**
  * Extracts, standardizes, categorizes, and translates crop offers from a raw message using Gemini,
@@ -139,6 +103,16 @@ const PULSES_TELUGU_FALLBACK_MAPPING = {
  *
  * @param {string} messageContent The raw message content from a seller group.
  * @param {string[]} targetLanguages An array of language codes (e.g., ['en', 'te']) for translation.
+ * @param {Object} [options]
+ * @param {Object} [options.diagnostics] If given, this object is filled with `rawResponse` (the raw Gemini text)
+ * and `error` (set when the API call failed or its response could not be parsed), so callers can report failures.
+ * @param {Object} [options.provider] LLM provider to use instead of the one configured in LLM_SETTINGS (see llmProviders.js).
+ * @param {boolean} [options.useCache=true] If false, the response cache is neither read nor written.
+ * @param {boolean} [options.allowRetry=false] If true, transient API errors (rate limits, server errors) are thrown
+ * so the caller can retry later. Otherwise, and for all other API failures or while the circuit breaker is open,
+ * the offline rule-based extractor is used and its offers are marked `confidence: 'low'`
+ * (`diagnostics.usedOfflineFallback` is set). Results of successful LLM calls are cached (see responseCache.js);
+ * on a cache hit no API call is made and `diagnostics.cacheHit` is set.
  * @returns {Promise<Object>} A promise that resolves to an object where keys are standardized crop names
  * and values are objects containing the standardized name, category, and formatted messages for each target language.
  * Example:
@@ -147,78 +121,36 @@ const PULSES_TELUGU_FALLBACK_MAPPING = {
  * "standardizedName": "MOONG DAL",
  * "category": "PULSES",
  * "en": "KEKRI\\nNEW MOONG DAL: 6800-7200 (-50)\\nARRIVAL: 750-900 BAG",
- * "te": "కేక్రి\\nకొత్త పెసర పప్పు: 6800-7200 (-50)\\nరాబడులు: 750-900 సంచులు"
+ * "te": "కేక్రి\\nకొత్త పెసర పప్పు: 6800-7200 (-50)\\nరాబడులు: 750-900 సంచులు",
+ * "priceMin": 6800, "priceMax": 7200, "priceChange": -50, "unit": null,
+ * "arrivalMin": 750, "arrivalMax": 900, "arrivalUnit": "BAG", "market": "KEKRI",
+ * "validationErrors": [], "flagged": false
  * },
  * "SUGAR": { ... }
  * }
  */
-async function extractAndTranslateCropOffers(messageContent, targetLanguages = ['en']) {
+async function extractAndTranslateCropOffers(messageContent, targetLanguages = ['en'], options = {}) {
+    const diagnostics = options.diagnostics || {};
+    const provider = options.provider || defaultProvider;
     logger.info(`Attempting to process message with Gemini for extraction, standardization, categorization, and translation.`);
 
-    // Helper function to apply common formatting rules
-    const applyFormattingRules = (text) => {
-        let formatted = text;
-
-        // Rule: Remove lines with NA, NAD, NO SALES etc.
-        formatted = formatted.split('\n')
-            .filter(line => !/(NA|NAD|NO\s*SALE|NO\s*SALES|No\s*Sales|Not\s*Available|NO\s*RATE|NO\s*TRADING)/i.test(line))
-            .join('\n');
-
-        // Rule: Remove +0 and (+0)
-        formatted = formatted.replace(/\s?\(\+0\)\s?/g, '').replace(/\s?\+0\s?/g, '');
-
-        // Rule: (2 katta = 1 bag) i.e, half the quantity and replace "katta" with "bags"
-        formatted = formatted.replace(/(\d+)\s*-\s*(\d+)\s*KATTA/gi, (match, p1, p2) => {
-            const q1 = Math.ceil(parseInt(p1) / 2);
-            const q2 = Math.floor(parseInt(p2) / 2);
-            return `${q1}-${q2} BAG`;
-        });
-        formatted = formatted.replace(/(\d+)\s*KATTA/gi, (match, p1) => {
-            const q1 = Math.ceil(parseInt(p1) / 2);
-            return `${q1} BAG`;
-        });
-
-        // Rule: (1 quintal = 2 bags) i.e, double the quantity and replace "quintal(s)" with "bags"
-        formatted = formatted.replace(/(\d+)\s*-\s*(\d+)\s*QUINTAL(?:S)?/gi, (match, p1, p2) => {
-            const q1 = parseInt(p1) * 2;
-            const q2 = parseInt(p2) * 2;
-            return `${q1}-${q2} BAG`;
-        });
-        formatted = formatted.replace(/(\d+)\s*QUINTAL(?:S)?/gi, (match, p1) => {
-            const q1 = parseInt(p1) * 2;
-            return `${q1} BAG`;
-        });
-
-        // Rule: Remove mobile numbers and other personal/marketing info
-        formatted = formatted.replace(/\b(?:\+?\d{1,3}[-.\s]?)?(\d{10})\b/g, ''); // Phone numbers (more robust)
-        formatted = formatted.replace(/(?:CONTACT|CALL|DM|WHATSAPP|FOR DETAILS|TRIAL OFFER|INFORMATION IS INDICATIVE|AS AGGREGATED BY MARKET SOURCES|NAME\/CITY FOR FREE TRIAL|PULSES:|OILSEED:|SPICES:)\s*[:\d\s\-\/]*\S*/gi, ''); // Marketing/contact phrases
-        formatted = formatted.replace(/\S*@\S*\.\S*/g, ''); // Email addresses
-
-        // Rule: Format Market Names (e.g., "KEKRI MARKET" -> "KEKRI" on a new line)
-        let lines = formatted.split('\n');
-        formatted = lines.map(line => {
-            const marketMatch = line.match(/^(\w+(?:\s+\w+)*?)\s+MARKET/i);
-            if (marketMatch && marketMatch[1]) {
-                return marketMatch[1].toUpperCase() + (line.substring(marketMatch[0].length).trim() ? '\n' + line.substring(marketMatch[0].length).trim() : '');
-            }
-            return line;
-        }).join('\n');
-
-        // Rule: Put proper line and character spacing and capitalize the message
-        formatted = formatted.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0) // Remove empty lines after trimming
-            .join('\n');
-
-        // --- REMOVE ALL EMOJIS ---
-        formatted = formatted.replace(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F1E0}-\u{1F1FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F900}-\u{1F9FF}\u{1FAD0}-\u{1FADF}\u{1FA70}-\u{1FA7F}\u{1FA80}-\u{1FA8F}\u{1FA90}-\u{1FA9F}\u{2B50}\u{2B06}\u{2934}\u{2935}\u{2190}-\u{21FF}\u{2300}-\u{23FF}\u{2500}-\u{25FF}\u{2B00}-\u{2BFF}\u{2B50}]/gu, '');
-        formatted = formatted.replace(/👉/g, ''); // Explicitly remove specific arrow emoji
-
-        // Capitalize the entire message for consistency, but after market name handling
-        formatted = formatted.toUpperCase();
+    const useCache = options.useCache !== false;
+    const cacheKey = responseCache.makeKey(messageContent, targetLanguages, `${PROMPT_VERSION}|${getTaxonomyVersion()}|${provider.name}/${provider.model}`);
+    if (useCache) {
+        const cached = responseCache.get(cacheKey);
+        if (cached) {
+            logger.info(`Using cached LLM result for this message (${Object.keys(cached.offers).length} offer(s)).`);
+            diagnostics.cacheHit = true;
+            diagnostics.rawResponse = cached.rawResponse;
+            return cached.offers;
+        }
+    }
 
-        return formatted;
-    };
+    if (isCircuitOpen()) {
+        logger.warn('LLM circuit breaker is open. Skipping the API call.');
+        diagnostics.error = 'LLM circuit breaker is open after repeated API failures.';
+        return extractWithOfflineFallback(messageContent, targetLanguages, diagnostics);
+    }
 
     const initialPrompt = `You are an expert market data analyst for agricultural commodities.
 Analyze the following WhatsApp message containing crop market offers.
@@ -226,8 +158,8 @@ For each distinct crop offer, perform the following steps:
 
 1.  Extraction: Identify the crop name, prices, arrival quantities, and any associated market/location details.
     **IMPORTANT**: For crops appearing with different quality/origin names (e.g., 'Sudan', 'Mozambique Gajri' for 'Tur'), or **different markets/locations** (e.g., "Sugar from Kekri Market", "Sugar from Tonk Market"), treat each quality/origin/market as a *distinct offer*. Ensure the quality/origin/market is captured and included in the \`extractedName\` field and subsequently reflected in the \`details\` for each language. For example, if the input says "Tur Sudan", your extractedName should be "Tur Sudan". If it's "Sugar from Kekri Market", your extractedName should be "Sugar Kekri Market".
-2.  Standardization: Map the base crop name (e.g., "Tur" from "Tur Sudan") to one of the following standardized names: ${STANDARDIZED_NAMES_ARRAY}. If a crop doesn't match, try to infer the closest one or use a general category if unsure. The standardized name should *not* include the quality/origin/market.
-3.  Categorization: Assign each standardized crop to one of these categories: ${CATEGORIES_ARRAY}.
+2.  Standardization: Map the base crop name (e.g., "Tur" from "Tur Sudan") to one of the following standardized names (the names sellers use for them are in brackets): ${describeStandardizedNames()}. If a crop doesn't match, try to infer the closest one or use a general category if unsure. The standardized name should *not* include the quality/origin/market.
+3.  Categorization: Assign each standardized crop to one of these categories: ${getCategories().join(', ')}. Use "${UNKNOWN_CATEGORY}" if none fits.
 4.  Initial Formatting (English):
     * Preserve all relevant numerical data (prices, quantities) and units (e.g., KATTA, QUINTAL).
     * Preserve place names (state, district, city, village, local areas in India) exactly as they are, without alteration.
@@ -242,15 +174,9 @@ For each distinct crop offer, perform the following steps:
     * Remove all emojis (e.g., "👉", "✅").
 5.  Translation: Translate the final formatted English message into all specified target languages: ${targetLanguages.map(l => `'${l}'`).join(', ')}.
 
-VERY IMPORTANT TRANSLATION RULE FOR TELUGU (if 'te' or 'Telugu' is a target language):
+${targetLanguages.includes('te') ? `VERY IMPORTANT TRANSLATION RULE FOR TELUGU:
 When translating the word 'ARRIVAL' into Telugu, you MUST use 'రాబడులు' (Raabaḍulu). Do NOT use 'రాక' (rāka) or any other word for ARRIVAL. This is a strict and critical requirement.
-For PULSES, ensure the crop names are translated to their specific Telugu terms as follows:
-- CHANA DAL: సెనగ పప్పు
-- TOOR DAL: కంది పప్పు
-- URAD DAL: మినపప్పు
-- MOONG DAL: పెసర పప్పు
-- MASUR DAL: మసూర్ పప్పు
-- MATAR: బటానీ పప్పు
+` : ''}${describeGlossaryRules(targetLanguages)}
 
 Output Format:
 Provide the output as a JSON array of objects. The entire JSON must be enclosed in a single \`\`\`json block. Do not include any other text or characters outside of this block.
@@ -259,6 +185,15 @@ Each object should have:
 - standardizedName: The standardized base crop name (e.g., "TOOR DAL" for "Tur Sudan").
 - category: The category of the crop (from the provided list).
 - details: An object where keys are language codes (e.g., 'en', 'te') and values are the fully formatted and translated crop offer strings for that language.
+- priceMin: The lowest price as a plain number (e.g., 6800), taken from the formatted English text. Use the single price for both priceMin and priceMax if there is no range.
+- priceMax: The highest price as a plain number (e.g., 7200).
+- priceChange: The price change as a signed number (e.g., -50 for "(-50)", 25 for "+25"), or null if not stated.
+- unit: The unit the price is quoted in (e.g., "QUINTAL", "KG", "TIN"), or null if not stated.
+- arrivalMin: The lowest arrival quantity as a plain number after any KATTA/QUINTAL to BAG conversion, or null if not stated.
+- arrivalMax: The highest arrival quantity as a plain number, or null if not stated.
+- arrivalUnit: The unit of the arrival quantity after conversion (usually "BAG"), or null if not stated.
+- market: The market or location name (e.g., "KEKRI"), or null if not stated.
+The numeric fields MUST be numbers (not strings) and MUST match the numbers in the formatted English text exactly. Never guess a number that is not in the message.
 
 Example Output Format:
 \`\`\`json
@@ -270,7 +205,15 @@ Example Output Format:
     "details": {
       "en": "MUMBAI\\nTUR SUDAN: 6250-6300",
       "te": "ముంబై\\nటూర్ సూడాన్: 6250-6300"
-    }
+    },
+    "priceMin": 6250,
+    "priceMax": 6300,
+    "priceChange": null,
+    "unit": null,
+    "arrivalMin": null,
+    "arrivalMax": null,
+    "arrivalUnit": null,
+    "market": "MUMBAI"
   },
   {
     "extractedName": "CHANA TANZANIA",
@@ -279,7 +222,15 @@ Example Output Format:
     "details": {
       "en": "CHANA/KABULI\\nTANZANIA CHANA: 5750-5775",
       "te": "శనగ/కాబులి\\nటాంజానియా శనగ: 5750-5775"
-    }
+    },
+    "priceMin": 5750,
+    "priceMax": 5775,
+    "priceChange": null,
+    "unit": null,
+    "arrivalMin": null,
+    "arrivalMax": null,
+    "arrivalUnit": null,
+    "market": null
   },
   {
     "extractedName": "SUGAR KEKRI MARKET",
@@ -288,7 +239,15 @@ Example Output Format:
     "details": {
       "en": "KEKRI MARKET\\nSUGAR: 6800-7200\\nARRIVAL: 1500-1800 BAG",
       "te": "కేక్రి మార్కెట్\\nపంచదార: 6800-7200\\nరాబడులు: 1500-1800 సంచులు"
-    }
+    },
+    "priceMin": 6800,
+    "priceMax": 7200,
+    "priceChange": null,
+    "unit": null,
+    "arrivalMin": 1500,
+    "arrivalMax": 1800,
+    "arrivalUnit": "BAG",
+    "market": "KEKRI"
   }
 ]
 \`\`\`
@@ -300,24 +259,35 @@ ${messageContent}
 `;
 
     let apiResponse;
-    let extractedOffers = [];
     try {
-        apiResponse = await model.generateContent(initialPrompt);
+        apiResponse = await provider.generateText(initialPrompt, { input: messageContent });
+    } catch (error) {
+        logger.error(`Gemini API call failed (provider: ${provider.name}/${provider.model}): ${error.message}`);
+        diagnostics.error = error.message;
+        recordApiFailure();
+        if (error.transient && options.allowRetry) {
+            // Rate limits and server/network errors are worth retrying, so let the caller's queue handle them.
+            throw error;
+        }
+        return extractWithOfflineFallback(messageContent, targetLanguages, diagnostics);
+    }
 
+    let extractedOffers = [];
+    let usedLenientParsing = false;
+    try {
         let textResponse = '';
-        if (apiResponse && apiResponse.response && apiResponse.response.candidates &&
-            apiResponse.response.candidates.length > 0 &&
-            apiResponse.response.candidates[0].content &&
-            apiResponse.response.candidates[0].content.parts &&
-            apiResponse.response.candidates[0].content.parts.length > 0 &&
-            apiResponse.response.candidates[0].content.parts[0].text) {
-
-            textResponse = apiResponse.response.candidates[0].content.parts[0].text;
-            logger.info(`Gemini raw response (extracted): ${textResponse}`);
+        if (apiResponse.text) {
+            recordApiSuccess();
+            textResponse = apiResponse.text;
+            diagnostics.rawResponse = textResponse;
+            logger.info(`Gemini raw response (extracted, provider: ${provider.name}/${provider.model}): ${textResponse}`);
         } else {
             logger.error(`Gemini API response structure is invalid or missing expected text.`);
-            logger.error(`Full Gemini response object: ${JSON.stringify(apiResponse)}`);
-            return {};
+            logger.error(`Full Gemini response object: ${apiResponse.rawResponse}`);
+            diagnostics.rawResponse = apiResponse.rawResponse;
+            diagnostics.error = 'Gemini API response structure is invalid or missing expected text.';
+            recordApiFailure();
+            return extractWithOfflineFallback(messageContent, targetLanguages, diagnostics);
         }
 
         try {
@@ -339,28 +309,34 @@ ${messageContent}
             if (lenientResult.length > 0) {
                 extractedOffers = lenientResult.map(item => {
                     const baseCropName = item.extractedName.split(' ')[0].toUpperCase();
-                    const mapping = FLATTENED_CROP_MAPPING[baseCropName];
+                    const mapping = resolveCropName(baseCropName);
                     const standardizedName = mapping ? mapping.standardizedName : item.extractedName.toUpperCase();
-                    const category = mapping ? mapping.category : "UNKNOWN";
+                    const category = mapping ? mapping.category : UNKNOWN_CATEGORY;
 
                     const formattedEnglish = applyFormattingRules(item.details.en);
                     const details = { en: formattedEnglish };
 
-                    if (targetLanguages.includes('te')) {
-                        details.te = `Translation not available in lenient mode. Original: ${formattedEnglish}`;
+                    // Translate from the glossary; Gemini's own translations can't be trusted from a broken response
+                    for (const language of targetLanguages) {
+                        if (language !== 'en') {
+                            details[language] = translateOfferText(formattedEnglish, language).text;
+                        }
                     }
 
                     return {
+                        ...item,
                         extractedName: item.extractedName,
                         standardizedName: standardizedName,
                         category: category,
                         details: details
                     };
                 });
+                usedLenientParsing = true;
                 logger.warn("Successfully parsed with lenient fallback, but translation might be partial.");
             } else {
                 logger.warn("Lenient parsing also yielded no results.");
-                return {};
+                diagnostics.error = `Failed to parse Gemini's JSON response: ${parseError.message}`;
+                return extractWithOfflineFallback(messageContent, targetLanguages, diagnostics);
             }
         }
 
@@ -376,36 +352,60 @@ ${messageContent}
 
             standardizedName = standardizedName.toUpperCase();
             category = category.toUpperCase();
+            // A name the taxonomy knows always gets its crop and category, e.g. an alias mapped in the web UI
+            const mapping = resolveCropName(standardizedName);
+            if (mapping) {
+                standardizedName = mapping.standardizedName;
+                category = mapping.category;
+            }
 
-            if (details['te']) {
-                logger.info(`Telugu translation BEFORE "రాక" replacement for ${standardizedName}: "${details['te'].substring(0, 50)}..."`);
-                details['te'] = details['te'].replace(/రాక\s*[:\-–.]?/g, 'రాబడులు').trim();
-                logger.info(`Telugu translation AFTER "రాక" replacement for ${standardizedName}: "${details['te'].substring(0, 50)}..."`);
-
-                const currentStandardizedName = standardizedName.toUpperCase();
-                if (PULSES_TELUGU_FALLBACK_MAPPING[currentStandardizedName]) {
-                    const { desired: desiredTeluguName, regex: regexToReplace } = PULSES_TELUGU_FALLBACK_MAPPING[currentStandardizedName];
-
-                    logger.info(`Telugu translation BEFORE crop name replacement (${currentStandardizedName}): "${details['te'].substring(0, 50)}..."`);
-                    details['te'] = details['te'].replace(regexToReplace, desiredTeluguName);
-                    logger.info(`Telugu translation AFTER crop name replacement (${currentStandardizedName}): "${details['te'].substring(0, 50)}..."`);
+            // Post-correct the LLM's translations with the glossary (e.g. ARRIVAL must be రాబడులు in Telugu,
+            // crop names must use the fixed terms)
+            for (const language in details) {
+                if (language !== 'en' && typeof details[language] === 'string') {
+                    const corrected = correctTranslation(details[language], language);
+                    if (corrected !== details[language]) {
+                        logger.info(`Corrected ${language} translation for ${standardizedName}: "${details[language].substring(0, 50)}..." -> "${corrected.substring(0, 50)}..."`);
+                        details[language] = corrected;
+                    }
                 }
             }
 
+            // Structured numeric fields: use what Gemini returned, falling back to parsing the English text
+            // for fields it left out, then validate so questionable numbers are flagged rather than trusted.
+            const hasStructuredFields = cropOffer.priceMin !== undefined || cropOffer.priceMax !== undefined;
+            const structuredFields = normalizeOfferFields(hasStructuredFields ? cropOffer : parseOfferText(details.en));
+            const validationErrors = validateOfferFields(structuredFields, details.en);
+            if (!hasStructuredFields) {
+                validationErrors.push('Gemini did not return structured fields; values were parsed from the offer text');
+            }
+            if (validationErrors.length > 0) {
+                logger.warn(`Offer "${extractedName}" (${standardizedName}) failed validation: ${validationErrors.join('; ')}`);
+            }
+
             finalFormattedOffers[extractedName.toUpperCase()] = {
                 extractedName: extractedName,
                 standardizedName: standardizedName,
                 category: category,
-                ...details
+                ...details,
+                ...structuredFields,
+                validationErrors: validationErrors,
+                flagged: validationErrors.length > 0,
+                confidence: usedLenientParsing ? 'medium' : 'high',
+                source: 'llm'
             };
         }
 
         logger.info(`Successfully processed message with Gemini. Final offers: ${JSON.stringify(finalFormattedOffers, null, 2)}`);
+        if (useCache && Object.keys(finalFormattedOffers).length > 0) {
+            responseCache.set(cacheKey, { offers: finalFormattedOffers, rawResponse: diagnostics.rawResponse });
+        }
         return finalFormattedOffers;
 
     } catch (error) {
         logger.error(`An unexpected error occurred during Gemini processing: ${error.message}`);
-        logger.error(`Gemini raw API response (if available): ${apiResponse ? JSON.stringify(apiResponse) : 'undefined'}`);
+        logger.error(`Gemini raw API response (if available): ${apiResponse ? apiResponse.rawResponse : 'undefined'}`);
+        diagnostics.error = error.message;
         return {};
     }
 }
@@ -462,5 +462,7 @@ function parseLeniently(text) {
 }
 
 module.exports = {
-    extractAndTranslateCropOffers
+    extractAndTranslateCropOffers,
+    getCircuitBreakerStatus,
+    getResponseCacheStats
 };
\ No newline at end of file
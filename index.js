@@ -1,67 +1,432 @@
 // index.js
 
 const fs = require('fs');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const path = require('path');
+const { MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const QRCode = require('qrcode');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const winston = require('winston');
-const DailyRotateFile = require('winston-daily-rotate-file');
 require('dotenv').config(); // Load environment variables from .env file
 
 // --- Configuration ---
 // Import configuration from config.js
-// IMPORTANT: Now also importing ALL_UPDATES_GROUP_ID
-const { SELLER_GROUP_IDS, BUYER_GROUP_MAPPING, TARGET_LANGUAGES, ALL_UPDATES_GROUP_ID } = require('./config');
+// Group routing (seller/buyer/All Updates groups and target languages) is loaded from the routing file, see routingConfig.js
+const { ROUTING_SETTINGS, SESSION_SETTINGS, QUEUE_SETTINGS, EMAIL_ALERT_SETTINGS, DELIVERY_SETTINGS, REPORT_SETTINGS, MEDIA_SETTINGS, TRANSCRIPTION_SETTINGS, LLM_SETTINGS, DUPLICATE_SETTINGS, PRIVATE_MESSAGE_SETTINGS, ADMIN_PHONE_NUMBERS, API_TOKEN } = require('./config');
 
 // Import Gemini processing module
-const { extractAndTranslateCropOffers } = require('./geminiProcessor');
+const { extractAndTranslateCropOffers, getCircuitBreakerStatus, getResponseCacheStats } = require('./geminiProcessor');
+
+// Shared logger (console + daily rotating file in ./logs)
+const logger = require('./logger');
+const { createMessageQueue } = require('./messageQueue');
+const { createEmailNotifier, createMailTransportFromEnv } = require('./emailNotifier');
+const { createMarketStore } = require('./marketStore');
+const { createAdminCommands } = require('./adminCommands');
+const { createRoutingConfig, findUnknownGroups } = require('./routingConfig');
+const { createDraftStore } = require('./draftStore');
+const { createDigestCollector } = require('./digestCollector');
+const { scheduleDaily, scheduleWeekly } = require('./scheduler');
+const { createDuplicateDetector } = require('./duplicateDetector');
+const { createWatchlist } = require('./watchlist');
+const { createBuyerCommands } = require('./buyerCommands');
+const { createSubscriptionStore } = require('./subscriptionStore');
+const { createRateQueries } = require('./rateQueries');
+const { createReportGenerator } = require('./reportGenerator');
+const { createAnalyticsRouter } = require('./analyticsRoutes');
+const { createApiRouter } = require('./apiRoutes');
+const { createMediaExtractor } = require('./mediaExtractor');
+const { createLlmProvider } = require('./llmProviders');
+const { createTranscriber } = require('./transcriber');
+const { getLanguageProfile } = require('./languages');
+const { CROP_CATEGORIES_AND_STANDARDIZATION, saveTaxonomy, updateTaxonomy, watchTaxonomyFile } = require('./cropTaxonomy');
+const { createUnmappedCropQueue } = require('./unmappedCrops');
+const { createSessionManager } = require('./sessionManager');
 
 // --- File Paths and Directories ---
 const SESSION_DATA_PATH = './.wwebjs_auth';
-const LOGS_DIR = './logs';
-const LOG_FILE_PREFIX = 'bot_activity';
-const MARKET_STATS_FILE = './market_stats.json'; // File to store market statistics
+const DATA_DIR = './data';
+const MARKET_HISTORY_FILE = `${DATA_DIR}/market_offers.jsonl`; // Append-only price history, one offer per line
+const MESSAGE_QUEUE_FILE = `${DATA_DIR}/message_queue.json`; // Pending seller messages, survives restarts
+const REVIEW_DRAFTS_FILE = `${DATA_DIR}/review_drafts.json`; // Messages held for approval in review mode
+const DIGEST_FILE = `${DATA_DIR}/digest_pending.json`; // Offers waiting for the next scheduled digest
+const DUPLICATES_FILE = `${DATA_DIR}/duplicate_fingerprints.json`; // Recent message fingerprints and passed-on offers
+const SUPPRESSED_LOG_FILE = `${DATA_DIR}/suppressed_items.jsonl`; // Every duplicate message and offer that was skipped
+const WATCHLIST_FILE = `${DATA_DIR}/watchlists.json`; // Buyers' price alert rules
+const SUBSCRIPTIONS_FILE = `${DATA_DIR}/subscriptions.json`; // Buyers subscribed to offers by direct message
+const PRIVATE_OUTBOX_FILE = `${DATA_DIR}/private_outbox.json`; // Direct messages to buyers waiting to be sent
+const UNMAPPED_CROPS_FILE = `${DATA_DIR}/unmapped_crops.json`; // Crop names the taxonomy doesn't know yet
+const REPORTS_DIR = `${DATA_DIR}/reports`; // End-of-day market reports (CSV and PDF/PNG)
+const MEDIA_DIR = `${DATA_DIR}/media`; // Rate sheets and voice notes sellers posted, kept for audit
 
-// --- Global Automation Toggle ---
-let botAutomationEnabled = false; // Automation is OFF by default
+// --- Global Automation Mode ---
+// 'off':    seller messages are ignored.
+// 'on':     offers are sent to the buyer groups straight away.
+// 'review': offers are held as drafts until an operator approves them in the web UI.
+const AUTOMATION_MODES = ['off', 'on', 'review'];
+let botAutomationMode = 'off'; // Automation is OFF by default
+let knownGroups = null; // [{ id, name }] of the groups the logged-in sessions are in, filled in by the 'ready' handler
+
+// Changes the automation mode (from the web UI, an admin command or the REST API) and tells every
+// connected web UI. Returns false if the mode is unknown.
+function setAutomationMode(mode, source) {
+    if (!AUTOMATION_MODES.includes(mode)) {
+        logger.warn(`Ignored unknown automation mode "${mode}" from ${source}.`);
+        return false;
+    }
+    botAutomationMode = mode;
+    logger.info(`Bot automation turned ${botAutomationMode.toUpperCase()} via ${source}.`);
+    io.emit('automation_status', botAutomationMode); // Broadcast new status to all connected clients
+    return true;
+}
 
 // --- Ensure necessary directories exist ---
 if (!fs.existsSync(SESSION_DATA_PATH)) {
     fs.mkdirSync(SESSION_DATA_PATH, { recursive: true });
 }
-if (!fs.existsSync(LOGS_DIR)) {
-    fs.mkdirSync(LOGS_DIR, { recursive: true });
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// --- Email Alerts ---
+// Failures are emailed to ERROR_RECIPIENT_EMAIL; alerts of the same type are batched into one email.
+const alertNotifier = createEmailNotifier({
+    transport: createMailTransportFromEnv(),
+    from: process.env.NODEMAILER_FROM || process.env.NODEMAILER_EMAIL,
+    to: process.env.ERROR_RECIPIENT_EMAIL,
+    ...EMAIL_ALERT_SETTINGS
+});
+
+// --- Review Drafts ---
+const draftStore = createDraftStore({ filePath: REVIEW_DRAFTS_FILE });
+
+// --- Scheduled Digests ---
+const digestCollector = createDigestCollector({ filePath: DIGEST_FILE });
+let digestSchedule = null; // Started in the 'ready' handler when DELIVERY_SETTINGS.mode is 'digest'
+if (!['immediate', 'digest'].includes(DELIVERY_SETTINGS.mode)) {
+    logger.warn(`Unknown delivery mode "${DELIVERY_SETTINGS.mode}" in DELIVERY_SETTINGS; offers will be sent immediately.`);
+}
+
+// Sends all collected offers as one bulletin per category and language (digest mode). While
+// automation is OFF nothing is sent and the offers wait for the next digest; in review mode the
+// bulletins are held as drafts.
+async function sendDigest() {
+    if (botAutomationMode === 'off') {
+        logger.info(`Digest time, but automation is OFF; keeping ${digestCollector.getStats().offers} offer(s) for the next digest.`);
+        return;
+    }
+    if (!sessionManager.isRoleReady('sender')) {
+        logger.warn(`No WhatsApp session is ready to send; keeping ${digestCollector.getStats().offers} offer(s) for the next digest.`);
+        return;
+    }
+    const { offers, sellerGroupNames } = digestCollector.takeOffers();
+    const count = Object.keys(offers).length;
+    if (count === 0) {
+        logger.info('Digest time, but no offers were collected since the last digest.');
+        return;
+    }
+    logger.info(`Sending digest with ${count} offer(s) from ${sellerGroupNames.length} seller group(s).`);
+    io.emit('status', { message: `Sending digest with ${count} offer(s).` });
+    await sendOffersToBuyerGroups(offers, {
+        sellerGroupName: `Digest (${sellerGroupNames.join(', ')})`,
+        sellerMessage: `Digest of ${count} offer(s) from: ${sellerGroupNames.join(', ')}`,
+        routing: routingConfig.get()
+    });
+    // In review mode the subscribers get the offers once a digest draft is approved (see approveDraft)
+    if (botAutomationMode !== 'review') {
+        sendOffersToSubscribers(offers, { sellerGroupName: 'Digest' });
+    }
+}
+
+// --- Duplicate Detection ---
+const duplicateDetector = createDuplicateDetector({
+    filePath: DUPLICATES_FILE,
+    suppressedLogPath: SUPPRESSED_LOG_FILE,
+    ...DUPLICATE_SETTINGS
+});
+
+// --- Market Price History ---
+const marketStore = createMarketStore({ filePath: MARKET_HISTORY_FILE });
+
+// --- Direct Messages to Buyers ---
+// Subscription offers and price alerts are queued and sent at a limited rate (see PRIVATE_MESSAGE_SETTINGS).
+const privateOutbox = createMessageQueue({
+    filePath: PRIVATE_OUTBOX_FILE,
+    worker: async ({ chatId, text }) => {
+        await getSenderClient().sendMessage(chatId, text);
+    },
+    requestsPerMinute: PRIVATE_MESSAGE_SETTINGS.messagesPerMinute,
+    maxAttempts: PRIVATE_MESSAGE_SETTINGS.maxAttempts,
+    onJobFailed: (job, error) => logger.error(`Giving up on direct message to ${job.payload.chatId} after ${job.attempts} attempts: ${error.message}`)
+});
+
+// --- Private Subscriptions ---
+const subscriptions = createSubscriptionStore({ filePath: SUBSCRIPTIONS_FILE });
+
+/**
+ * Sends each subscribed buyer the offers matching their subscriptions, as one direct message per
+ * buyer and language. In review mode it is called for the offers of each approved draft instead of
+ * for every seller message, since held offers may still be rejected.
+ *
+ * @param {Object} processedOffers Offers keyed by extracted name (as returned by extractAndTranslateCropOffers).
+ * @param {Object} context
+ * @param {string} context.sellerGroupName Where the offers came from, for logs.
+ */
+function sendOffersToSubscribers(processedOffers, { sellerGroupName }) {
+    const messages = {}; // "chatId|language" -> { chatId, language, texts }
+    for (const extractedName in processedOffers) {
+        const offer = processedOffers[extractedName];
+        for (const subscription of subscriptions.findSubscribers(offer)) {
+            const text = offer[subscription.language] || offer.en;
+            const key = `${subscription.chatId}|${subscription.language}`;
+            if (!messages[key]) {
+                messages[key] = { chatId: subscription.chatId, language: subscription.language, texts: [] };
+            }
+            // A buyer subscribed to both a crop and its category gets the offer only once
+            if (text && !messages[key].texts.includes(text)) {
+                messages[key].texts.push(text);
+            }
+        }
+    }
+
+    for (const key in messages) {
+        const { chatId, language, texts } = messages[key];
+        if (texts.length === 0) {
+            continue;
+        }
+        privateOutbox.enqueue({ chatId, text: texts.join(`\n\n${getLanguageProfile(language).offerSeparator}\n\n`) });
+    }
+    const count = Object.keys(messages).length;
+    if (count > 0) {
+        logger.info(`Queued offers from "${sellerGroupName}" for ${count} private subscriber message(s).`);
+    }
+}
+
+// --- Media Bulletins (images, PDFs and voice notes) ---
+const mediaExtractor = createMediaExtractor({
+    mediaDir: MEDIA_DIR,
+    method: MEDIA_SETTINGS.method,
+    provider: createLlmProvider(LLM_SETTINGS),
+    maxSizeBytes: MEDIA_SETTINGS.maxSizeMb * 1024 * 1024,
+    ocrLanguages: MEDIA_SETTINGS.ocrLanguages
+});
+const transcriber = createTranscriber(TRANSCRIPTION_SETTINGS);
+
+// Downloads a seller's photo, PDF or voice note into data/media. Returns `{ path, mimetype }`, or null
+// if the attachment can't be read as a bulletin (the caption, if any, is still processed).
+async function saveSellerMedia(msg, sellerGroupName) {
+    // Only photos, documents and voice notes can be rate updates; videos and stickers are not downloaded
+    const readableTypes = [
+        ...(MEDIA_SETTINGS.enabled ? ['image', 'document'] : []),
+        ...(TRANSCRIPTION_SETTINGS.enabled ? ['ptt', 'audio'] : [])
+    ];
+    if (!readableTypes.includes(msg.type)) {
+        logger.info(`Ignored ${msg.type} attachment from seller group "${sellerGroupName}".`);
+        return null;
+    }
+    try {
+        const media = await msg.downloadMedia();
+        if (!media || !media.data) {
+            logger.warn(`Could not download the ${msg.type} from seller group "${sellerGroupName}".`);
+            return null;
+        }
+        if (!mediaExtractor.isSupported(media.mimetype)) {
+            logger.info(`Ignored ${media.mimetype} attachment from seller group "${sellerGroupName}" (only images, PDFs and audio are read).`);
+            return null;
+        }
+        const filePath = mediaExtractor.saveMedia(media);
+        logger.info(`Saved ${media.mimetype} from seller group "${sellerGroupName}" as ${filePath}.`);
+        return { path: filePath, mimetype: media.mimetype };
+    } catch (error) {
+        logger.error(`Error saving media from seller group "${sellerGroupName}": ${error.message}`);
+        io.emit('status', { message: `⚠️ Could not save the ${msg.type} from "${sellerGroupName}": ${error.message}` });
+        return null;
+    }
+}
+
+// --- Market Reports ---
+const reportGenerator = createReportGenerator({
+    marketStore,
+    outputDir: REPORTS_DIR,
+    format: REPORT_SETTINGS.format,
+    topMoversCount: REPORT_SETTINGS.topMoversCount
+});
+let reportSchedule = null; // Started in the 'ready' handler when REPORT_SETTINGS.postTimes is set
+let weeklyReportSchedule = null; // Likewise for REPORT_SETTINGS.weeklyPostTimes
+
+// Sends a generated report to a group as a document (or image for PNG reports), with the summary as caption.
+async function sendReport(groupId, { csvPath, documentPath, summary }, target) {
+    try {
+        const media = MessageMedia.fromFilePath(documentPath || csvPath);
+        await getSenderClient().sendMessage(groupId, media, {
+            caption: summary,
+            sendMediaAsDocument: !documentPath || REPORT_SETTINGS.format === 'pdf'
+        });
+        logger.info(`✅ Sent market report to ${target}.`);
+    } catch (sendError) {
+        logger.error(`Error sending market report to ${target}: ${sendError.message}`);
+        alertNotifier.notify({
+            type: 'send_failure',
+            sellerGroupName: 'Market report',
+            messageBody: summary,
+            target: `${target} - ${groupId}`,
+            error: sendError.message
+        });
+    }
 }
 
-// --- Logger Setup ---
-const logFormat = winston.format.printf(({ level, message, timestamp }) => {
-    return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+// Generates the reports for today ('day') or the week ending today ('week') and posts them: each buyer
+// group gets its category's report and the "All Updates" group the full one. Reports are only posted
+// while automation is ON.
+async function postReports(period) {
+    const periodName = period === 'week' ? 'this week' : 'today';
+    const canSend = sessionManager.isRoleReady('sender');
+    const post = canSend && botAutomationMode === 'on';
+    if (!post) {
+        logger.info(`Generating the market report for ${periodName} without posting it (automation ${botAutomationMode.toUpperCase()}${canSend ? '' : ', no WhatsApp session ready to send'}).`);
+    }
+    const { buyerGroupMapping, allUpdatesGroupId } = routingConfig.get();
+
+    if (post) {
+        for (const category in buyerGroupMapping) {
+            const result = await reportGenerator.generateReport({ category, period });
+            if (result.report.entryCount === 0) {
+                logger.info(`No ${category} offers ${periodName}; no report posted for this category.`);
+                continue;
+            }
+            for (const language in buyerGroupMapping[category]) {
+                await sendReport(buyerGroupMapping[category][language], result, `${category} (${language})`);
+            }
+        }
+    }
+
+    const fullReport = await reportGenerator.generateReport({ period });
+    if (post && allUpdatesGroupId && fullReport.report.entryCount > 0) {
+        await sendReport(allUpdatesGroupId, fullReport, 'All Updates');
+    }
+    io.emit('reports', reportGenerator.listReports());
+}
+
+// --- Price Alerts ---
+const watchlist = createWatchlist({ filePath: WATCHLIST_FILE });
+
+/**
+ * Compares each new history row with the previous price for the same crop and market, and sends
+ * an alert to every chat whose watch rule matches. Flagged offers are skipped, since their prices
+ * failed validation or were rejected in review, and are never used as the previous price either.
+ *
+ * @param {Object[]} rows History rows of offers that were just passed on (see marketStore.js).
+ */
+function sendPriceAlerts(rows) {
+    for (const row of rows) {
+        if (row.flagged || !row.standardizedName) {
+            continue;
+        }
+        // Without a market there is no previous price to compare with (only ABOVE/BELOW can match)
+        const [previousRow] = row.market
+            ? marketStore.queryOffers({ standardizedName: row.standardizedName, market: row.market, until: row.timestamp, limit: 1, includeFlagged: false })
+            : [];
+        for (const alert of watchlist.findAlerts(row, previousRow || null)) {
+            privateOutbox.enqueue({ chatId: alert.chatId, text: alert.text });
+            logger.info(`Queued price alert for ${row.standardizedName} to ${alert.chatId}.`);
+        }
+    }
+}
+
+// --- Group Routing ---
+// Reloaded automatically when the routing file changes; always read it through routingConfig.get().
+const routingConfig = createRoutingConfig({
+    ...ROUTING_SETTINGS,
+    onReload: () => {
+        io.emit('status', { message: '🔄 Routing file reloaded.' });
+        emitRoutingData(io);
+        warnAboutRoutingProblems();
+    },
+    onReloadError: (error) => {
+        io.emit('status', { message: `❌ Routing file has errors, keeping the previous routing: ${error.validationErrors ? error.validationErrors.join('; ') : error.message}` });
+    }
 });
 
-const logger = winston.createLogger({
-    level: 'info', // Log level: info, debug, warn, error
-    format: winston.format.combine(
-        winston.format.timestamp({ format: 'DD-MM-YYYY, HH:mm:ss' }),
-        logFormat
-    ),
-    transports: [
-        new winston.transports.Console(), // Log to console
-        new DailyRotateFile({
-            filename: `${LOG_FILE_PREFIX}-%DATE%.log`,
-            datePattern: 'YYYY-MM-DD',
-            zippedArchive: true,
-            maxSize: '20m',
-            maxFiles: '14d',
-            dirname: LOGS_DIR
-        }) // Log to daily rotating file
-    ],
+// --- Crop taxonomy ---
+// Edited in the web UI; hand edits of the taxonomy file are picked up as well.
+const unmappedCrops = createUnmappedCropQueue({ filePath: UNMAPPED_CROPS_FILE });
+
+watchTaxonomyFile({
+    onReload: () => {
+        io.emit('status', { message: '🔄 Crop taxonomy file reloaded.' });
+        emitTaxonomyData(io);
+        emitRoutingData(io);
+    },
+    onReloadError: (error) => {
+        io.emit('status', { message: `❌ Crop taxonomy file has errors, keeping the previous taxonomy: ${error.validationErrors ? error.validationErrors.join('; ') : error.message}` });
+    }
 });
 
-// --- WhatsApp Client Initialization ---
-const client = new Client({
-    authStrategy: new LocalAuth({ dataPath: SESSION_DATA_PATH }),
+/**
+ * Applies a taxonomy edit from the web UI (see updateTaxonomy in cropTaxonomy.js). Buyer groups of a
+ * renamed or merged category move along with it, so the routing stays valid. If the target category
+ * already has buyer groups, those are kept; buyer groups of a removed category are dropped. Buyers'
+ * subscriptions follow renamed and merged categories and crops, and so do their watch rules.
+ * The taxonomy and the routing change together: if the routing can't be saved, the edit is undone.
+ *
+ * @param {Object} change
+ * @returns {string} What was done.
+ */
+function applyTaxonomyChange(change) {
+    const previousTaxonomy = JSON.parse(JSON.stringify(CROP_CATEGORIES_AND_STANDARDIZATION));
+    const { summary, categoryChanges, cropChanges } = updateTaxonomy(change);
+    if (categoryChanges.length > 0) {
+        const routing = routingConfig.get();
+        const buyerGroupMapping = { ...routing.buyerGroupMapping };
+        for (const { from, to } of categoryChanges) {
+            if (!buyerGroupMapping[from]) {
+                continue;
+            }
+            if (to && !buyerGroupMapping[to]) {
+                buyerGroupMapping[to] = buyerGroupMapping[from];
+            } else {
+                logger.warn(`Dropped the buyer groups of category ${from} from the routing (${to ? `${to} has its own` : 'category removed'}).`);
+            }
+            delete buyerGroupMapping[from];
+        }
+        try {
+            routingConfig.save({ ...routing, buyerGroupMapping });
+        } catch (error) {
+            saveTaxonomy(previousTaxonomy);
+            logger.error(`Undid the crop taxonomy change because the routing could not be updated: ${error.message}`);
+            throw error;
+        }
+    }
+    for (const { from, to } of categoryChanges) {
+        subscriptions.renameSubscriptions('category', from, to);
+    }
+    for (const { from, to } of cropChanges) {
+        subscriptions.renameSubscriptions('crop', from, to);
+        watchlist.renameCrop(from, to);
+    }
+    return summary;
+}
+
+// Warns about configured group IDs that are placeholders or not groups this account is in.
+// Only possible once the chat list is known (after the 'ready' event).
+function warnAboutRoutingProblems() {
+    if (!knownGroups) {
+        return;
+    }
+    const warnings = findUnknownGroups(routingConfig.get(), knownGroups.map(group => group.id));
+    warnings.forEach(warning => logger.warn(`⚠️ Routing: ${warning}`));
+    if (warnings.length > 0) {
+        io.emit('status', { message: `⚠️ ${warnings.length} routing problem(s) found, see the log for details.` });
+    }
+}
+
+// --- WhatsApp Sessions ---
+// One WhatsApp Web client per session in SESSION_SETTINGS. The "reader" session reads the seller
+// groups, the "sender" session sends everything; both roles fail over to a standby session.
+const sessionManager = createSessionManager({
+    ...SESSION_SETTINGS,
+    dataPath: SESSION_DATA_PATH,
     puppeteer: {
         headless: false, // Set to true for production, false for debugging
         args: [
@@ -71,54 +436,121 @@ const client = new Client({
             '--disable-gpu',
             '--start-maximized'
         ]
+    },
+    onQr: (name, qr) => {
+        qrcode.generate(qr, { small: true }); // Generate and display QR code in terminal
+        io.emit('status', { message: `Scan the QR code of WhatsApp session "${name}" with WhatsApp Linked Devices.` });
+    },
+    onReady: handleSessionReady,
+    onMessage: handleIncomingMessage,
+    onRoleChange: ({ role, from, to, reason }) => {
+        const description = to
+            ? `WhatsApp session "${to}" took over as ${role}${from ? ` from "${from}"` : ''} (${reason}).`
+            : `No WhatsApp session is ready to be the ${role} (${reason}). ${role === 'reader' ? 'Seller messages are not read' : 'Nothing can be sent'} until a session is ready.`;
+        io.emit('status', { message: `${to ? '🔁' : '🔴'} ${description}` });
+        if (from) {
+            alertNotifier.notify({ type: 'whatsapp_connection', error: description });
+        }
+    },
+    onProblem: (name, description) => {
+        io.emit('status', { message: `🔴 WhatsApp session "${name}": ${description}` });
+        alertNotifier.notify({ type: 'whatsapp_connection', error: `WhatsApp session "${name}": ${description}` });
+    },
+    onChange: () => {
+        emitSessionStatus(io);
     }
 });
 
-// --- WhatsApp Client Event Listeners ---
-client.on('qr', (qr) => {
-    logger.info('QR Code received. Scan with WhatsApp Linked Devices.');
-    qrcode.generate(qr, { small: true }); // Generate and display QR code in terminal
-    io.emit('qr', qr); // Emit QR code to web UI
-});
+// The client to send with; throws if no session can send, so the caller's error handling (alerts, retries) applies.
+function getSenderClient() {
+    const client = sessionManager.getClient('sender');
+    if (!client) {
+        throw new Error('No WhatsApp session is ready to send.');
+    }
+    return client;
+}
 
-client.on('ready', async () => {
-    logger.info('✅ WhatsApp Bot is ready!');
-    io.emit('ready', { status: 'Bot is ready!' }); // Emit ready status to web UI
+async function handleSessionReady(name) {
+    io.emit('ready', { status: `WhatsApp session "${name}" is ready!` }); // Emit ready status to web UI
 
-    // Attempt to retrieve chats and list group IDs for debugging/verification
-    try {
-        const chats = await client.getChats();
-        logger.info('Attempting to retrieve chats and list group IDs...');
-        chats.forEach(chat => {
-            if (chat.isGroup) {
-                logger.info(`- NAME: "${chat.name}" | ID: "${chat.id._serialized}"`);
-            }
-        });
-    } catch (error) {
-        logger.error(`Error retrieving chats: ${error.message}`);
-    }
-});
+    // Start working through queued seller messages (including any left over from a previous run)
+    messageQueue.start();
+    privateOutbox.start();
 
-client.on('auth_failure', msg => {
-    logger.warn('❌ Authentication failure! Please re-scan QR. Message: ' + msg);
-    io.emit('auth_failure', { message: 'Authentication failure! Please re-scan QR.' });
-});
+    if (DELIVERY_SETTINGS.mode === 'digest' && !digestSchedule) {
+        digestSchedule = scheduleDaily(DELIVERY_SETTINGS.digestTimes, sendDigest, 'digest');
+    }
+    if (REPORT_SETTINGS.postTimes.length > 0 && !reportSchedule) {
+        reportSchedule = scheduleDaily(REPORT_SETTINGS.postTimes, () => postReports('day'), 'market report');
+    }
+    if (REPORT_SETTINGS.weeklyPostTimes.length > 0 && !weeklyReportSchedule) {
+        weeklyReportSchedule = scheduleWeekly(REPORT_SETTINGS.weeklyPostDay, REPORT_SETTINGS.weeklyPostTimes, () => postReports('week'), 'weekly market report');
+    }
 
-client.on('disconnected', reason => {
-    logger.warn('🔴 WhatsApp Client disconnected! Reason: ' + reason);
-    io.emit('disconnected', { reason: reason });
-});
+    // Retrieve the group list for verification and for the web UI routing editor
+    await loadGroupChats();
+    warnAboutRoutingProblems();
+}
 
-// --- WhatsApp Client Message Handler ---
-client.on('message', async (msg) => {
-    logger.info(`[RAW MESSAGE] From: ${msg.from}, IsGroup: ${msg.isGroup}, Body: ${msg.body.substring(0, 100)}...`);
+// Fetches the groups the ready sessions are in, logs their names and IDs, and sends them to the web UI.
+async function loadGroupChats() {
+    const groups = new Map();
+    for (const { name, client } of sessionManager.getReadyClients()) {
+        try {
+            logger.info(`Attempting to retrieve chats and list group IDs of WhatsApp session "${name}"...`);
+            const chats = await client.getChats();
+            chats.forEach(chat => {
+                if (chat.isGroup && !groups.has(chat.id._serialized)) {
+                    logger.info(`- NAME: "${chat.name}" | ID: "${chat.id._serialized}"`);
+                    groups.set(chat.id._serialized, { id: chat.id._serialized, name: chat.name });
+                }
+            });
+        } catch (error) {
+            logger.error(`Error retrieving chats of WhatsApp session "${name}": ${error.message}`);
+        }
+    }
+    knownGroups = Array.from(groups.values()).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    emitRoutingData(io);
+}
 
+// --- WhatsApp Message Handler ---
+// Called for every message of every session. A group message reaches every session in the group, so
+// it is handled once: seller groups by the reader session, other groups by the sender session.
+// Direct messages are answered by the session they were sent to.
+async function handleIncomingMessage(msg, sessionName) {
     // Determine if it's actually a group message, accounting for msg.isGroup being undefined
     const isActuallyGroup = msg.isGroup === true || (typeof msg.isGroup === 'undefined' && msg.from.endsWith('@g.us'));
+    if (isActuallyGroup) {
+        const role = routingConfig.get().sellerGroupIds.includes(msg.from) ? 'reader' : 'sender';
+        if (sessionManager.getActiveSession(role) !== sessionName) {
+            return;
+        }
+    }
+    logger.info(`[RAW MESSAGE] Session: ${sessionName}, From: ${msg.from}, IsGroup: ${msg.isGroup}, Body: ${msg.body.substring(0, 100)}...`);
+
+    // Direct messages starting with "!" are admin commands; they work whether automation is on or off
+    if (!isActuallyGroup && adminCommands.isCommand(msg.body)) {
+        await handleAdminMessage(msg);
+        return;
+    }
+
+    // Buyer commands (SUBSCRIBE, WATCH, ...) are open to everyone in direct messages
+    if (!isActuallyGroup && buyerCommands.isCommand(msg.body)) {
+        await handleBuyerMessage(msg);
+        return;
+    }
+
+    const { sellerGroupIds } = routingConfig.get();
+
+    // "RATE <crop> [market]" is answered in direct messages and in any group except the seller groups
+    if (rateQueries.isQuery(msg.body) && !(isActuallyGroup && sellerGroupIds.includes(msg.from))) {
+        await handleRateQuery(msg, isActuallyGroup);
+        return;
+    }
 
     // Skip messages if automation is off, or if it's not a group message, or not from a seller group
-    if (!botAutomationEnabled || !isActuallyGroup || !SELLER_GROUP_IDS.includes(msg.from)) {
-        if (isActuallyGroup && SELLER_GROUP_IDS.includes(msg.from) && !botAutomationEnabled) {
+    if (botAutomationMode === 'off' || !isActuallyGroup || !sellerGroupIds.includes(msg.from)) {
+        if (isActuallyGroup && sellerGroupIds.includes(msg.from) && botAutomationMode === 'off') {
             // Log that a message from a seller group was received but automation is OFF.
             const chat = await msg.getChat();
             logger.info(`Received message from seller group "${chat.name}", but automation is OFF. Message content: ${msg.body.substring(0, 50)}...`);
@@ -126,7 +558,7 @@ client.on('message', async (msg) => {
             // Log for direct messages
             const contact = await msg.getContact();
             logger.info(`Received direct message from ${contact.pushname || contact.name}: ${msg.body.substring(0, 50)}... (skipped - not from seller group)`);
-        } else if (isActuallyGroup && !SELLER_GROUP_IDS.includes(msg.from)) {
+        } else if (isActuallyGroup && !sellerGroupIds.includes(msg.from)) {
             // Log specifically for group messages that are NOT seller groups
             const chat = await msg.getChat();
             logger.info(`Received message from NON-SELLER group "${chat.name}" (${msg.from}). Content: ${msg.body.substring(0, 50)}... (skipped)`);
@@ -135,206 +567,593 @@ client.on('message', async (msg) => {
     }
 
     // --- Message from a Seller Group (Automation ON) ---
-    logger.info(`Processing message from seller group ${msg.from}`);
-    io.emit('status', { message: `Processing message from seller group ${msg.from}` });
-
+    // The message is only queued here; the queue worker below calls Gemini at a controlled rate.
     try {
         const chat = await msg.getChat();
-        const sellerGroupName = chat.name;
-        logger.info(`Received message in seller group "${sellerGroupName}" (${msg.from}): "${msg.body}"`);
+        const receivedAt = new Date().toISOString();
 
-        // Process message with Gemini
-        const processedOffers = await extractAndTranslateCropOffers(msg.body, TARGET_LANGUAGES);
-        logger.info('Gemini processing complete.');
-        logger.info(`Processed Offers from Gemini: ${JSON.stringify(processedOffers, null, 2)}`);
+        // Rate sheets posted as photos or PDFs, and voice notes, are read in the queue worker
+        const media = msg.hasMedia ? await saveSellerMedia(msg, chat.name) : null;
+        if (!media && !msg.body.trim()) {
+            logger.info(`Skipped message from seller group "${chat.name}": no text or readable attachment.`);
+            return;
+        }
 
+        // The same bulletin is often forwarded into several seller groups; only the first copy is processed.
+        // Media files are named by their content hash, so forwarded copies of a photo have the same name.
+        const duplicateText = media ? `${msg.body}\n${path.basename(media.path)}` : msg.body;
+        const duplicateCheck = duplicateDetector.checkMessage(duplicateText, { sellerGroupName: chat.name, receivedAt });
+        if (duplicateCheck.duplicate) {
+            logger.info(`Skipped message from seller group "${chat.name}": ${duplicateCheck.reason} of a message from "${duplicateCheck.original.sellerGroupName}" at ${duplicateCheck.original.receivedAt}.`);
+            io.emit('status', { message: `Skipped duplicate message from "${chat.name}" (already received from "${duplicateCheck.original.sellerGroupName}").` });
+            return;
+        }
 
-        // Check if processedOffers is a non-empty object
-        if (processedOffers && typeof processedOffers === 'object' && Object.keys(processedOffers).length > 0) {
-            logger.info('Attempting to send summaries to buyer groups.');
-
-            // --- NEW: Grouping logic starts here ---
-            const groupedMessages = {
-                en: {}, // Stores arrays of English messages, grouped by category (e.g., "PULSES": ["msg1", "msg2"])
-                te: {}  // Stores arrays of Telugu messages
-            };
-
-            // Initialize an array to hold all content for the "All Updates" group
-            const allUpdatesContent = {
-                en: [],
-                te: []
-            };
-
-            // First pass: Populate groupedMessages
-            for (const extractedName in processedOffers) {
-                const offer = processedOffers[extractedName];
-                const category = offer.category; // e.g., "PULSES", "SUGAR"
-
-                if (category && BUYER_GROUP_MAPPING[category]) { // Only process if category has a mapping
-                    // Ensure arrays exist for this category and language
-                    if (!groupedMessages.en[category]) {
-                        groupedMessages.en[category] = [];
-                        groupedMessages.te[category] = [];
-                    }
+        const jobId = messageQueue.enqueue({
+            from: msg.from,
+            sellerGroupName: chat.name,
+            body: msg.body,
+            mediaPath: media ? media.path : null,
+            mediaMimetype: media ? media.mimetype : null,
+            receivedAt,
+            messageFingerprint: duplicateCheck.fingerprint
+        });
+        logger.info(`Queued message from seller group "${chat.name}" (${msg.from}) as job ${jobId}.`);
+        io.emit('status', { message: `Queued message from seller group "${chat.name}"` });
+    } catch (error) {
+        logger.error(`Error queueing message from ${msg.from}: ${error.message}`);
+        io.emit('status', { message: `❌ Error queueing message: ${error.message}` });
+    }
+}
 
-                    // Add the English and Telugu details to their respective category arrays
-                    // Access offer.en and offer.te directly, not offer.details.en/te
-                    if (offer.en) {
-                        groupedMessages.en[category].push(offer.en);
-                    }
-                    if (offer.te) {
-                        groupedMessages.te[category].push(offer.te);
-                    }
-                } else {
-                    logger.warn(`No category mapping found for standardized crop "${offer.standardizedName}" (original: ${extractedName}). This offer will not be grouped into specific buyer groups.`);
+// Which session holds each role, and the state of every session (without the QR codes).
+function getSessionSummary() {
+    const { reader, sender, sessions } = sessionManager.getStatus();
+    return { reader, sender, sessions: sessions.map(({ qr, ...session }) => session) };
+}
+
+// Bot status for the "!status" admin command and GET /api/health.
+async function getBotStatus() {
+    return {
+        automationMode: botAutomationMode,
+        whatsappReady: sessionManager.isRoleReady('reader') && sessionManager.isRoleReady('sender'),
+        whatsapp: getSessionSummary(),
+        queue: messageQueue.getStats(),
+        circuitBreaker: getCircuitBreakerStatus(),
+        cache: getResponseCacheStats(),
+        digest: DELIVERY_SETTINGS.mode === 'digest' ? {
+            offers: digestCollector.getStats().offers,
+            nextRunAt: digestSchedule ? digestSchedule.getNextRunTime() : null
+        } : null
+    };
+}
+
+// --- Admin Commands (direct messages) ---
+const adminCommands = createAdminCommands({
+    adminNumbers: ADMIN_PHONE_NUMBERS,
+    marketStore,
+    getStatus: getBotStatus,
+    setAutomationMode,
+    listGroups: listConfiguredGroups,
+    resendOffer,
+    subscriptions
+});
+
+async function handleAdminMessage(msg) {
+    try {
+        const contact = await msg.getContact();
+        // msg.from is usually "<number>@c.us", but newer WhatsApp IDs can hide the number, so check the contact's too
+        if (!adminCommands.isAdmin(msg.from, contact.number)) {
+            logger.warn(`Ignored command "${msg.body.substring(0, 50)}" from non-admin ${contact.pushname || contact.name || msg.from} (${msg.from}).`);
+            return;
+        }
+        const reply = await adminCommands.handleCommand(msg.body, contact.number || msg.from);
+        await msg.reply(reply);
+    } catch (error) {
+        logger.error(`Error handling admin command from ${msg.from}: ${error.message}`);
+    }
+}
+
+// --- Buyer Commands (direct messages) ---
+const buyerCommands = createBuyerCommands({
+    watchlist,
+    subscriptions,
+    getTargetLanguages: () => routingConfig.get().targetLanguages
+});
+
+async function handleBuyerMessage(msg) {
+    try {
+        const reply = await buyerCommands.handleCommand(msg.body, msg.from);
+        await msg.reply(reply);
+    } catch (error) {
+        logger.error(`Error handling buyer command from ${msg.from}: ${error.message}`);
+    }
+}
+
+// --- Price Questions (groups and direct messages) ---
+const rateQueries = createRateQueries({ marketStore });
+
+// The language to answer a chat in: the language the question is written in, else the language of
+// the buyer group it was asked in, else the buyer's subscription language, else English.
+function getReplyLanguage(chatId, text) {
+    const queryLanguage = rateQueries.getQueryLanguage(text);
+    if (queryLanguage) {
+        return queryLanguage;
+    }
+    const { buyerGroupMapping } = routingConfig.get();
+    for (const category in buyerGroupMapping) {
+        for (const language in buyerGroupMapping[category]) {
+            if (buyerGroupMapping[category][language] === chatId) {
+                return language;
+            }
+        }
+    }
+    const [subscription] = subscriptions.listSubscriptions(chatId);
+    return subscription ? subscription.language : 'en';
+}
+
+async function handleRateQuery(msg, isGroup) {
+    try {
+        const reply = rateQueries.answerQuery(msg.body, getReplyLanguage(msg.from, msg.body), { quietIfUnknown: isGroup });
+        if (reply) {
+            await msg.reply(reply);
+        }
+    } catch (error) {
+        logger.error(`Error answering rate query from ${msg.from}: ${error.message}`);
+    }
+}
+
+// Lists every group from config.js with its WhatsApp name (for the !groups admin command).
+async function listConfiguredGroups() {
+    const routing = routingConfig.get();
+    const groups = [];
+    routing.sellerGroupIds.forEach(id => groups.push({ role: 'Seller', id }));
+    for (const category in routing.buyerGroupMapping) {
+        for (const language in routing.buyerGroupMapping[category]) {
+            groups.push({ role: `Buyer ${category} (${language})`, id: routing.buyerGroupMapping[category][language] });
+        }
+    }
+    if (routing.allUpdatesGroupId) {
+        groups.push({ role: 'All Updates', id: routing.allUpdatesGroupId });
+    }
+
+    for (const group of groups) {
+        try {
+            const chat = await getSenderClient().getChatById(group.id);
+            group.name = chat ? chat.name : null;
+        } catch (error) {
+            group.name = null; // Placeholder or unknown ID
+        }
+    }
+    return groups;
+}
+
+// Sends a stored offer (a market history row) to its category's buyer groups again, one message per language.
+async function resendOffer(offer) {
+    const categoryGroups = routingConfig.get().buyerGroupMapping[offer.category] || {};
+    const targets = [];
+    for (const language in offer.translations) {
+        const buyerGroupId = categoryGroups[language];
+        if (!buyerGroupId || !offer.translations[language].trim()) {
+            continue;
+        }
+        await getSenderClient().sendMessage(buyerGroupId, offer.translations[language]);
+        logger.info(`✅ Resent offer ${offer.id} (${language}) to buyer group ${buyerGroupId}.`);
+        targets.push(`${offer.category} (${language}) - ${buyerGroupId}`);
+    }
+    return targets;
+}
+
+// --- Delivery and Review ---
+// Sends a consolidated message to a group, or in review mode (or with `forceReview`) holds it as a
+// draft for the web UI. `offers` are the offers in the message. They count as passed on for duplicate
+// detection once the message is sent or its draft approved; a rejected draft flags their history rows.
+// Returns true if it was sent, false if it was held.
+async function deliverMessage(groupId, text, { target, sellerGroupName, sellerMessage, offers = {}, receivedAt, forceReview = false }) {
+    if (botAutomationMode === 'review' || forceReview) {
+        const draft = draftStore.addDraft({ groupId, target, text, sellerGroupName, sellerMessage, offers, receivedAt });
+        logger.info(`📝 Held message for ${target} as draft ${draft.id} for review.`);
+        io.emit('drafts', draftStore.listDrafts());
+        return false;
+    }
+    await getSenderClient().sendMessage(groupId, text);
+    duplicateDetector.recordOffers(offers, { sellerGroupName, receivedAt });
+    return true;
+}
+
+// Sends a draft (with the operator's edited text, if given) and removes it from the review list.
+async function approveDraft(id, editedText) {
+    const draft = draftStore.getDraft(id);
+    if (!draft) {
+        return;
+    }
+    if (typeof editedText === 'string' && editedText.trim().length > 0 && editedText !== draft.text) {
+        draftStore.updateDraftText(id, editedText);
+        logger.info(`Draft ${id} for ${draft.target} was edited before approval.`);
+    }
+    try {
+        await getSenderClient().sendMessage(draft.groupId, draft.text);
+        duplicateDetector.recordOffers(draft.offers || {}, { sellerGroupName: draft.sellerGroupName, receivedAt: draft.receivedAt });
+        draftStore.removeDraft(id);
+        // The offers were passed on, so rejecting another draft with them no longer flags them. Releasing
+        // them also means the price alerts and subscriber messages below go out only for the first
+        // approved draft with an offer.
+        const approvedOffers = Object.values(draft.offers || {});
+        draftStore.releaseOffers(approvedOffers.map(offer => offer.historyId));
+        sendPriceAlerts(approvedOffers.map(offer => marketStore.getOfferById(offer.historyId)).filter(Boolean));
+        if (approvedOffers.length > 0) {
+            sendOffersToSubscribers(draft.offers, { sellerGroupName: draft.sellerGroupName });
+        }
+        logger.info(`✅ Approved draft ${id} and sent it to ${draft.target}.`);
+        io.emit('status', { message: `✅ Approved and sent message to ${draft.target}.` });
+    } catch (sendError) {
+        logger.error(`Error sending approved draft ${id} to ${draft.target}: ${sendError.message}`);
+        io.emit('status', { message: `❌ Could not send to ${draft.target}: ${sendError.message}. The draft was kept.` });
+        alertNotifier.notify({
+            type: 'send_failure',
+            sellerGroupName: draft.sellerGroupName,
+            messageBody: draft.sellerMessage,
+            target: `${draft.target} - ${draft.groupId}`,
+            error: sendError.message
+        });
+    }
+}
+
+function rejectDraft(id) {
+    const draft = draftStore.removeDraft(id);
+    if (draft) {
+        // Rejected offers are flagged so they stay out of the price history, unless another draft
+        // with the same offers (e.g. the other language or "All Updates") is still waiting for review
+        const rejectedIds = Object.values(draft.offers || {})
+            .map(offer => offer.historyId)
+            .filter(historyId => historyId && !draftStore.isOfferHeld(historyId));
+        marketStore.flagOffers(rejectedIds, 'Rejected in review');
+        logger.info(`🗑️ Rejected draft ${id} for ${draft.target}.`);
+        io.emit('status', { message: `Rejected message for ${draft.target}.` });
+    }
+}
+
+// --- Sending to Buyer Groups ---
+/**
+ * Consolidates offers per category and language and sends them to the buyer groups, then sends
+ * the combined updates to the "All Updates" group. Used for each seller message, and for the
+ * scheduled digests in digest mode. In review mode the messages are held as drafts instead.
+ *
+ * @param {Object} processedOffers Offers keyed by extracted name (as returned by extractAndTranslateCropOffers).
+ * @param {Object} context
+ * @param {string} context.sellerGroupName Where the offers came from, for logs, drafts and alerts.
+ * @param {string} context.sellerMessage The original seller message (or a digest summary).
+ * @param {string} [context.rawResponse] Raw LLM response, for alert emails.
+ * @param {string} [context.receivedAt] When the seller message came in, for duplicate detection.
+ * @param {Object} context.routing Routing snapshot to use (see routingConfig.js).
+ * @param {boolean} [context.forceReview=false] Hold the messages as drafts even if automation is ON.
+ */
+async function sendOffersToBuyerGroups(processedOffers, { sellerGroupName, sellerMessage, rawResponse, receivedAt, routing, forceReview = false }) {
+    const { buyerGroupMapping, allUpdatesGroupId, targetLanguages } = routing;
+    logger.info('Attempting to send summaries to buyer groups.');
+
+    // Offer texts per language and category, e.g. { te: { PULSES: ["msg1", "msg2"] } }
+    const groupedMessages = {};
+    // Consolidated category messages per language for the "All Updates" group
+    const allUpdatesContent = {};
+    // The offers in each category message and "All Updates" message, kept with review drafts
+    const groupedOffers = {};
+    const allUpdatesOffers = {};
+    for (const language of targetLanguages) {
+        groupedMessages[language] = {};
+        allUpdatesContent[language] = [];
+        groupedOffers[language] = {};
+        allUpdatesOffers[language] = {};
+    }
+
+    // First pass: group the offer texts by language and category
+    for (const extractedName in processedOffers) {
+        const offer = processedOffers[extractedName];
+        const category = offer.category; // e.g., "PULSES", "SUGAR"
+
+        if (category && buyerGroupMapping[category]) { // Only process if category has a mapping
+            for (const language of targetLanguages) {
+                if (!groupedMessages[language][category]) {
+                    groupedMessages[language][category] = [];
+                    groupedOffers[language][category] = {};
+                }
+                if (offer[language]) {
+                    groupedMessages[language][category].push(offer[language]);
+                    groupedOffers[language][category][extractedName] = offer;
                 }
             }
+        } else {
+            logger.warn(`No category mapping found for standardized crop "${offer.standardizedName}" (original: ${extractedName}). This offer will not be grouped into specific buyer groups.`);
+        }
+    }
+
+    // Second pass: consolidate and send one message per category and language to the buyer groups
+    for (const language of targetLanguages) {
+        const profile = getLanguageProfile(language);
+        for (const category in groupedMessages[language]) {
+            const consolidatedMessage = groupedMessages[language][category].join(`\n\n${profile.offerSeparator}\n\n`);
+            const categoryGroups = buyerGroupMapping[category];
+            if (!consolidatedMessage || !categoryGroups || !categoryGroups[language]) {
+                continue;
+            }
 
-            // Second pass: Consolidate and Send messages to specific buyer groups
-            for (const category in groupedMessages.en) { // Iterate through categories that have offers
-                // Updated separator
-                const englishConsolidatedMessage = groupedMessages.en[category].join('\n\n-----------------\n\n');
-                // Updated separator for Telugu
-                const teluguConsolidatedMessage = groupedMessages.te[category].join('\n\n-----------------\n\n'); 
-
-                const categoryGroups = BUYER_GROUP_MAPPING[category];
-
-                // Send English consolidated message
-                if (englishConsolidatedMessage && categoryGroups && categoryGroups.en) {
-                    const buyerGroupId = categoryGroups.en;
-                    try {
-                        const buyerChat = await client.getChatById(buyerGroupId);
-                        if (buyerChat && buyerChat.isGroup) {
-                            // --- ADDED CHECK HERE ---
-                            if (englishConsolidatedMessage.trim().length > 0) { 
-                                await client.sendMessage(buyerGroupId, englishConsolidatedMessage);
-                                logger.info(`✅ Sent consolidated English message for category "${category}" to group "${buyerChat.name}" (${buyerGroupId}).`);
-                                io.emit('status', { message: `✅ Sent consolidated English message for category "${category}" to group "${buyerChat.name}".` });
-                                allUpdatesContent.en.push(`--- ${category.toUpperCase()} (ENGLISH) ---\n${englishConsolidatedMessage}`); // Add to all updates content
-                            } else {
-                                logger.warn(`Skipping empty English message for category "${category}" for group "${buyerChat.name}" (${buyerGroupId}).`);
-                            }
-                            // --- END ADDED CHECK ---
-                        } else {
-                            logger.warn(`Buyer group ID for Category: ${category}, English (${buyerGroupId}) is not a valid group or does not exist.`);
-                        }
-                    } catch (sendError) {
-                        logger.error(`Error sending consolidated English message for category ${category}: ${sendError.message}`);
+            const buyerGroupId = categoryGroups[language];
+            try {
+                const buyerChat = await getSenderClient().getChatById(buyerGroupId);
+                if (buyerChat && buyerChat.isGroup) {
+                    if (consolidatedMessage.trim().length > 0) {
+                        const sent = await deliverMessage(buyerGroupId, consolidatedMessage, {
+                            target: `${category} (${language}) - "${buyerChat.name}"`,
+                            sellerGroupName,
+                            sellerMessage,
+                            offers: groupedOffers[language][category],
+                            receivedAt,
+                            forceReview
+                        });
+                        const action = sent ? '✅ Sent' : '📝 Held for review:';
+                        logger.info(`${action} consolidated ${profile.name} message for category "${category}" to group "${buyerChat.name}" (${buyerGroupId}).`);
+                        io.emit('status', { message: `${action} consolidated ${profile.name} message for category "${category}" to group "${buyerChat.name}".` });
+                        allUpdatesContent[language].push(`${profile.categoryHeader(category)}\n${consolidatedMessage}`);
+                        Object.assign(allUpdatesOffers[language], groupedOffers[language][category]);
+                    } else {
+                        logger.warn(`Skipping empty ${profile.name} message for category "${category}" for group "${buyerChat.name}" (${buyerGroupId}).`);
                     }
+                } else {
+                    logger.warn(`Buyer group ID for Category: ${category}, ${profile.name} (${buyerGroupId}) is not a valid group or does not exist.`);
                 }
+            } catch (sendError) {
+                logger.error(`Error sending consolidated ${profile.name} message for category ${category}: ${sendError.message}`);
+                alertNotifier.notify({
+                    type: 'send_failure',
+                    sellerGroupName,
+                    messageBody: sellerMessage,
+                    rawResponse: rawResponse,
+                    target: `${category} (${profile.name}) - ${buyerGroupId}`,
+                    error: sendError.message
+                });
+            }
+        }
+    }
 
-                // Send Telugu consolidated message
-                if (teluguConsolidatedMessage && categoryGroups && categoryGroups.te) {
-                    const buyerGroupId = categoryGroups.te;
-                    try {
-                        const buyerChat = await client.getChatById(buyerGroupId);
-                        if (buyerChat && buyerChat.isGroup) {
-                            // --- ADDED CHECK HERE ---
-                            if (teluguConsolidatedMessage.trim().length > 0) {
-                                await client.sendMessage(buyerGroupId, teluguConsolidatedMessage);
-                                logger.info(`✅ Sent consolidated Telugu message for category "${category}" to group "${buyerChat.name}" (${buyerGroupId}).`);
-                                io.emit('status', { message: `✅ Sent consolidated Telugu message for category "${category}" to group "${buyerChat.name}".` });
-                                allUpdatesContent.te.push(`--- ${category.toUpperCase()} (TELUGU) ---\n${teluguConsolidatedMessage}`); // Add to all updates content
-                            } else {
-                                logger.warn(`Skipping empty Telugu message for category "${category}" for group "${buyerChat.name}" (${buyerGroupId}).`);
-                            }
-                            // --- END ADDED CHECK ---
-                        } else {
-                            logger.warn(`Buyer group ID for Category: ${category}, Telugu (${buyerGroupId}) is not a valid group or does not exist.`);
-                        }
-                    } catch (sendError) {
-                        logger.error(`Error sending consolidated Telugu message for category ${category}: ${sendError.message}`);
+    // Third pass: send the combined updates per language to the "All Updates" group
+    if (allUpdatesGroupId) {
+        try {
+            const allUpdatesChat = await getSenderClient().getChatById(allUpdatesGroupId);
+            if (allUpdatesChat && allUpdatesChat.isGroup) {
+                for (const language of targetLanguages) {
+                    const profile = getLanguageProfile(language);
+                    const combinedUpdates = allUpdatesContent[language].join(`\n\n${profile.categorySeparator}\n\n`);
+                    if (combinedUpdates.trim().length > 0) {
+                        const sent = await deliverMessage(allUpdatesGroupId, `${profile.allUpdatesHeader}\n\n${combinedUpdates}`, {
+                            target: `All Updates (${language})`,
+                            sellerGroupName,
+                            sellerMessage,
+                            offers: allUpdatesOffers[language],
+                            receivedAt,
+                            forceReview
+                        });
+                        const action = sent ? '✅ Sent' : '📝 Held for review:';
+                        logger.info(`${action} combined ${profile.name} updates to "All Updates" group (${allUpdatesGroupId}).`);
+                        io.emit('status', { message: `${action} combined ${profile.name} updates to "All Updates" group.` });
+                    } else {
+                        logger.warn(`Skipping empty combined ${profile.name} updates for "All Updates" group (${allUpdatesGroupId}).`);
                     }
                 }
+            } else {
+                logger.warn(`"All Updates" group ID (${allUpdatesGroupId}) is not a valid group or does not exist.`);
+                io.emit('status', { message: `⚠️ "All Updates" group ID is invalid or non-existent.` });
             }
+        } catch (allUpdatesError) {
+            logger.error(`Error sending to "All Updates" group: ${allUpdatesError.message}`);
+            io.emit('status', { message: `❌ Error sending to "All Updates" group.` });
+        }
+    } else {
+        logger.warn(`"All Updates" group ID is not configured. Skipping "All Updates" forwarding.`);
+    }
+}
 
-            // Third pass: Send to "All Updates" group
-            if (ALL_UPDATES_GROUP_ID) {
-                try {
-                    const allUpdatesChat = await client.getChatById(ALL_UPDATES_GROUP_ID);
-                    if (allUpdatesChat && allUpdatesChat.isGroup) {
-                        // Consolidate all English messages for "All Updates"
-                        const finalAllUpdatesEnglish = allUpdatesContent.en.join('\n\n===== CATEGORY SEPARATOR =====\n\n');
-                        if (finalAllUpdatesEnglish.trim().length > 0) {
-                            await client.sendMessage(ALL_UPDATES_GROUP_ID, `*** ALL MARKET UPDATES (ENGLISH) ***\n\n${finalAllUpdatesEnglish}`);
-                            logger.info(`✅ Sent combined English updates to "All Updates" group (${ALL_UPDATES_GROUP_ID}).`);
-                            io.emit('status', { message: `✅ Sent combined English updates to "All Updates" group.` });
-                        } else { // Added else for allUpdatesContent.en
-                             logger.warn(`Skipping empty combined English updates for "All Updates" group (${ALL_UPDATES_GROUP_ID}).`);
-                        }
-
-                        // Consolidate all Telugu messages for "All Updates" (if applicable)
-                        const finalAllUpdatesTelugu = allUpdatesContent.te.join('\n\n===== కేటగిరీ సెపరేటర్ =====\n\n'); // Telugu separator
-                        if (finalAllUpdatesTelugu.trim().length > 0) {
-                             await client.sendMessage(ALL_UPDATES_GROUP_ID, `*** అన్ని మార్కెట్ అప్‌డేట్‌లు (తెలుగు) ***\n\n${finalAllUpdatesTelugu}`);
-                             logger.info(`✅ Sent combined Telugu updates to "All Updates" group (${ALL_UPDATES_GROUP_ID}).`);
-                             io.emit('status', { message: `✅ Sent combined Telugu updates to "All Updates" group.` });
-                        } else { // Added else for allUpdatesContent.te
-                             logger.warn(`Skipping empty combined Telugu updates for "All Updates" group (${ALL_UPDATES_GROUP_ID}).`);
-                        }
+// --- Seller Message Processing (queue worker) ---
+// Runs one queued seller message through Gemini and forwards the results to the buyer groups.
+// Throwing from here makes the queue retry the message with backoff.
+async function processSellerMessage(job, queueEntry) {
+    const sellerGroupName = job.sellerGroupName;
+    // Use one routing snapshot for the whole message, even if the file is reloaded meanwhile
+    const routing = routingConfig.get();
+    const { targetLanguages } = routing;
+    logger.info(`Processing message from seller group ${job.from}`);
+    io.emit('status', { message: `Processing message from seller group ${job.from}` });
 
-                    } else {
-                        logger.warn(`"All Updates" group ID (${ALL_UPDATES_GROUP_ID}) is not a valid group or does not exist.`);
-                        io.emit('status', { message: `⚠️ "All Updates" group ID is invalid or non-existent.` });
-                    }
-                } catch (allUpdatesError) {
-                    logger.error(`Error sending to "All Updates" group: ${allUpdatesError.message}`);
-                    io.emit('status', { message: `❌ Error sending to "All Updates" group.` });
+    try {
+        logger.info(`Received message in seller group "${sellerGroupName}" (${job.from}): "${job.body}"${job.mediaPath ? ` with ${job.mediaPath}` : ''}`);
+
+        // For photos, PDFs and voice notes, the text read from the file follows the caption
+        let messageText = job.body;
+        let reviewReason = null; // Set if the offers must be approved by an operator, whatever the automation mode
+        if (job.mediaPath && mediaExtractor.isAudio(job.mediaMimetype)) {
+            const transcription = await transcriber.transcribe(job.mediaPath, job.mediaMimetype);
+            messageText = [job.body.trim(), transcription.text].filter(Boolean).join('\n');
+            if (transcription.uncertain) {
+                reviewReason = `Uncertain voice note transcription (${transcription.reasons.join('; ')})`;
+                logger.warn(`${reviewReason} from "${sellerGroupName}". Its offers will be held for review.`);
+                io.emit('status', { message: `⚠️ ${reviewReason} from "${sellerGroupName}". Holding its offers for review.` });
+            }
+        } else if (job.mediaPath) {
+            const media = await mediaExtractor.extractText(job.mediaPath, job.mediaMimetype);
+            messageText = [job.body.trim(), media.text].filter(Boolean).join('\n');
+            logger.info(`Text read from ${job.mediaPath} (${media.method}): "${media.text}"`);
+            if (!media.text) {
+                logger.warn(`No readable text in ${job.mediaPath} from "${sellerGroupName}".`);
+                io.emit('status', { message: `⚠️ No readable text in the ${job.mediaMimetype} from "${sellerGroupName}".` });
+            }
+        }
+        if (!messageText.trim()) {
+            return;
+        }
+        // Shown in review drafts and alert emails, so the offers can be checked against the original file
+        let sellerMessage = job.mediaPath ? `${messageText}\n\n[Read from ${job.mediaPath}]` : messageText;
+        if (reviewReason) {
+            sellerMessage += `\n⚠️ ${reviewReason}`;
+        }
+
+        // Process message with Gemini
+        const diagnostics = {};
+        let processedOffers = await extractAndTranslateCropOffers(messageText, targetLanguages, {
+            diagnostics,
+            // Transient Gemini errors are retried by the queue; on the last attempt the offline extractor takes over
+            allowRetry: queueEntry.attempts < QUEUE_SETTINGS.maxAttempts
+        });
+        logger.info(`Gemini processing complete${diagnostics.cacheHit ? ' (cached result, no API call)' : ''}.`);
+        io.emit('cache_status', getResponseCacheStats());
+        logger.info(`Processed Offers from Gemini: ${JSON.stringify(processedOffers, null, 2)}`);
+
+
+        // Check if processedOffers is a non-empty object
+        if (processedOffers && typeof processedOffers === 'object' && Object.keys(processedOffers).length > 0) {
+            if (diagnostics.usedOfflineFallback) {
+                logger.warn(`Gemini was unavailable (${diagnostics.error}). Forwarding ${Object.keys(processedOffers).length} low-confidence offer(s) from the offline extractor.`);
+                io.emit('status', { message: `⚠️ Gemini unavailable, used offline extractor for message from "${sellerGroupName}" (low confidence).` });
+                alertNotifier.notify({
+                    type: 'gemini_failure',
+                    sellerGroupName,
+                    messageBody: sellerMessage,
+                    rawResponse: diagnostics.rawResponse,
+                    error: `${diagnostics.error} (offline extractor used, ${Object.keys(processedOffers).length} low-confidence offer(s) forwarded)`
+                });
+            }
+
+            // Offers whose structured fields failed validation are still forwarded (the text is what the seller sent),
+            // but they are flagged in the history and called out here so an operator can check them.
+            const flaggedOffers = Object.values(processedOffers).filter(offer => offer.flagged);
+            if (flaggedOffers.length > 0) {
+                const names = flaggedOffers.map(offer => offer.extractedName).join(', ');
+                logger.warn(`⚠️ ${flaggedOffers.length} offer(s) from "${sellerGroupName}" failed validation and are flagged: ${names}`);
+                io.emit('status', { message: `⚠️ Flagged ${flaggedOffers.length} offer(s) with questionable numbers: ${names}` });
+            }
+
+            // Offers from an uncertain transcription are flagged, so they stay out of price alerts, reports and charts
+            if (reviewReason) {
+                for (const offer of Object.values(processedOffers)) {
+                    offer.flagged = true;
+                    offer.validationErrors = [...(offer.validationErrors || []), reviewReason];
                 }
+            }
+
+            // Offers already passed on from another message (same market, crop, price range and day) are dropped.
+            // The rest only count as passed on once they are sent or their draft is approved (see deliverMessage),
+            // so a retry of this message or a corrected re-post after a rejected draft is not suppressed.
+            const duplicateFilter = duplicateDetector.filterDuplicateOffers(processedOffers, { sellerGroupName, receivedAt: job.receivedAt });
+            if (duplicateFilter.suppressed.length > 0) {
+                const names = duplicateFilter.suppressed.map(offer => offer.extractedName).join(', ');
+                logger.info(`Suppressed ${duplicateFilter.suppressed.length} duplicate offer(s) from "${sellerGroupName}": ${names}`);
+                io.emit('status', { message: `Suppressed ${duplicateFilter.suppressed.length} duplicate offer(s): ${names}` });
+            }
+            processedOffers = duplicateFilter.offers;
+            if (Object.keys(processedOffers).length === 0) {
+                logger.info(`All offers from "${sellerGroupName}" were duplicates. Nothing to send.`);
+                return;
+            }
+
+            // Crops the taxonomy can't place wait in the web UI until an operator maps them
+            const unmapped = unmappedCrops.recordOffers(processedOffers, { sellerGroupName, receivedAt: job.receivedAt });
+            if (unmapped.length > 0) {
+                const names = unmapped.map(entry => entry.name).join(', ');
+                logger.warn(`Unmapped crop name(s) from "${sellerGroupName}": ${names}. Map them in the web UI.`);
+                io.emit('status', { message: `⚠️ Unmapped crop name(s): ${names}. See the Unmapped Crops list.` });
+                emitTaxonomyData(io);
+            }
+
+            // Keep a price history row for every offer, whether or not it can be routed to a buyer group
+            const historyRows = marketStore.recordOffers(processedOffers, {
+                sellerGroupId: job.from,
+                sellerGroupName,
+                receivedAt: job.receivedAt,
+                languages: targetLanguages,
+                mediaPath: job.mediaPath
+            });
+            // Rows are written in offer order; drafts keep the row IDs to flag the offers if they are rejected
+            Object.values(processedOffers).forEach((offer, index) => {
+                offer.historyId = historyRows[index].id;
+            });
+
+            // Price alerts go out straight away, even in digest mode. Held offers wait until they are
+            // approved (see approveDraft), so a rejected offer never triggers one.
+            if (botAutomationMode !== 'review' && !reviewReason) {
+                sendPriceAlerts(historyRows);
+            }
+
+            if (reviewReason) {
+                // Held as drafts right away rather than waiting for a digest. The subscribers get the offers
+                // once a draft is approved (see approveDraft).
+                await sendOffersToBuyerGroups(processedOffers, {
+                    sellerGroupName,
+                    sellerMessage,
+                    rawResponse: diagnostics.rawResponse,
+                    receivedAt: job.receivedAt,
+                    routing,
+                    forceReview: true
+                });
+            } else if (DELIVERY_SETTINGS.mode === 'digest') {
+                // Collected offers are sent together at the next digest time (see sendDigest)
+                digestCollector.addOffers(processedOffers, { sellerGroupName, receivedAt: job.receivedAt });
+                logger.info(`Added ${Object.keys(processedOffers).length} offer(s) from "${sellerGroupName}" to the next digest.`);
+                io.emit('status', { message: `Added ${Object.keys(processedOffers).length} offer(s) from "${sellerGroupName}" to the next digest.` });
             } else {
-                logger.warn(`"All Updates" group ID is not configured. Skipping "All Updates" forwarding.`);
+                await sendOffersToBuyerGroups(processedOffers, {
+                    sellerGroupName,
+                    sellerMessage,
+                    rawResponse: diagnostics.rawResponse,
+                    receivedAt: job.receivedAt,
+                    routing
+                });
+                // In review mode the subscribers get the offers once their draft is approved (see approveDraft)
+                if (botAutomationMode !== 'review') {
+                    sendOffersToSubscribers(processedOffers, { sellerGroupName });
+                }
             }
 
             // --- End of NEW Grouping logic ---
 
+        } else if (diagnostics.error) {
+            logger.warn(`Gemini could not process the message (${diagnostics.error}). Skipping buyer group forwarding.`);
+            io.emit('status', { message: '⚠️ Gemini could not process the offer. Skipping forwarding.' });
+            alertNotifier.notify({
+                type: 'gemini_failure',
+                sellerGroupName,
+                messageBody: sellerMessage,
+                rawResponse: diagnostics.rawResponse,
+                error: diagnostics.error
+            });
         } else {
-            logger.warn('Gemini did not return valid crop offers. Skipping buyer group forwarding.');
-            io.emit('status', { message: '⚠️ Gemini could not process the offer or found no offers. Skipping forwarding.' });
+            // Sellers also chat in their groups; a message without offers is not a failure
+            logger.info('Gemini found no crop offers in the message. Nothing to forward.');
+            io.emit('status', { message: 'No crop offers found in the message. Nothing to forward.' });
         }
 
     } catch (error) {
-        logger.error(`Error processing message from ${msg.from}: ${error.message}`);
+        logger.error(`Error processing message from ${job.from}: ${error.message}`);
         io.emit('status', { message: `❌ Error processing message: ${error.message}` });
-        // Optionally send an error message back to the seller group
-        // client.sendMessage(msg.from, `Sorry, I encountered an error processing your request: ${error.message}`);
+        throw error; // Let the queue retry the message
     }
-});
+}
 
-// --- Market Statistics Functions (moved to bottom for better readability in this structure) ---
-function saveMarketStats(stats) {
-    let currentStats = {};
-    if (fs.existsSync(MARKET_STATS_FILE)) {
-        try {
-            currentStats = JSON.parse(fs.readFileSync(MARKET_STATS_FILE, 'utf8'));
-        } catch (e) {
-            logger.error(`Error parsing market stats file: ${e.message}`);
-            currentStats = {};
-        }
-    }
-
-    // Merge new stats into existing ones
-    // This example simply appends or updates based on a key (e.g., crop-date-location)
-    // You might want to make this more sophisticated to store a history.
-    // For simplicity, let's assume `stats` might be an array or single object.
-    // Adjust this logic based on how `marketStats` is structured by Gemini.
-    if (Array.isArray(stats)) {
-        stats.forEach(s => {
-            const key = `${s.crop || 'unknown'}-${s.date || 'unknown'}-${s.sourceGroup || 'unknown'}`;
-            currentStats[key] = s;
+const messageQueue = createMessageQueue({
+    filePath: MESSAGE_QUEUE_FILE,
+    worker: processSellerMessage,
+    ...QUEUE_SETTINGS,
+    onChange: (stats) => io.emit('queue_status', stats),
+    onJobFailed: (job, error) => {
+        // The message was never passed on, so a later copy of it should be processed
+        if (job.payload.messageFingerprint) {
+            duplicateDetector.forgetMessage(job.payload.messageFingerprint);
+        }
+        alertNotifier.notify({
+            type: 'queue_failure',
+            sellerGroupName: job.payload.sellerGroupName,
+            messageBody: job.payload.mediaPath ? `${job.payload.body}\n\n[Attachment: ${job.payload.mediaPath}]` : job.payload.body,
+            error: `${error.message} (after ${job.attempts} attempts)`
         });
-    } else if (typeof stats === 'object' && stats !== null) {
-        const key = `${stats.crop || 'unknown'}-${stats.date || 'unknown'}-${stats.sourceGroup || 'unknown'}`;
-        currentStats[key] = stats;
-    }
-
-
-    try {
-        fs.writeFileSync(MARKET_STATS_FILE, JSON.stringify(currentStats, null, 2));
-        logger.info('Market statistics saved successfully.');
-    } catch (e) {
-        logger.error(`Error writing market stats file: ${e.message}`);
     }
-}
+});
 
 // --- Web Server for Automation Toggle ---
 const app = express();
@@ -343,19 +1162,157 @@ const io = socketIo(server);
 const PORT = process.env.PORT || 3000;
 
 app.use(express.static('public')); // Serve static files from 'public' directory
+app.use(createAnalyticsRouter({ marketStore })); // JSON endpoints for public/analytics.html
+app.use(createApiRouter({
+    apiToken: API_TOKEN,
+    marketStore,
+    // Same extraction as for seller messages, but nothing is recorded or sent
+    processText: async (text, languages) => {
+        const diagnostics = {};
+        const offers = await extractAndTranslateCropOffers(text, languages || routingConfig.get().targetLanguages, { diagnostics });
+        io.emit('cache_status', getResponseCacheStats());
+        return { offers, diagnostics };
+    },
+    getStatus: getBotStatus,
+    setAutomationMode
+}));
 
 app.get('/', (req, res) => {
     res.sendFile(__dirname + '/public/index.html');
 });
 
+// Original photos, PDFs and voice notes of media bulletins (`mediaPath` of the stored offers);
+// only file names matching the stored media pattern are served
+app.get('/media/:fileName', (req, res) => {
+    const filePath = mediaExtractor.getMediaFilePath(req.params.fileName);
+    if (!filePath) {
+        res.status(404).send('Media file not found');
+        return;
+    }
+    res.sendFile(filePath);
+});
+
+// Report downloads for the web UI; only file names matching the report pattern are served
+app.get('/reports/:fileName', (req, res) => {
+    const filePath = reportGenerator.getReportFilePath(req.params.fileName);
+    if (!filePath) {
+        res.status(404).send('Report not found');
+        return;
+    }
+    res.download(filePath);
+});
+
 io.on('connection', (socket) => {
     logger.info('Web UI connected.');
-    socket.emit('automation_status', botAutomationEnabled); // Send current status on connection
+    socket.emit('automation_status', botAutomationMode); // Send current status on connection
+    socket.emit('drafts', draftStore.listDrafts()); // Messages waiting for review
+    socket.emit('queue_status', messageQueue.getStats()); // Send current queue depth on connection
+    socket.emit('cache_status', getResponseCacheStats()); // LLM response cache hits/misses
 
+    // Older clients send true/false; the mode selector sends 'off', 'on' or 'review'
     socket.on('toggle_automation', (status) => {
-        botAutomationEnabled = status;
-        logger.info(`Bot automation turned ${botAutomationEnabled ? 'ON' : 'OFF'} via web UI.`);
-        io.emit('automation_status', botAutomationEnabled); // Broadcast new status to all connected clients
+        setAutomationMode(status ? 'on' : 'off', 'web UI');
+    });
+
+    socket.on('set_automation_mode', (mode) => {
+        setAutomationMode(mode, 'web UI');
+    });
+
+    // --- Review drafts ---
+    socket.on('approve_draft', async ({ id, text }) => {
+        await approveDraft(id, text);
+        io.emit('drafts', draftStore.listDrafts());
+    });
+
+    socket.on('reject_draft', ({ id }) => {
+        rejectDraft(id);
+        io.emit('drafts', draftStore.listDrafts());
+    });
+
+    // `edits` maps draft IDs to the operator's edited texts
+    socket.on('approve_all_drafts', async ({ edits = {} } = {}) => {
+        for (const draft of draftStore.listDrafts()) {
+            await approveDraft(draft.id, edits[draft.id]);
+        }
+        io.emit('drafts', draftStore.listDrafts());
+    });
+
+    // --- Reports ---
+    socket.emit('reports', reportGenerator.listReports());
+
+    // `date` is "YYYY-MM-DD" (local time); today if missing. A weekly report covers the seven days ending on `date`.
+    socket.on('generate_report', async ({ date, period } = {}) => {
+        try {
+            const day = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? new Date(`${date}T12:00:00`) : new Date();
+            const result = await reportGenerator.generateReport({ date: day, period: period === 'week' ? 'week' : 'day' });
+            io.emit('status', { message: `📊 Generated ${result.report.period === 'week' ? 'weekly ' : ''}market report for ${result.report.dateLabel}${result.documentPath ? '' : ' (CSV only; the PDF/PNG could not be rendered)'}.` });
+            io.emit('reports', reportGenerator.listReports());
+        } catch (error) {
+            logger.error(`Error generating market report: ${error.message}`);
+            socket.emit('status', { message: `❌ Could not generate the report: ${error.message}` });
+        }
+    });
+
+    // --- Routing editor ---
+    emitRoutingData(socket);
+
+    socket.on('refresh_groups', async () => {
+        if (sessionManager.getReadyClients().length > 0) {
+            await loadGroupChats();
+        }
+    });
+
+    socket.on('save_routing', (routing) => {
+        try {
+            routingConfig.save(routing);
+            logger.info('Routing updated via web UI.');
+            socket.emit('routing_saved', { ok: true });
+            emitRoutingData(io);
+            warnAboutRoutingProblems();
+        } catch (error) {
+            logger.warn(`Rejected routing change from web UI: ${error.message}`);
+            socket.emit('routing_saved', { ok: false, errors: error.validationErrors || [error.message] });
+        }
+    });
+
+    // --- WhatsApp sessions ---
+    emitSessionStatus(socket);
+
+    // Moves the reader or sender role to another ready session
+    socket.on('assign_session_role', ({ role, name } = {}) => {
+        if (!sessionManager.assignRole(role, name)) {
+            socket.emit('status', { message: `❌ WhatsApp session "${name}" is not ready to be the ${role}.` });
+        }
+    });
+
+    // Restarts a session, e.g. to log in with a new QR code
+    socket.on('restart_session', ({ name } = {}) => {
+        sessionManager.restartSession(name).catch(error => {
+            socket.emit('status', { message: `❌ Could not restart WhatsApp session "${name}": ${error.message}` });
+        });
+    });
+
+    // --- Crop taxonomy editor ---
+    emitTaxonomyData(socket);
+
+    // `change` is one edit, e.g. { type: 'addAlias', crop: 'CHANA DAL', alias: 'KABULI' } (see updateTaxonomy)
+    socket.on('update_taxonomy', (change) => {
+        try {
+            const summary = applyTaxonomyChange(change);
+            socket.emit('taxonomy_saved', { ok: true, summary });
+            emitTaxonomyData(io);
+            emitRoutingData(io);
+        } catch (error) {
+            logger.warn(`Rejected crop taxonomy change from web UI: ${error.message}`);
+            socket.emit('taxonomy_saved', { ok: false, errors: error.validationErrors || [error.message] });
+        }
+    });
+
+    socket.on('dismiss_unmapped_crop', ({ name } = {}) => {
+        if (unmappedCrops.removeEntry(name)) {
+            logger.info(`Dismissed unmapped crop name "${name}" via web UI.`);
+        }
+        emitTaxonomyData(io);
     });
 
     socket.on('disconnect', () => {
@@ -363,10 +1320,62 @@ io.on('connection', (socket) => {
     });
 });
 
+// Sends the state and roles of every WhatsApp session, with the QR code as an image while a session waits for a scan.
+async function emitSessionStatus(target) {
+    try {
+        const { reader, sender, sessions } = sessionManager.getStatus();
+        const withImages = await Promise.all(sessions.map(async ({ qr, ...session }) => ({
+            ...session,
+            qrImage: qr ? await QRCode.toDataURL(qr) : null
+        })));
+        target.emit('sessions', { reader, sender, sessions: withImages });
+    } catch (error) {
+        logger.error(`Error sending the WhatsApp session status to the web UI: ${error.message}`);
+    }
+}
+
+// Sends the crop taxonomy and the unmapped crop names to the taxonomy editor.
+function emitTaxonomyData(target) {
+    target.emit('taxonomy_data', {
+        taxonomy: CROP_CATEGORIES_AND_STANDARDIZATION,
+        unmapped: unmappedCrops.listEntries()
+    });
+}
+
+// Sends the current routing, the account's groups and the crop categories to the routing editor.
+function emitRoutingData(target) {
+    target.emit('routing_data', {
+        routing: routingConfig.get(),
+        groups: knownGroups || [],
+        groupsLoaded: knownGroups !== null,
+        categories: Object.keys(CROP_CATEGORIES_AND_STANDARDIZATION)
+    });
+}
+
 server.listen(PORT, () => {
     logger.info(`Web server running on http://localhost:${PORT}`);
     io.emit('status', { message: `Web server running on http://localhost:${PORT}` });
 });
 
-// --- Initialize the WhatsApp client ---
-client.initialize();
\ No newline at end of file
+// --- Start the WhatsApp sessions ---
+sessionManager.start();
+
+// --- Shutdown ---
+// Alerts are batched in memory, so send what is pending before the process exits.
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, sending pending alert emails and shutting down.`);
+    try {
+        await alertNotifier.flushAll();
+    } catch (error) {
+        logger.error(`Error sending pending alert emails on shutdown: ${error.message}`);
+    }
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
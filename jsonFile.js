@@ -0,0 +1,60 @@
+// jsonFile.js
+
+const fs = require('fs');
+const logger = require('./logger');
+
+/**
+ * Reads a JSON state file. A file that can't be parsed is logged and treated like a missing one,
+ * so a damaged file never keeps the bot from starting.
+ *
+ * @param {string} filePath Path of the JSON file.
+ * @param {string} description What the file holds, for log messages (e.g. 'message queue').
+ * @returns {*} The parsed content, or null if the file doesn't exist or isn't valid JSON.
+ */
+function readJsonFile(filePath, description) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        logger.error(`Error parsing ${description} file ${filePath}: ${e.message}. Starting without its contents.`);
+        return null;
+    }
+}
+
+/**
+ * Writes `data` as JSON to a temporary file and renames it over `filePath`. The rename is atomic,
+ * so a crash or a file watcher never sees a half-written file. Throws if the file can't be written.
+ *
+ * @param {string} filePath Path of the JSON file.
+ * @param {*} data Anything JSON.stringify accepts.
+ * @param {number} [indent=2] Spaces per indentation level.
+ */
+function writeJsonFile(filePath, data, indent = 2) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, indent) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Like writeJsonFile, but a failed write is only logged. For state that is kept in memory and saved
+ * after every change: the bot keeps running, and the next change writes the file again.
+ *
+ * @param {string} filePath Path of the JSON file.
+ * @param {*} data Anything JSON.stringify accepts.
+ * @param {string} description What the file holds, for log messages (e.g. 'message queue').
+ */
+function saveJsonFile(filePath, data, description) {
+    try {
+        writeJsonFile(filePath, data);
+    } catch (e) {
+        logger.error(`Error writing ${description} file ${filePath}: ${e.message}`);
+    }
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile,
+    saveJsonFile
+};
@@ -0,0 +1,47 @@
+// languages.js
+
+const logger = require('./logger');
+const { LANGUAGE_SETTINGS } = require('./config');
+
+const warnedLanguages = new Set();
+
+// Fills the {name} placeholders of a text. A [singular, plural] pair is chosen by `values.n`.
+function fillTemplate(template, values) {
+    const text = Array.isArray(template) ? template[values.n === 1 ? 0 : 1] : template;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+/**
+ * Returns the bulletin texts for a language (see LANGUAGE_SETTINGS in config.js). Languages without
+ * an entry get the English texts with their code, e.g. "*** ALL MARKET UPDATES (OR) ***".
+ *
+ * @param {string} language Language code, e.g. 'te'.
+ * @returns {{code: string, name: string, allUpdatesHeader: string, categoryHeader: function(string): string,
+ *   categorySeparator: string, offerSeparator: string, rateReply: function(string, Object=): string}}
+ *   `rateReply(key, values)` builds a RATE reply text, e.g. rateReply('noOffers', { crop: 'TOOR DAL' }).
+ */
+function getLanguageProfile(language) {
+    const settings = LANGUAGE_SETTINGS[language];
+    if (!settings && !warnedLanguages.has(language)) {
+        warnedLanguages.add(language);
+        logger.warn(`No LANGUAGE_SETTINGS entry for "${language}" in config.js; using English headers and separators.`);
+    }
+    const english = LANGUAGE_SETTINGS.en || {};
+    const label = language.toUpperCase();
+    const name = settings && settings.name ? settings.name : label;
+    const categoryHeader = (settings && settings.categoryHeader) || `--- {category} (${label}) ---`;
+    const rateReplies = { ...english.rateReplies, ...(settings && settings.rateReplies) };
+    return {
+        code: language,
+        name,
+        allUpdatesHeader: (settings && settings.allUpdatesHeader) || `*** ALL MARKET UPDATES (${label}) ***`,
+        categoryHeader: category => categoryHeader.replace('{category}', category.toUpperCase()),
+        categorySeparator: (settings && settings.categorySeparator) || english.categorySeparator || '===== CATEGORY SEPARATOR =====',
+        offerSeparator: (settings && settings.offerSeparator) || english.offerSeparator || '-----------------',
+        rateReply: (key, values = {}) => fillTemplate(rateReplies[key], values)
+    };
+}
+
+module.exports = {
+    getLanguageProfile
+};
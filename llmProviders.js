@@ -0,0 +1,155 @@
+// llmProviders.js
+
+const fs = require('fs');
+const logger = require('./logger');
+
+// Every provider implements the same small interface:
+//   {
+//     name: string,
+//     model: string,
+//     generateText(prompt, { input }): Promise<{ text: string|null, rawResponse: string }>
+//   }
+// `input` is the original seller message the prompt was built from; providers may ignore it.
+// `text` is the model's answer (null if the response had no text) and `rawResponse` is the
+// serialized provider response for logging and alert emails. Errors worth retrying
+// (rate limits, server and network errors) are thrown with `error.transient = true`.
+// Providers that can read images and PDFs also implement
+//     transcribeMedia(prompt, { data, mimetype }): Promise<{ text: string|null, rawResponse: string }>
+// where `data` is the base64-encoded file (see mediaExtractor.js).
+
+/**
+ * Gemini adapter. The SDK client is only created on the first request, so a missing
+ * GEMINI_API_KEY does not stop the module from loading (e.g. in tests or with the mock provider).
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey Google Gemini API key.
+ * @param {string} options.model Model name (e.g. "gemini-1.5-flash").
+ */
+function createGeminiProvider({ apiKey, model }) {
+    let generativeModel = null;
+
+    function getModel() {
+        if (!generativeModel) {
+            if (!apiKey) {
+                logger.error('GEMINI_API_KEY not found in .env file.');
+                throw new Error('GEMINI_API_KEY is not defined. Please set it in your .env file.');
+            }
+            const { GoogleGenerativeAI } = require('@google/generative-ai');
+            generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+        }
+        return generativeModel;
+    }
+
+    // `request` is a prompt string, or an array of parts (text and inline files) for multimodal requests
+    async function generate(request) {
+        let apiResponse;
+        try {
+            apiResponse = await getModel().generateContent(request);
+        } catch (error) {
+            error.transient = isTransientGeminiError(error);
+            throw error;
+        }
+
+        const candidates = apiResponse && apiResponse.response && apiResponse.response.candidates;
+        const parts = candidates && candidates.length > 0 && candidates[0].content && candidates[0].content.parts;
+        const text = parts && parts.length > 0 && parts[0].text ? parts[0].text : null;
+        return { text, rawResponse: JSON.stringify(apiResponse) };
+    }
+
+    async function generateText(prompt) {
+        return generate(prompt);
+    }
+
+    // Gemini reads images and PDFs sent inline with the prompt
+    async function transcribeMedia(prompt, { data, mimetype }) {
+        return generate([prompt, { inlineData: { data, mimeType: mimetype } }]);
+    }
+
+    return {
+        name: 'gemini',
+        model,
+        generateText,
+        transcribeMedia
+    };
+}
+
+// Returns true for Gemini errors that are likely to succeed on a later attempt
+// (HTTP 429 rate limits, 5xx server errors and network failures).
+function isTransientGeminiError(error) {
+    if (typeof error.status === 'number') {
+        return error.status === 429 || error.status >= 500;
+    }
+    return /Error fetching from/i.test(error.message || '');
+}
+
+/**
+ * Deterministic offline provider for tests and running without an API key.
+ * Responses come from a JSON fixtures file: an array of `{ "match": "...", "response": "..." }`.
+ * The first fixture whose `match` text appears in the seller message (the `input` passed to
+ * generateText, or the whole prompt if there is none) wins. Matching is case-insensitive;
+ * a fixture without `match` acts as the default. If nothing matches, an empty offer list is returned.
+ * For images and PDFs, the `transcription` of the first fixture that has one is returned as the
+ * text read from the file.
+ *
+ * @param {Object} options
+ * @param {string} options.fixturesPath Path of the fixtures JSON file.
+ */
+function createMockProvider({ fixturesPath, model = 'mock' }) {
+    let fixtures = [];
+    if (fixturesPath && fs.existsSync(fixturesPath)) {
+        try {
+            fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+            logger.info(`Mock LLM provider loaded ${fixtures.length} fixture(s) from ${fixturesPath}.`);
+        } catch (e) {
+            logger.error(`Error parsing mock LLM fixtures file ${fixturesPath}: ${e.message}`);
+        }
+    } else {
+        logger.warn(`Mock LLM fixtures file ${fixturesPath} not found. Every request will return no offers.`);
+    }
+
+    async function generateText(prompt, { input } = {}) {
+        const searchText = (input || prompt).toUpperCase();
+        const fixture = fixtures.find(f => f.match && searchText.includes(String(f.match).toUpperCase()))
+            || fixtures.find(f => !f.match && f.response !== undefined);
+        const text = fixture ? fixture.response : '```json\n[]\n```';
+        return { text, rawResponse: JSON.stringify({ provider: 'mock', text }) };
+    }
+
+    async function transcribeMedia() {
+        const fixture = fixtures.find(f => typeof f.transcription === 'string');
+        const text = fixture ? fixture.transcription : '';
+        return { text, rawResponse: JSON.stringify({ provider: 'mock', text }) };
+    }
+
+    return {
+        name: 'mock',
+        model,
+        generateText,
+        transcribeMedia
+    };
+}
+
+/**
+ * Creates the provider selected in LLM_SETTINGS (config.js).
+ *
+ * @param {Object} settings
+ * @param {string} settings.provider "gemini" or "mock".
+ * @param {string} settings.model Model name passed to the provider.
+ * @param {string} [settings.mockFixturesPath] Fixtures file for the mock provider.
+ */
+function createLlmProvider({ provider, model, mockFixturesPath }) {
+    switch (provider) {
+        case 'mock':
+            return createMockProvider({ fixturesPath: mockFixturesPath });
+        case 'gemini':
+            return createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY, model });
+        default:
+            throw new Error(`Unknown LLM provider "${provider}". Use "gemini" or "mock".`);
+    }
+}
+
+module.exports = {
+    createLlmProvider,
+    createGeminiProvider,
+    createMockProvider
+};
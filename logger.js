@@ -0,0 +1,38 @@
+// logger.js
+
+const fs = require('fs');
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+
+const LOGS_DIR = './logs';
+const LOG_FILE_PREFIX = 'bot_activity';
+
+if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+}
+
+// Shared logger so every module writes to the same console and daily log file.
+const logFormat = winston.format.printf(({ level, message, timestamp }) => {
+    return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+});
+
+const logger = winston.createLogger({
+    level: 'info', // Log level: info, debug, warn, error
+    format: winston.format.combine(
+        winston.format.timestamp({ format: 'DD-MM-YYYY, HH:mm:ss' }),
+        logFormat
+    ),
+    transports: [
+        new winston.transports.Console(), // Log to console
+        new DailyRotateFile({
+            filename: `${LOG_FILE_PREFIX}-%DATE%.log`,
+            datePattern: 'YYYY-MM-DD',
+            zippedArchive: true,
+            maxSize: '20m',
+            maxFiles: '14d',
+            dirname: LOGS_DIR
+        }) // Log to daily rotating file
+    ],
+});
+
+module.exports = logger;
@@ -0,0 +1,221 @@
+// marketStore.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { parseOfferText } = require('./offerParser');
+const { OFFER_FIELDS } = require('./offerSchema');
+
+// The price of an offer is the top of its range (priceMax, or priceMin for a single price), or null.
+function getPrice(offer) {
+    if (typeof offer.priceMax === 'number') {
+        return offer.priceMax;
+    }
+    return typeof offer.priceMin === 'number' ? offer.priceMin : null;
+}
+
+/**
+ * Creates the market price history store. Every processed offer is appended as one JSON line
+ * to `filePath`, so the file is a complete price history per crop and per market.
+ * The rows are also kept in memory for fast lookups. The file is only ever appended to: flagging
+ * an offer later appends a `{ flag, reason, flaggedAt }` line that is applied to its row on load.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSONL file.
+ * @returns {Object} Store API: recordOffers, flagOffers, queryOffers, getOfferById.
+ */
+function createMarketStore({ filePath }) {
+    const rows = [];
+
+    function load() {
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                skipped++; // A partially written last line after a crash; ignore it
+                continue;
+            }
+            if (entry.flag) {
+                applyFlag(entry);
+            } else {
+                rows.push(entry);
+            }
+        }
+        if (skipped > 0) {
+            logger.warn(`Skipped ${skipped} unreadable line(s) in market history file ${filePath}.`);
+        }
+        logger.info(`Loaded ${rows.length} stored offer(s) from market history.`);
+    }
+
+    function applyFlag({ flag, reason }) {
+        const row = rows.find(r => r.id === flag);
+        if (!row) {
+            return;
+        }
+        row.flagged = true;
+        if (!row.validationErrors.includes(reason)) {
+            row.validationErrors = [...row.validationErrors, reason];
+        }
+    }
+
+    function generateId() {
+        // Short, sortable IDs that are easy to type (e.g. for resending an offer).
+        return `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    /**
+     * Saves every offer returned by extractAndTranslateCropOffers as a history row.
+     *
+     * @param {Object} processedOffers The object returned by extractAndTranslateCropOffers.
+     * @param {Object} context
+     * @param {string} context.sellerGroupId Serialized ID of the seller group.
+     * @param {string} context.sellerGroupName Name of the seller group.
+     * @param {string} [context.receivedAt] ISO timestamp of the seller message (defaults to now).
+     * @param {string[]} context.languages Language codes whose formatted texts should be stored.
+     * @param {string} [context.mediaPath] The photo or PDF the offers were read from, kept for audit.
+     * @returns {Object[]} The rows that were written.
+     */
+    function recordOffers(processedOffers, { sellerGroupId, sellerGroupName, receivedAt, languages, mediaPath }) {
+        const timestamp = receivedAt || new Date().toISOString();
+        const newRows = [];
+
+        for (const key in processedOffers) {
+            const offer = processedOffers[key];
+            // Prefer the validated structured fields; older callers only give us the formatted text.
+            const hasStructuredFields = OFFER_FIELDS.some(field => offer[field] !== undefined);
+            const parsed = hasStructuredFields ? offer : parseOfferText(offer.en);
+            const translations = {};
+            for (const language of languages) {
+                if (offer[language]) {
+                    translations[language] = offer[language];
+                }
+            }
+
+            newRows.push({
+                id: generateId(),
+                timestamp,
+                sellerGroupId,
+                sellerGroupName,
+                market: parsed.market,
+                extractedName: offer.extractedName || key,
+                standardizedName: offer.standardizedName,
+                category: offer.category,
+                priceMin: parsed.priceMin,
+                priceMax: parsed.priceMax,
+                priceChange: parsed.priceChange,
+                unit: parsed.unit || null,
+                arrivalMin: parsed.arrivalMin,
+                arrivalMax: parsed.arrivalMax,
+                arrivalUnit: parsed.arrivalUnit,
+                flagged: Boolean(offer.flagged),
+                validationErrors: offer.validationErrors || [],
+                translations,
+                mediaPath: mediaPath || null
+            });
+        }
+
+        if (newRows.length === 0) {
+            return newRows;
+        }
+
+        try {
+            fs.appendFileSync(filePath, newRows.map(row => JSON.stringify(row)).join('\n') + '\n');
+            rows.push(...newRows);
+            logger.info(`Saved ${newRows.length} offer(s) to market history.`);
+        } catch (e) {
+            logger.error(`Error writing market history file: ${e.message}`);
+        }
+        return newRows;
+    }
+
+    /**
+     * Marks stored offers as flagged, e.g. when an operator rejects the draft they were in.
+     * Flagged rows stay in the history but are left out of anything that treats them as real prices.
+     *
+     * @param {string[]} ids IDs of the history rows.
+     * @param {string} reason Added to the rows' validationErrors.
+     */
+    function flagOffers(ids, reason) {
+        const entries = ids
+            .filter(id => getOfferById(id))
+            .map(id => ({ flag: id, reason, flaggedAt: new Date().toISOString() }));
+        if (entries.length === 0) {
+            return;
+        }
+        try {
+            fs.appendFileSync(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+            entries.forEach(applyFlag);
+            logger.info(`Flagged ${entries.length} offer(s) in market history: ${reason}`);
+        } catch (e) {
+            logger.error(`Error writing market history file: ${e.message}`);
+        }
+    }
+
+    /**
+     * Returns stored offers matching the filters, newest first.
+     *
+     * @param {Object} [filters]
+     * @param {string} [filters.standardizedName] Exact standardized crop name (e.g. "TOOR DAL").
+     * @param {string} [filters.market] Market name (case-insensitive).
+     * @param {string} [filters.category] Category (e.g. "PULSES").
+     * @param {string|Date} [filters.since] Only offers at or after this time.
+     * @param {string|Date} [filters.until] Only offers before this time.
+     * @param {number} [filters.limit] Maximum number of rows to return.
+     * @param {boolean} [filters.includeFlagged=true] If false, flagged rows are left out.
+     * @returns {Object[]}
+     */
+    function queryOffers({ standardizedName, market, category, since, until, limit, includeFlagged = true } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+        const result = [];
+
+        for (let i = rows.length - 1; i >= 0; i--) {
+            const row = rows[i];
+            const time = new Date(row.timestamp).getTime();
+            if (standardizedName && row.standardizedName !== standardizedName.toUpperCase()) continue;
+            if (market && (row.market || '').toUpperCase() !== market.toUpperCase()) continue;
+            if (category && row.category !== category.toUpperCase()) continue;
+            if (sinceTime !== null && time < sinceTime) continue;
+            if (untilTime !== null && time >= untilTime) continue;
+            if (!includeFlagged && row.flagged) continue;
+
+            result.push(row);
+            if (limit && result.length >= limit) {
+                break;
+            }
+        }
+        return result;
+    }
+
+    function getOfferById(id) {
+        return rows.find(row => row.id === id) || null;
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        recordOffers,
+        flagOffers,
+        queryOffers,
+        getOfferById
+    };
+}
+
+module.exports = {
+    createMarketStore,
+    getPrice
+};
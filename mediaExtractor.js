@@ -0,0 +1,171 @@
+// mediaExtractor.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const logger = require('./logger');
+
+// File extension per supported media type. Other attachments (video, stickers, documents such as
+// spreadsheets) are not bulletins we can read. Audio is stored here but read by transcriber.js.
+const SUPPORTED_MEDIA_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr'
+};
+
+// Stored media files are named "<sha256 prefix>.<ext>", so a rate sheet forwarded into several groups is kept once.
+const MEDIA_FILE_PATTERN = /^[0-9a-f]{16}\.(jpg|png|webp|pdf|ogg|mp3|m4a|aac|amr)$/;
+
+const OCR_TIMEOUT_MS = 60 * 1000;
+
+const TRANSCRIPTION_PROMPT = `This is a photo, screenshot or PDF of a rate sheet posted by a seller in an agricultural commodity market.
+Transcribe the text exactly as written, one line per row, keeping every crop name, market name, price, price change, unit and arrival figure.
+Write tables as "NAME: VALUE" lines, e.g. "TUR SUDAN: 6250-6300 (+50)". Keep market headings on their own line.
+Do not translate, correct or add anything. Reply with the transcribed text only. If there is no readable text, reply with nothing.`;
+
+// Runs a command-line tool and resolves to its standard output.
+function runTool(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: OCR_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT' ? `${command} is not installed` : (stderr || error.message).trim();
+                reject(new Error(`${command} failed: ${reason}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Creates the reader for rate sheets posted as images or PDFs. The original file is kept on disk for
+ * audit and its text is read with one of two methods:
+ *   'multimodal': the LLM provider reads the file (Gemini accepts images and PDFs).
+ *   'ocr':        local tools read it: `tesseract` for images, `pdftotext` (poppler) for PDFs with a text layer.
+ * The text then goes through the usual extractAndTranslateCropOffers pipeline. Voice notes are stored
+ * here as well, but transcribed by transcriber.js.
+ *
+ * @param {Object} options
+ * @param {string} options.mediaDir Directory where downloaded media files are stored.
+ * @param {string} [options.method='multimodal'] 'multimodal' or 'ocr'.
+ * @param {Object} [options.provider] LLM provider with `transcribeMedia` (see llmProviders.js); required for 'multimodal'.
+ * @param {number} [options.maxSizeBytes] Larger files are not downloaded.
+ * @param {string} [options.ocrLanguages='eng'] Tesseract language codes, e.g. "eng+tel".
+ * @returns {{isSupported: function(string): boolean, isAudio: function(string): boolean, saveMedia: function(Object): string,
+ *   extractText: function(string, string): Promise<{text: string, method: string, rawResponse: string|null}>,
+ *   getMediaFilePath: function(string): string|null}}
+ */
+function createMediaExtractor({ mediaDir, method = 'multimodal', provider, maxSizeBytes = 10 * 1024 * 1024, ocrLanguages = 'eng' }) {
+    if (!['multimodal', 'ocr'].includes(method)) {
+        logger.warn(`Unknown media extraction method "${method}"; using multimodal.`);
+        method = 'multimodal';
+    }
+    if (method === 'multimodal' && (!provider || typeof provider.transcribeMedia !== 'function')) {
+        logger.warn(`The LLM provider "${provider ? provider.name : 'none'}" cannot read images or PDFs. Media bulletins will fail until MEDIA_SETTINGS.method is 'ocr'.`);
+    }
+
+    if (!fs.existsSync(mediaDir)) {
+        fs.mkdirSync(mediaDir, { recursive: true });
+    }
+
+    function isSupported(mimetype) {
+        return Boolean(SUPPORTED_MEDIA_TYPES[String(mimetype || '').split(';')[0]]);
+    }
+
+    // Voice notes and other audio, which go to the transcriber instead of extractText
+    function isAudio(mimetype) {
+        return isSupported(mimetype) && String(mimetype).startsWith('audio/');
+    }
+
+    /**
+     * Writes a downloaded attachment (as returned by whatsapp-web.js' msg.downloadMedia()) to the media directory.
+     *
+     * @param {Object} media
+     * @param {string} media.data Base64-encoded file content.
+     * @param {string} media.mimetype MIME type, e.g. "image/jpeg" or "audio/ogg; codecs=opus".
+     * @returns {string} Path of the stored file, relative to the working directory.
+     * @throws {Error} If the type is not supported or the file is too large.
+     */
+    function saveMedia({ data, mimetype }) {
+        const type = String(mimetype || '').split(';')[0];
+        if (!SUPPORTED_MEDIA_TYPES[type]) {
+            throw new Error(`Unsupported media type "${mimetype}".`);
+        }
+        const buffer = Buffer.from(data, 'base64');
+        if (buffer.length > maxSizeBytes) {
+            throw new Error(`Media file is ${Math.round(buffer.length / 1024)} KB, more than the ${Math.round(maxSizeBytes / 1024)} KB limit.`);
+        }
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16);
+        const filePath = path.join(mediaDir, `${hash}.${SUPPORTED_MEDIA_TYPES[type]}`);
+        if (!fs.existsSync(filePath)) {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, buffer);
+            fs.renameSync(tmpPath, filePath);
+        }
+        return filePath;
+    }
+
+    async function extractWithProvider(filePath, mimetype) {
+        if (!provider || typeof provider.transcribeMedia !== 'function') {
+            throw new Error(`The LLM provider "${provider ? provider.name : 'none'}" cannot read images or PDFs.`);
+        }
+        const data = fs.readFileSync(filePath).toString('base64');
+        const result = await provider.transcribeMedia(TRANSCRIPTION_PROMPT, { data, mimetype });
+        return { text: result.text || '', rawResponse: result.rawResponse };
+    }
+
+    async function extractWithOcr(filePath, mimetype) {
+        const text = mimetype === 'application/pdf'
+            ? await runTool('pdftotext', ['-layout', filePath, '-'])
+            : await runTool('tesseract', [filePath, 'stdout', '-l', ocrLanguages]);
+        return { text, rawResponse: null };
+    }
+
+    /**
+     * Reads the text of a stored image or PDF.
+     *
+     * @param {string} filePath Path returned by saveMedia.
+     * @param {string} mimetype MIME type of the file.
+     * @returns {Promise<{text: string, method: string, rawResponse: string|null}>} The text ('' if nothing
+     *   was readable), the method used and the raw LLM response (multimodal only).
+     * @throws {Error} If the file can't be read; LLM errors worth retrying keep `error.transient`.
+     */
+    async function extractText(filePath, mimetype) {
+        const type = String(mimetype || '').split(';')[0];
+        if (isAudio(type)) {
+            throw new Error(`${path.basename(filePath)} is audio; voice notes are read by the transcriber.`);
+        }
+        const result = method === 'ocr' ? await extractWithOcr(filePath, type) : await extractWithProvider(filePath, type);
+        const text = result.text.replace(/^```\w*\s*|\s*```$/g, '').replace(/[ \t]+\n/g, '\n').trim();
+        logger.info(`Read ${text.length} character(s) from ${path.basename(filePath)} (${method}).`);
+        return { text, method, rawResponse: result.rawResponse };
+    }
+
+    // Resolves a stored media file name (e.g. for the /media download route); null if there is no such file.
+    function getMediaFilePath(fileName) {
+        if (!MEDIA_FILE_PATTERN.test(fileName)) {
+            return null;
+        }
+        const filePath = path.resolve(mediaDir, fileName);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    return {
+        isSupported,
+        isAudio,
+        saveMedia,
+        extractText,
+        getMediaFilePath
+    };
+}
+
+module.exports = {
+    createMediaExtractor
+};
@@ -0,0 +1,81 @@
+// messageFormatting.js
+
+/**
+ * Applies the bot's formatting rules to offer text: drops NA/no-sale lines, removes +0 changes,
+ * converts KATTA and QUINTAL quantities to BAG, strips phone numbers, emails and marketing phrases,
+ * puts market names on their own line, removes emojis and upper-cases everything.
+ * These are the same rules the LLM prompt asks for, applied locally.
+ *
+ * @param {string} text Raw or LLM-formatted offer text.
+ * @returns {string} The formatted text.
+ */
+function applyFormattingRules(text) {
+    let formatted = text;
+
+    // --- REMOVE ALL EMOJIS ---
+    // Done before the line-based rules so a leading emoji doesn't hide a market header.
+    formatted = formatted.replace(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F1E0}-\u{1F1FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F900}-\u{1F9FF}\u{1FAD0}-\u{1FADF}\u{1FA70}-\u{1FA7F}\u{1FA80}-\u{1FA8F}\u{1FA90}-\u{1FA9F}\u{2B50}\u{2B06}\u{2934}\u{2935}\u{2190}-\u{21FF}\u{2300}-\u{23FF}\u{2500}-\u{25FF}\u{2B00}-\u{2BFF}\u{2B50}]/gu, '');
+    formatted = formatted.replace(/👉/g, ''); // Explicitly remove specific arrow emoji
+
+    // Rule: Remove lines with NA, NAD, NO SALES etc.
+    // Whole words only, so crop names that merely contain "NA" (CHANA, DHANIA) are kept.
+    formatted = formatted.split('\n')
+        .filter(line => !/\b(NA|NAD|NO\s*SALES?|NOT\s*AVAILABLE|NO\s*RATE|NO\s*TRADING)\b/i.test(line))
+        .join('\n');
+
+    // Rule: Remove +0 and (+0)
+    // Only spaces around it are removed, never the line break, so the next line stays separate.
+    formatted = formatted.replace(/[ \t]?\(\+0\)[ \t]?/g, ' ').replace(/[ \t]?\+0\b[ \t]?/g, ' ');
+
+    // Rule: (2 katta = 1 bag) i.e, half the quantity and replace "katta" with "bags"
+    formatted = formatted.replace(/(\d+)\s*-\s*(\d+)\s*KATTA/gi, (match, p1, p2) => {
+        const q1 = Math.ceil(parseInt(p1) / 2);
+        const q2 = Math.floor(parseInt(p2) / 2);
+        return `${q1}-${q2} BAG`;
+    });
+    formatted = formatted.replace(/(\d+)\s*KATTA/gi, (match, p1) => {
+        const q1 = Math.ceil(parseInt(p1) / 2);
+        return `${q1} BAG`;
+    });
+
+    // Rule: (1 quintal = 2 bags) i.e, double the quantity and replace "quintal(s)" with "bags"
+    formatted = formatted.replace(/(\d+)\s*-\s*(\d+)\s*QUINTAL(?:S)?/gi, (match, p1, p2) => {
+        const q1 = parseInt(p1) * 2;
+        const q2 = parseInt(p2) * 2;
+        return `${q1}-${q2} BAG`;
+    });
+    formatted = formatted.replace(/(\d+)\s*QUINTAL(?:S)?/gi, (match, p1) => {
+        const q1 = parseInt(p1) * 2;
+        return `${q1} BAG`;
+    });
+
+    // Rule: Remove mobile numbers and other personal/marketing info
+    formatted = formatted.replace(/\b(?:\+?\d{1,3}[-.\s]?)?(\d{10})\b/g, ''); // Phone numbers (more robust)
+    formatted = formatted.replace(/(?:CONTACT|CALL|DM|WHATSAPP|FOR DETAILS|TRIAL OFFER|INFORMATION IS INDICATIVE|AS AGGREGATED BY MARKET SOURCES|NAME\/CITY FOR FREE TRIAL|PULSES:|OILSEED:|SPICES:)\s*[:\d\s\-\/]*\S*/gi, ''); // Marketing/contact phrases
+    formatted = formatted.replace(/\S*@\S*\.\S*/g, ''); // Email addresses
+
+    // Rule: Format Market Names (e.g., "KEKRI MARKET" -> "KEKRI" on a new line)
+    let lines = formatted.split('\n').map(line => line.trim());
+    formatted = lines.map(line => {
+        const marketMatch = line.match(/^(\w+(?:\s+\w+)*?)\s+MARKET/i);
+        if (marketMatch && marketMatch[1]) {
+            return marketMatch[1].toUpperCase() + (line.substring(marketMatch[0].length).trim() ? '\n' + line.substring(marketMatch[0].length).trim() : '');
+        }
+        return line;
+    }).join('\n');
+
+    // Rule: Put proper line and character spacing and capitalize the message
+    formatted = formatted.split('\n')
+        .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+        .filter(line => line.length > 0) // Remove empty lines after trimming
+        .join('\n');
+
+    // Capitalize the entire message for consistency, but after market name handling
+    formatted = formatted.toUpperCase();
+
+    return formatted;
+}
+
+module.exports = {
+    applyFormattingRules
+};
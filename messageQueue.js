@@ -0,0 +1,214 @@
+// messageQueue.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+
+const MAX_FAILED_JOBS_KEPT = 50; // Failed jobs are kept in the queue file for inspection, up to this many
+
+/**
+ * Creates a disk-backed FIFO queue that runs jobs through `worker` with limited concurrency,
+ * a requests-per-minute cap and exponential backoff retries.
+ *
+ * Jobs are written to `filePath` on every state change. Jobs that were pending or in progress
+ * when the process stopped are picked up again when the queue is created on the next start.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file that holds the queue state.
+ * @param {function(Object, Object): Promise<void>} options.worker Processes a job payload. Throwing schedules a retry.
+ * @param {number} [options.concurrency=1] Maximum number of jobs processed at the same time.
+ * @param {number} [options.requestsPerMinute=0] Maximum job starts per rolling minute (0 = unlimited).
+ * @param {number} [options.maxAttempts=5] Attempts before a job is moved to the failed list.
+ * @param {number} [options.retryBaseDelayMs=5000] Delay before the first retry; doubled on every further attempt.
+ * @param {number} [options.retryMaxDelayMs=300000] Upper bound for the retry delay.
+ * @param {function(Object): void} [options.onChange] Called with `getStats()` whenever the queue changes.
+ * @param {function(Object, Error): void} [options.onJobFailed] Called when a job has used up all of its attempts.
+ * @returns {{enqueue: function(Object): string, start: function(): void, getStats: function(): Object}}
+ */
+function createMessageQueue({
+    filePath,
+    worker,
+    concurrency = 1,
+    requestsPerMinute = 0,
+    maxAttempts = 5,
+    retryBaseDelayMs = 5000,
+    retryMaxDelayMs = 5 * 60 * 1000,
+    onChange = () => {},
+    onJobFailed = () => {}
+}) {
+    let jobs = [];   // Pending and in-progress jobs, oldest first
+    let failed = []; // Jobs that ran out of attempts
+    const recentStarts = []; // Start timestamps of jobs within the last minute, for rate limiting
+    let activeCount = 0;
+    let wakeUpTimer = null;
+    let started = false;
+
+    // --- Persistence ---
+    function load() {
+        const saved = readJsonFile(filePath, 'message queue');
+        if (!saved) {
+            return;
+        }
+        jobs = Array.isArray(saved.jobs) ? saved.jobs : [];
+        failed = Array.isArray(saved.failed) ? saved.failed : [];
+
+        // Anything that was in progress when the bot stopped did not finish, so run it again.
+        let resumed = 0;
+        for (const job of jobs) {
+            if (job.status === 'processing') {
+                job.status = 'pending';
+                job.nextAttemptAt = 0;
+            }
+            resumed++;
+        }
+        if (resumed > 0) {
+            logger.info(`Resuming ${resumed} queued message(s) left over from the previous run.`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { jobs, failed }, 'message queue');
+    }
+
+    function notifyChange() {
+        try {
+            onChange(getStats());
+        } catch (e) {
+            logger.error(`Error in message queue change listener: ${e.message}`);
+        }
+    }
+
+    // --- Scheduling ---
+    function scheduleWakeUp(delayMs) {
+        if (wakeUpTimer) {
+            clearTimeout(wakeUpTimer);
+        }
+        wakeUpTimer = setTimeout(() => {
+            wakeUpTimer = null;
+            pump();
+        }, Math.max(delayMs, 0));
+    }
+
+    function pump() {
+        if (!started) {
+            return;
+        }
+
+        while (activeCount < concurrency) {
+            const now = Date.now();
+            while (recentStarts.length > 0 && now - recentStarts[0] >= 60000) {
+                recentStarts.shift();
+            }
+
+            if (requestsPerMinute > 0 && recentStarts.length >= requestsPerMinute) {
+                // Rate limit reached: wait until the oldest start leaves the one-minute window.
+                scheduleWakeUp(recentStarts[0] + 60000 - now);
+                return;
+            }
+
+            const job = jobs.find(j => j.status === 'pending' && j.nextAttemptAt <= now);
+            if (!job) {
+                // Nothing ready right now; wake up when the earliest delayed retry is due.
+                const waiting = jobs.filter(j => j.status === 'pending');
+                if (waiting.length > 0) {
+                    scheduleWakeUp(Math.min(...waiting.map(j => j.nextAttemptAt)) - now);
+                }
+                return;
+            }
+
+            runJob(job);
+        }
+    }
+
+    async function runJob(job) {
+        job.status = 'processing';
+        job.attempts++;
+        activeCount++;
+        recentStarts.push(Date.now());
+        persist();
+        notifyChange();
+
+        try {
+            await worker(job.payload, job);
+            jobs = jobs.filter(j => j.id !== job.id);
+        } catch (error) {
+            job.lastError = error.message;
+            if (job.attempts >= maxAttempts) {
+                logger.error(`Queued job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}. Giving up.`);
+                jobs = jobs.filter(j => j.id !== job.id);
+                job.status = 'failed';
+                job.failedAt = new Date().toISOString();
+                failed.push(job);
+                if (failed.length > MAX_FAILED_JOBS_KEPT) {
+                    failed = failed.slice(-MAX_FAILED_JOBS_KEPT);
+                }
+                try {
+                    onJobFailed(job, error);
+                } catch (e) {
+                    logger.error(`Error in message queue failure listener: ${e.message}`);
+                }
+            } else {
+                const delay = Math.min(retryBaseDelayMs * Math.pow(2, job.attempts - 1), retryMaxDelayMs);
+                logger.warn(`Queued job ${job.id} failed (attempt ${job.attempts}/${maxAttempts}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s.`);
+                job.status = 'pending';
+                job.nextAttemptAt = Date.now() + delay;
+            }
+        } finally {
+            activeCount--;
+            persist();
+            notifyChange();
+            pump();
+        }
+    }
+
+    // --- Public API ---
+    function enqueue(payload) {
+        const job = {
+            id: crypto.randomUUID(),
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            enqueuedAt: new Date().toISOString()
+        };
+        jobs.push(job);
+        persist();
+        notifyChange();
+        pump();
+        return job.id;
+    }
+
+    function start() {
+        started = true;
+        pump();
+    }
+
+    function getStats() {
+        const now = Date.now();
+        return {
+            pending: jobs.filter(j => j.status === 'pending' && j.nextAttemptAt <= now).length,
+            retrying: jobs.filter(j => j.status === 'pending' && j.nextAttemptAt > now).length,
+            processing: jobs.filter(j => j.status === 'processing').length,
+            failed: failed.length,
+            depth: jobs.length
+        };
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        enqueue,
+        start,
+        getStats
+    };
+}
+
+module.exports = {
+    createMessageQueue
+};
@@ -0,0 +1,114 @@
+// offerParser.js
+
+// Parses the formatted English offer text produced by geminiProcessor
+// (e.g. "KEKRI\nNEW MOONG DAL: 6800-7200 (-50)\nARRIVAL: 750-900 BAG") into numeric fields.
+
+const NUMBER = '\\d[\\d,]*(?:\\.\\d+)?';
+const ARRIVAL_LINE_REGEX = new RegExp(`^ARRIVALS?\\s*[:\\-]?\\s*(${NUMBER})(?:\\s*-\\s*(${NUMBER}))?\\s*([A-Z]+)?`, 'i');
+// The label must end in something other than a digit or separator, so "TUR SUDAN 6250-6300" splits
+// into "TUR SUDAN" and the range even without a colon.
+const PRICE_LINE_REGEX = new RegExp(`^(.*?[^\\d\\s:\\-=])\\s*[:\\-=]?\\s*(?:RS\\.?\\s*|₹\\s*)?(${NUMBER})(?:\\s*[-/]\\s*(${NUMBER}))?\\s*(?:\\(\\s*([+-]\\s*${NUMBER})\\s*\\)|([+-]\\s*${NUMBER}))?`, 'i');
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = parseFloat(String(value).replace(/[,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses an "ARRIVAL: 750-900 BAG" line.
+ *
+ * @param {string} line A single line of offer text.
+ * @returns {{arrivalMin: number|null, arrivalMax: number|null, arrivalUnit: string|null}|null} Null if it is not an arrival line.
+ */
+function matchArrivalLine(line) {
+    const match = line.trim().match(ARRIVAL_LINE_REGEX);
+    if (!match) {
+        return null;
+    }
+    const arrivalMin = toNumber(match[1]);
+    return {
+        arrivalMin,
+        arrivalMax: toNumber(match[2]) !== null ? toNumber(match[2]) : arrivalMin,
+        arrivalUnit: match[3] ? match[3].toUpperCase() : null
+    };
+}
+
+/**
+ * Parses a "NEW MOONG DAL: 6800-7200 (-50)" line into its label and prices.
+ *
+ * @param {string} line A single line of offer text.
+ * @returns {{label: string, priceMin: number|null, priceMax: number|null, priceChange: number|null}|null} Null if there is no price on the line.
+ */
+function matchPriceLine(line) {
+    const match = line.trim().match(PRICE_LINE_REGEX);
+    if (!match) {
+        return null;
+    }
+    const priceMin = toNumber(match[2]);
+    return {
+        label: match[1].trim(),
+        priceMin,
+        priceMax: toNumber(match[3]) !== null ? toNumber(match[3]) : priceMin,
+        priceChange: toNumber(match[4] || match[5])
+    };
+}
+
+/**
+ * Extracts market, price range, price change and arrival quantity from a formatted offer.
+ * Fields that cannot be found are returned as null.
+ *
+ * @param {string} text The formatted English offer text.
+ * @returns {{market: string|null, priceMin: number|null, priceMax: number|null, priceChange: number|null,
+ *   arrivalMin: number|null, arrivalMax: number|null, arrivalUnit: string|null}}
+ */
+function parseOfferText(text) {
+    const result = {
+        market: null,
+        priceMin: null,
+        priceMax: null,
+        priceChange: null,
+        arrivalMin: null,
+        arrivalMax: null,
+        arrivalUnit: null
+    };
+    if (!text) {
+        return result;
+    }
+
+    const lines = String(text).split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    for (const line of lines) {
+        const arrival = matchArrivalLine(line);
+        if (arrival) {
+            if (result.arrivalMin === null) {
+                Object.assign(result, arrival);
+            }
+            continue;
+        }
+
+        const price = matchPriceLine(line);
+        if (price) {
+            if (result.priceMin === null) {
+                result.priceMin = price.priceMin;
+                result.priceMax = price.priceMax;
+                result.priceChange = price.priceChange;
+            }
+            continue;
+        }
+
+        // A line without any numbers before the first price is the market header (e.g. "KEKRI" or "KEKRI MARKET").
+        if (result.market === null && result.priceMin === null && !/\d/.test(line)) {
+            result.market = line.replace(/\s+MARKET$/i, '').toUpperCase();
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseOfferText,
+    matchPriceLine,
+    matchArrivalLine
+};
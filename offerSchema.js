@@ -0,0 +1,113 @@
+// offerSchema.js
+
+const { parseOfferText } = require('./offerParser');
+
+// Structured fields every processed offer carries next to its formatted texts.
+const OFFER_FIELDS = ['priceMin', 'priceMax', 'priceChange', 'unit', 'arrivalMin', 'arrivalMax', 'arrivalUnit', 'market'];
+const NUMERIC_FIELDS = ['priceMin', 'priceMax', 'priceChange', 'arrivalMin', 'arrivalMax'];
+const TEXT_FIELDS = ['unit', 'arrivalUnit', 'market'];
+
+// A max price more than this many times the min price is almost certainly a misread.
+const MAX_PRICE_RANGE_RATIO = 2;
+
+/**
+ * Turns the structured fields Gemini returned into clean values: numbers for numeric fields
+ * (accepting strings like "6,800"), upper-case strings for text fields, and null when missing.
+ * Values that cannot be converted are kept as-is so validation can report them.
+ *
+ * @param {Object} raw The object returned by Gemini (or any object with the offer fields).
+ * @returns {Object} An object containing exactly the OFFER_FIELDS keys.
+ */
+function normalizeOfferFields(raw = {}) {
+    const fields = {};
+    for (const field of NUMERIC_FIELDS) {
+        const value = raw[field];
+        if (value === undefined || value === null || value === '') {
+            fields[field] = null;
+        } else if (typeof value === 'number') {
+            fields[field] = value;
+        } else {
+            const number = Number(String(value).replace(/[,\s₹]/g, ''));
+            fields[field] = Number.isFinite(number) ? number : value;
+        }
+    }
+    for (const field of TEXT_FIELDS) {
+        const value = raw[field];
+        if (value === undefined || value === null || value === '') {
+            fields[field] = null;
+        } else if (typeof value === 'string') {
+            fields[field] = value.trim().toUpperCase() || null;
+        } else {
+            fields[field] = value;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Checks the structured fields of an offer. Besides type and range checks, the prices and
+ * arrivals are compared against the formatted English text, so a number Gemini made up for the
+ * structured fields (but not in the text, or vice versa) is caught.
+ *
+ * @param {Object} fields Normalized fields (see normalizeOfferFields).
+ * @param {string} [englishText] The formatted English offer text.
+ * @returns {string[]} A list of problems; empty when the offer is valid.
+ */
+function validateOfferFields(fields, englishText) {
+    const errors = [];
+
+    for (const field of NUMERIC_FIELDS) {
+        const value = fields[field];
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors.push(`${field} is not a number (${JSON.stringify(value)})`);
+        }
+    }
+    for (const field of TEXT_FIELDS) {
+        const value = fields[field];
+        if (value !== null && typeof value !== 'string') {
+            errors.push(`${field} is not a string (${JSON.stringify(value)})`);
+        }
+    }
+    if (errors.length > 0) {
+        return errors; // The checks below assume the right types
+    }
+
+    if (fields.priceMin === null) {
+        errors.push('priceMin is missing');
+    }
+    for (const field of ['priceMin', 'priceMax', 'arrivalMin', 'arrivalMax']) {
+        if (fields[field] !== null && fields[field] < 0) {
+            errors.push(`${field} is negative (${fields[field]})`);
+        }
+    }
+    if (fields.priceMin !== null && fields.priceMax !== null) {
+        if (fields.priceMin > fields.priceMax) {
+            errors.push(`priceMin (${fields.priceMin}) is greater than priceMax (${fields.priceMax})`);
+        } else if (fields.priceMin > 0 && fields.priceMax / fields.priceMin > MAX_PRICE_RANGE_RATIO) {
+            errors.push(`price range ${fields.priceMin}-${fields.priceMax} is implausibly wide`);
+        }
+    }
+    if (fields.arrivalMin !== null && fields.arrivalMax !== null && fields.arrivalMin > fields.arrivalMax) {
+        errors.push(`arrivalMin (${fields.arrivalMin}) is greater than arrivalMax (${fields.arrivalMax})`);
+    }
+    if (fields.arrivalMin !== null && !fields.arrivalUnit) {
+        errors.push('arrivalUnit is missing for the arrival quantity');
+    }
+
+    if (englishText) {
+        const fromText = parseOfferText(englishText);
+        for (const field of ['priceMin', 'priceMax', 'arrivalMin', 'arrivalMax']) {
+            if (fromText[field] !== null && fields[field] !== null && fromText[field] !== fields[field]) {
+                errors.push(`${field} (${fields[field]}) does not match the offer text (${fromText[field]})`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    OFFER_FIELDS,
+    normalizeOfferFields,
+    validateOfferFields
+};
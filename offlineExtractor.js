@@ -0,0 +1,101 @@
+// offlineExtractor.js
+
+// Deterministic, rule-based extraction for the common bulletin formats. Used when the LLM is
+// unavailable, so a seller message still produces offers instead of being lost.
+// Handles lines like:
+//   KEKRI MARKET                  (market header)
+//   NEW MOONG DAL: 6800-7200 (+50) (crop price line, colon optional)
+//   ARRIVAL: 750-900 BAG          (arrival line, attached to the crop above it)
+
+const { applyFormattingRules } = require('./messageFormatting');
+const { findCropInText } = require('./cropTaxonomy');
+const { matchPriceLine, matchArrivalLine } = require('./offerParser');
+const { normalizeOfferFields, validateOfferFields } = require('./offerSchema');
+const { translateOfferText } = require('./translationGlossary');
+
+/**
+ * Extracts crop offers from a raw seller message without calling an LLM.
+ * Returns the same shape as extractAndTranslateCropOffers, with every offer marked
+ * `confidence: 'low'` and `source: 'offline'`. Lines whose label is not a known crop alias
+ * (see cropTaxonomy.js) are ignored. Other languages are translated with the glossary.
+ *
+ * @param {string} messageContent The raw message content from a seller group.
+ * @param {string[]} [targetLanguages=['en']] Language codes to produce texts for.
+ * @returns {Object} Offers keyed by upper-case extracted name.
+ */
+function extractOffersOffline(messageContent, targetLanguages = ['en']) {
+    const formatted = applyFormattingRules(messageContent || '');
+    const offers = [];
+    let currentMarket = null;
+    let lastOffer = null;
+
+    for (const line of formatted.split('\n')) {
+        const arrival = matchArrivalLine(line);
+        if (arrival) {
+            if (lastOffer && lastOffer.arrivalLine === null) {
+                lastOffer.arrivalLine = line;
+            }
+            continue;
+        }
+
+        const price = matchPriceLine(line);
+        if (price) {
+            const crop = findCropInText(price.label);
+            if (crop) {
+                lastOffer = {
+                    extractedName: currentMarket ? `${price.label} ${currentMarket}` : price.label,
+                    standardizedName: crop.standardizedName,
+                    category: crop.category,
+                    market: currentMarket,
+                    priceLine: line,
+                    arrivalLine: null
+                };
+                offers.push(lastOffer);
+            } else {
+                lastOffer = null; // Don't attach a following ARRIVAL line to an unrelated crop
+            }
+            continue;
+        }
+
+        // A line without numbers that isn't a crop name is treated as a market/location header.
+        if (!/\d/.test(line) && !findCropInText(line)) {
+            currentMarket = line;
+            lastOffer = null;
+        }
+    }
+
+    const result = {};
+    for (const offer of offers) {
+        const en = [offer.market, offer.priceLine, offer.arrivalLine].filter(Boolean).join('\n');
+        const structuredFields = normalizeOfferFields({
+            ...matchPriceLine(offer.priceLine),
+            ...(offer.arrivalLine ? matchArrivalLine(offer.arrivalLine) : {}),
+            market: offer.market
+        });
+        const validationErrors = validateOfferFields(structuredFields, en);
+        const translations = {};
+        for (const language of targetLanguages) {
+            if (language !== 'en') {
+                translations[language] = translateOfferText(en, language).text;
+            }
+        }
+
+        result[offer.extractedName.toUpperCase()] = {
+            extractedName: offer.extractedName,
+            standardizedName: offer.standardizedName,
+            category: offer.category,
+            en,
+            ...translations,
+            ...structuredFields,
+            validationErrors,
+            flagged: validationErrors.length > 0,
+            confidence: 'low',
+            source: 'offline'
+        };
+    }
+    return result;
+}
+
+module.exports = {
+    extractOffersOffline
+};
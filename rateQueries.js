@@ -0,0 +1,136 @@
+// rateQueries.js
+
+const logger = require('./logger');
+const { findCropInText } = require('./cropTaxonomy');
+const { translateOfferText, findTranslatedCrop } = require('./translationGlossary');
+const { getLanguageProfile } = require('./languages');
+
+// "RATE <crop> [market]" on a single line. Kept short so that seller-style bulletins starting with
+// "RATE" are never mistaken for a question.
+const QUERY_PATTERN = /^RATE\s+([^\n]{2,60})$/i;
+
+const MAX_MARKETS = 8; // Markets listed per reply, most recently quoted first
+
+// Crop, market and unit names in the reply language (left in English if there is no glossary).
+function translateName(text, language) {
+    return language === 'en' ? text : translateOfferText(text, language).text;
+}
+
+function formatAge(timestamp, profile, now) {
+    const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return profile.rateReply('justNow');
+    if (minutes < 60) return profile.rateReply('minutesAgo', { n: minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return profile.rateReply('hoursAgo', { n: hours });
+    return profile.rateReply('daysAgo', { n: Math.floor(hours / 24) });
+}
+
+// "KEKRI: 7000-7150 (+50) QTL", or the stored offer text if the row has no numeric price.
+function formatPriceLine(row, language) {
+    if (typeof row.priceMin !== 'number' && typeof row.priceMax !== 'number') {
+        return row.translations[language] || row.translations.en || row.extractedName;
+    }
+    const price = row.priceMin === row.priceMax || typeof row.priceMax !== 'number'
+        ? `${row.priceMin}`
+        : (typeof row.priceMin === 'number' ? `${row.priceMin}-${row.priceMax}` : `${row.priceMax}`);
+    const change = typeof row.priceChange === 'number' && row.priceChange !== 0
+        ? ` (${row.priceChange > 0 ? '+' : ''}${row.priceChange})`
+        : '';
+    return translateName(`${row.market || 'UNKNOWN MARKET'}: ${price}${change}${row.unit ? ` ${row.unit}` : ''}`, language);
+}
+
+/**
+ * Creates the handler for price questions ("RATE TOOR DAL", "rate mirchi guntur") answered from
+ * the stored market history.
+ *
+ * @param {Object} options
+ * @param {Object} options.marketStore The market price history (see marketStore.js).
+ * @returns {{isQuery: function(string): boolean, getQueryLanguage: function(string): string|null,
+ *   answerQuery: function(string, string, Object=): string|null}}
+ */
+function createRateQueries({ marketStore }) {
+    function isQuery(text) {
+        return typeof text === 'string' && QUERY_PATTERN.test(text.trim());
+    }
+
+    // The language the question itself is written in, if its crop name isn't in English ("RATE కంది పప్పు").
+    function getQueryLanguage(text) {
+        const translated = findTranslatedCrop(text);
+        return translated ? translated.language : null;
+    }
+
+    /**
+     * Answers a RATE question with the latest price per market, newest first.
+     *
+     * @param {string} text The message body, e.g. "RATE KANDULU KEKRI".
+     * @param {string} language Language code for the reply (see LANGUAGE_SETTINGS in config.js).
+     * @param {Object} [options]
+     * @param {boolean} [options.quietIfUnknown=false] Return null instead of an error reply when no crop is
+     *   recognized (used in groups, where "rate is up today" is just conversation).
+     * @returns {string|null} The reply text.
+     */
+    function answerQuery(text, language, { quietIfUnknown = false } = {}) {
+        const profile = getLanguageProfile(language);
+        const query = QUERY_PATTERN.exec(text.trim())[1].trim();
+
+        let standardizedName = null;
+        let market = null;
+        const crop = findCropInText(query);
+        if (crop) {
+            standardizedName = crop.standardizedName;
+            // Whatever is left after removing the crop name is the market
+            const upperText = ` ${query.toUpperCase().replace(/[^A-Z0-9]+/g, ' ')} `;
+            market = upperText.replace(` ${crop.alias} `, ' ').trim() || null;
+        } else {
+            const translated = findTranslatedCrop(query);
+            if (translated) {
+                standardizedName = translated.standardizedName;
+                market = query.toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim() || null;
+            }
+        }
+        if (!standardizedName) {
+            return quietIfUnknown ? null : profile.rateReply('unknownCrop', { text: query });
+        }
+
+        const cropName = translateName(standardizedName, language);
+        const latestPerMarket = [];
+        const seenMarkets = new Set();
+        // Flagged prices failed validation or were rejected in review, so they are never quoted
+        for (const row of marketStore.queryOffers({ standardizedName, market, includeFlagged: false })) {
+            const key = (row.market || '').toUpperCase();
+            if (seenMarkets.has(key)) {
+                continue;
+            }
+            seenMarkets.add(key);
+            latestPerMarket.push(row);
+            if (latestPerMarket.length >= MAX_MARKETS) {
+                break;
+            }
+        }
+        logger.info(`RATE query "${query}": ${latestPerMarket.length} market(s) for ${standardizedName}${market ? ` in ${market}` : ''}.`);
+
+        if (latestPerMarket.length === 0) {
+            return market
+                ? profile.rateReply('noOffersInMarket', { crop: cropName, market: translateName(market, language) })
+                : profile.rateReply('noOffers', { crop: cropName });
+        }
+
+        const now = Date.now();
+        const lines = [profile.rateReply('title', { crop: cropName })];
+        for (const row of latestPerMarket) {
+            const time = new Date(row.timestamp).toLocaleString(`${language}-IN`, { dateStyle: 'medium', timeStyle: 'short' });
+            lines.push('', formatPriceLine(row, language), `🕒 ${time} (${formatAge(row.timestamp, profile, now)})`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        isQuery,
+        getQueryLanguage,
+        answerQuery
+    };
+}
+
+module.exports = {
+    createRateQueries
+};
@@ -0,0 +1,373 @@
+// reportGenerator.js
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+const { getPrice } = require('./marketStore');
+
+// "report-2026-10-19.csv", "report-2026-10-19-PULSES.pdf", "report-2026-10-19-DRY_FRUITS.pdf", and for
+// the week ending on a day "report-week-2026-10-19.csv". Category names may contain digits and spaces
+// (see cropTaxonomy.js); spaces become "_" in file names.
+const REPORT_FILE_PATTERN = /^report-(week-)?(\d{4}-\d{2}-\d{2})(?:-([A-Z0-9]+(?:_[A-Z0-9]+)*))?\.(csv|pdf|png)$/;
+
+const PERIOD_DAYS = { day: 1, week: 7 };
+
+const CSV_COLUMNS = [
+    'period', 'from_date', 'to_date', 'category', 'crop', 'market', 'open_min', 'open_max', 'close_min', 'close_max', 'unit',
+    'previous_close', 'change', 'change_percent', 'arrival_min', 'arrival_max', 'arrival_unit',
+    'quotes', 'first_quote_at', 'last_quote_at'
+];
+
+// "2026-10-19" for a date in local time.
+function getDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatRange(min, max) {
+    if (typeof min !== 'number' && typeof max !== 'number') {
+        return '';
+    }
+    if (typeof min !== 'number' || typeof max !== 'number' || min === max) {
+        return String(typeof max === 'number' ? max : min);
+    }
+    return `${min}-${max}`;
+}
+
+function formatChange(entry) {
+    if (entry.change === null) {
+        return '';
+    }
+    const sign = entry.change > 0 ? '+' : '';
+    return `${sign}${entry.change}${entry.changePercent !== null ? ` (${sign}${entry.changePercent}%)` : ''}`;
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Quote times: the time of day in a daily report, the day and time in a weekly one.
+function formatTime(timestamp, period) {
+    return period === 'week'
+        ? new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' })
+        : new Date(timestamp).toLocaleTimeString('en-IN', { timeStyle: 'short' });
+}
+
+/**
+ * Converts a report to CSV, one line per crop and market.
+ *
+ * @param {Object} report As built by the report generator.
+ * @returns {string}
+ */
+function toCsv(report) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const section of report.categories) {
+        for (const entry of section.entries) {
+            lines.push([
+                report.period, report.fromDate, report.date, section.category, entry.standardizedName, entry.market,
+                entry.open.priceMin, entry.open.priceMax, entry.close.priceMin, entry.close.priceMax, entry.unit,
+                entry.previousClose, entry.change, entry.changePercent,
+                entry.close.arrivalMin, entry.close.arrivalMax, entry.close.arrivalUnit,
+                entry.quotes, entry.firstQuoteAt, entry.lastQuoteAt
+            ].map(escapeCsv).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Converts a report to a printable HTML page (rendered to PDF or PNG with puppeteer).
+ *
+ * @param {Object} report As built by the report generator.
+ * @returns {string}
+ */
+function toHtml(report) {
+    const title = `${report.period === 'week' ? 'Weekly ' : ''}Market Report - ${report.dateLabel}${report.category ? ` - ${report.category}` : ''}`;
+    const movers = report.topMovers.length === 0
+        ? '<p class="hint">No price changes to compare yet.</p>'
+        : `<table><tr><th>Crop</th><th>Market</th><th>Close</th><th>Change</th></tr>${report.topMovers.map(entry => `
+            <tr><td>${escapeHtml(entry.standardizedName)}</td><td>${escapeHtml(entry.market)}</td>
+            <td>${escapeHtml(formatRange(entry.close.priceMin, entry.close.priceMax))}</td>
+            <td class="${entry.change > 0 ? 'up' : 'down'}">${escapeHtml(formatChange(entry))}</td></tr>`).join('')}</table>`;
+
+    const sections = report.categories.map(section => `
+        <h2>${escapeHtml(section.category)}</h2>
+        <table>
+            <tr><th>Crop</th><th>Market</th><th>Open</th><th>Close</th><th>Change</th><th>Arrivals</th><th>Quotes</th></tr>
+            ${section.entries.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.standardizedName)}</td>
+                <td>${escapeHtml(entry.market)}</td>
+                <td>${escapeHtml(formatRange(entry.open.priceMin, entry.open.priceMax))} <span class="hint">${escapeHtml(formatTime(entry.firstQuoteAt, report.period))}</span></td>
+                <td>${escapeHtml(formatRange(entry.close.priceMin, entry.close.priceMax))} <span class="hint">${escapeHtml(formatTime(entry.lastQuoteAt, report.period))}</span></td>
+                <td class="${entry.change > 0 ? 'up' : entry.change < 0 ? 'down' : ''}">${escapeHtml(formatChange(entry))}</td>
+                <td>${escapeHtml(formatRange(entry.close.arrivalMin, entry.close.arrivalMax))} ${escapeHtml(entry.close.arrivalUnit || '')}</td>
+                <td>${entry.quotes}</td>
+            </tr>`).join('')}
+        </table>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #333; width: 760px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin: 20px 0 6px; color: #2c3e50; }
+    table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+    th { background-color: #f4f7f6; }
+    .hint { color: #888; font-size: 10px; }
+    .up { color: #27ae60; }
+    .down { color: #c0392b; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="hint">${report.entryCount} crop/market pair(s) from ${report.offerCount} offer(s).
+        Change is the closing price against the last price before this ${report.period} (or the opening price if there is none).
+        ${report.flaggedCount > 0 ? `${report.flaggedCount} flagged offer(s) excluded.` : ''}</p>
+    <h2>Top Movers</h2>
+    ${movers}
+    ${sections || `<p>No offers in this ${report.period}.</p>`}
+</body>
+</html>`;
+}
+
+// Renders HTML to a PDF or PNG file with a headless browser of its own (the WhatsApp browser is left alone).
+async function renderHtml(html, filePath, format) {
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        if (format === 'png') {
+            await page.setViewport({ width: 820, height: 600 });
+            await page.screenshot({ path: filePath, fullPage: true });
+        } else {
+            await page.pdf({ path: filePath, format: 'A4', printBackground: true });
+        }
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Creates the market report generator. Reports summarize the stored offers of one day, or of the
+ * week ending on a day, per category: opening and closing ranges, change and arrivals per crop and
+ * market, and the top movers. Each report is written as CSV plus a PDF or PNG to `outputDir`.
+ *
+ * @param {Object} options
+ * @param {Object} options.marketStore The market price history (see marketStore.js).
+ * @param {string} options.outputDir Directory for the report files.
+ * @param {string} [options.format='pdf'] 'pdf' or 'png'.
+ * @param {number} [options.topMoversCount=5] Number of top movers listed.
+ * @returns {{buildReport: function(Object=): Object, generateReport: function(Object=): Promise<Object>,
+ *   listReports: function(): Object[], getReportFilePath: function(string): string|null}}
+ */
+function createReportGenerator({ marketStore, outputDir, format = 'pdf', topMoversCount = 5 }) {
+    if (!['pdf', 'png'].includes(format)) {
+        logger.warn(`Unknown report format "${format}"; using pdf.`);
+        format = 'pdf';
+    }
+
+    /**
+     * Builds the report data for one day, or for the seven days ending on that day.
+     *
+     * @param {Object} [options]
+     * @param {Date} [options.date=new Date()] Any time on the (last) day to report (local time).
+     * @param {string} [options.category] Only this category; all categories if omitted.
+     * @param {string} [options.period='day'] 'day' or 'week'.
+     * @returns {Object} `{ period, fromDate, date, dateLabel, category, categories: [{ category, entries }], topMovers,
+     *   offerCount, entryCount, flaggedCount }`, where `fromDate` and `date` are the first and last day.
+     */
+    function buildReport({ date = new Date(), category, period = 'day' } = {}) {
+        if (!PERIOD_DAYS[period]) {
+            throw new Error(`Unknown report period "${period}"; use 'day' or 'week'.`);
+        }
+        const lastDay = new Date(date);
+        lastDay.setHours(0, 0, 0, 0);
+        const periodEnd = new Date(lastDay);
+        periodEnd.setDate(periodEnd.getDate() + 1);
+        const periodStart = new Date(periodEnd);
+        periodStart.setDate(periodStart.getDate() - PERIOD_DAYS[period]);
+
+        // Oldest first, so the first row of each crop/market is the opening price
+        const rows = marketStore.queryOffers({ since: periodStart, until: periodEnd, category }).reverse();
+        const flaggedCount = rows.filter(row => row.flagged).length;
+
+        const entriesByKey = {};
+        for (const row of rows) {
+            if (row.flagged || getPrice(row) === null) {
+                continue;
+            }
+            const crop = row.standardizedName || row.extractedName;
+            const market = (row.market || 'UNKNOWN').toUpperCase();
+            const key = `${row.category || 'UNCATEGORIZED'}|${crop}|${market}`;
+            if (!entriesByKey[key]) {
+                entriesByKey[key] = {
+                    category: row.category || 'UNCATEGORIZED',
+                    standardizedName: crop,
+                    market,
+                    open: row,
+                    quotes: 0,
+                    firstQuoteAt: row.timestamp
+                };
+            }
+            const entry = entriesByKey[key];
+            entry.close = row;
+            entry.quotes++;
+            entry.lastQuoteAt = row.timestamp;
+        }
+
+        const entries = Object.values(entriesByKey).map(entry => {
+            // Offers without a market can't be matched to an earlier price. Flagged prices failed
+            // validation or were rejected in review, so they are no previous close either.
+            const [previous] = entry.open.market ? marketStore.queryOffers({
+                standardizedName: entry.standardizedName,
+                market: entry.market,
+                until: periodStart,
+                limit: 1,
+                includeFlagged: false
+            }) : [];
+            const previousClose = previous ? getPrice(previous) : null;
+            const base = previousClose !== null ? previousClose : getPrice(entry.open);
+            const closePrice = getPrice(entry.close);
+            const change = previousClose !== null || entry.quotes > 1 ? closePrice - base : null;
+            return {
+                ...entry,
+                unit: entry.close.unit || null,
+                previousClose,
+                change,
+                changePercent: change !== null && base > 0 ? Math.round(change / base * 1000) / 10 : null
+            };
+        });
+
+        const categories = [];
+        for (const entry of entries) {
+            let section = categories.find(s => s.category === entry.category);
+            if (!section) {
+                section = { category: entry.category, entries: [] };
+                categories.push(section);
+            }
+            section.entries.push(entry);
+        }
+        categories.sort((a, b) => a.category.localeCompare(b.category));
+        categories.forEach(section => section.entries.sort((a, b) => a.standardizedName.localeCompare(b.standardizedName)
+            || a.market.localeCompare(b.market)));
+
+        const topMovers = entries
+            .filter(entry => entry.changePercent !== null && entry.change !== 0)
+            .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+            .slice(0, topMoversCount);
+
+        const formatDay = day => day.toLocaleDateString('en-IN', { dateStyle: 'medium' });
+        return {
+            period,
+            fromDate: getDayKey(periodStart),
+            date: getDayKey(lastDay),
+            dateLabel: period === 'week' ? `${formatDay(periodStart)} - ${formatDay(lastDay)}` : formatDay(lastDay),
+            category: category || null,
+            categories,
+            topMovers,
+            offerCount: rows.length,
+            entryCount: entries.length,
+            flaggedCount
+        };
+    }
+
+    /**
+     * Builds a report and writes its CSV and PDF/PNG files.
+     *
+     * @param {Object} [options] Same as buildReport.
+     * @returns {Promise<{report: Object, csvPath: string, documentPath: string|null, summary: string}>}
+     *   `documentPath` is null if the PDF/PNG could not be rendered (the CSV is still written).
+     *   `summary` is a short text for the WhatsApp caption.
+     */
+    async function generateReport(options = {}) {
+        const report = buildReport(options);
+        const baseName = `report-${report.period === 'week' ? 'week-' : ''}${report.date}${report.category ? `-${report.category.replace(/ /g, '_')}` : ''}`;
+        const csvPath = path.join(outputDir, `${baseName}.csv`);
+        let documentPath = path.join(outputDir, `${baseName}.${format}`);
+
+        fs.writeFileSync(csvPath, toCsv(report));
+        try {
+            await renderHtml(toHtml(report), documentPath, format);
+        } catch (error) {
+            logger.error(`Error rendering ${format.toUpperCase()} for report ${baseName}: ${error.message}`);
+            documentPath = null;
+        }
+        logger.info(`Generated market report ${baseName} (${report.entryCount} crop/market pair(s)).`);
+
+        const movers = report.topMovers.slice(0, 3)
+            .map(entry => `${entry.standardizedName} ${entry.market} ${entry.change > 0 ? '+' : ''}${entry.changePercent}%`);
+        const summary = [
+            `📊 *${report.period === 'week' ? 'Weekly market' : 'Market'} report ${report.dateLabel}*${report.category ? ` - ${report.category}` : ''}`,
+            `${report.entryCount} crop/market price(s) from ${report.offerCount} offer(s).`,
+            movers.length > 0 ? `Top movers: ${movers.join(', ')}` : null
+        ].filter(Boolean).join('\n');
+
+        return { report, csvPath, documentPath, summary };
+    }
+
+    // Report files on disk, grouped per report, newest first (daily before weekly reports of the same day):
+    // [{ name, period, date, category, files: ['csv', 'pdf'] }]. `date` is the last day of the report.
+    function listReports() {
+        const reports = {};
+        for (const fileName of fs.readdirSync(outputDir)) {
+            const match = REPORT_FILE_PATTERN.exec(fileName);
+            if (!match) {
+                continue;
+            }
+            const name = fileName.substring(0, fileName.lastIndexOf('.'));
+            if (!reports[name]) {
+                reports[name] = {
+                    name,
+                    period: match[1] ? 'week' : 'day',
+                    date: match[2],
+                    category: match[3] ? match[3].replace(/_/g, ' ') : null,
+                    files: []
+                };
+            }
+            reports[name].files.push(match[4]);
+        }
+        return Object.values(reports).sort((a, b) => b.date.localeCompare(a.date)
+            || a.period.localeCompare(b.period)
+            || (a.category || '').localeCompare(b.category || ''));
+    }
+
+    // Absolute path of a report file for download, or null if the name isn't a report file.
+    function getReportFilePath(fileName) {
+        if (!REPORT_FILE_PATTERN.test(fileName)) {
+            return null;
+        }
+        const filePath = path.resolve(outputDir, fileName);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    return {
+        buildReport,
+        generateReport,
+        listReports,
+        getReportFilePath
+    };
+}
+
+module.exports = {
+    createReportGenerator
+};
@@ -0,0 +1,124 @@
+// responseCache.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+
+// Message text reduced so that reposts and edits that only change spacing or case give the same key.
+function normalizeMessageForCache(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim().toUpperCase())
+        .filter(line => line.length > 0)
+        .join('\n');
+}
+
+/**
+ * Creates a disk-backed cache of LLM results. Entries expire after `ttlMs`; when there are more
+ * than `maxEntries`, the least recently used ones are dropped. Hit and miss counters cover the
+ * time since the bot started.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the cache.
+ * @param {number} [options.ttlMs] How long an entry stays valid.
+ * @param {number} [options.maxEntries=500] Maximum number of cached entries.
+ * @returns {{makeKey: function(string, string[], string): string, get: function(string): Object|null,
+ *   set: function(string, Object): void, getStats: function(): Object}}
+ */
+function createResponseCache({ filePath, ttlMs = 24 * 60 * 60 * 1000, maxEntries = 500 }) {
+    let entries = {}; // Key -> { value, createdAt, lastUsedAt }
+    let hits = 0;
+    let misses = 0;
+
+    function load() {
+        const saved = readJsonFile(filePath, 'LLM cache');
+        entries = saved && saved.entries && typeof saved.entries === 'object' ? saved.entries : {};
+        logger.info(`Loaded ${Object.keys(entries).length} cached LLM response(s).`);
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { entries }, 'LLM cache');
+    }
+
+    function isExpired(entry, now) {
+        return now - entry.createdAt >= ttlMs;
+    }
+
+    // Drops expired entries, then the least recently used ones above the size limit.
+    function evict(now) {
+        for (const key in entries) {
+            if (isExpired(entries[key], now)) {
+                delete entries[key];
+            }
+        }
+        const keys = Object.keys(entries);
+        if (keys.length > maxEntries) {
+            keys.sort((a, b) => entries[a].lastUsedAt - entries[b].lastUsedAt)
+                .slice(0, keys.length - maxEntries)
+                .forEach(key => delete entries[key]);
+        }
+    }
+
+    /**
+     * Builds the cache key for a message.
+     *
+     * @param {string} messageContent The raw seller message.
+     * @param {string[]} targetLanguages Languages the result contains.
+     * @param {string} version Prompt/processing version and model; change it to invalidate old entries.
+     * @returns {string}
+     */
+    function makeKey(messageContent, targetLanguages, version) {
+        return crypto.createHash('sha256')
+            .update([normalizeMessageForCache(messageContent), targetLanguages.join(','), version].join('\u0000'))
+            .digest('hex');
+    }
+
+    // Returns a copy of the cached value, or null (counted as a miss) if there is none or it expired.
+    function get(key) {
+        const now = Date.now();
+        const entry = entries[key];
+        if (!entry || isExpired(entry, now)) {
+            misses++;
+            return null;
+        }
+        hits++;
+        entry.lastUsedAt = now;
+        return JSON.parse(JSON.stringify(entry.value));
+    }
+
+    // Stores a copy, so callers can go on changing their offers (e.g. flagging them) without changing the cache.
+    function set(key, value) {
+        const now = Date.now();
+        entries[key] = { value: JSON.parse(JSON.stringify(value)), createdAt: now, lastUsedAt: now };
+        evict(now);
+        persist();
+    }
+
+    function getStats() {
+        return {
+            entries: Object.keys(entries).length,
+            hits,
+            misses
+        };
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+    evict(Date.now());
+
+    return {
+        makeKey,
+        get,
+        set,
+        getStats
+    };
+}
+
+module.exports = {
+    createResponseCache
+};
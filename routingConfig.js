@@ -0,0 +1,211 @@
+// routingConfig.js
+
+const fs = require('fs');
+const logger = require('./logger');
+const { writeJsonFile } = require('./jsonFile');
+const { CROP_CATEGORIES_AND_STANDARDIZATION } = require('./cropTaxonomy');
+
+// The routing file says which groups the bot reads from and writes to:
+//   {
+//     "sellerGroupIds": ["123456789012345678@g.us"],
+//     "buyerGroupMapping": { "PULSES": { "en": "...@g.us", "te": "...@g.us" } },
+//     "allUpdatesGroupId": "...@g.us",   (or null to skip the "All Updates" group)
+//     "targetLanguages": ["en", "te"]
+//   }
+// It is checked for changes while the bot runs, so groups can be added without a restart.
+
+const GROUP_ID_REGEX = /^\d+(-\d+)?@g\.us$/;
+const PLACEHOLDER_ID_REGEX = /^0+@g\.us$/;
+
+/**
+ * Checks a parsed routing file.
+ *
+ * @param {Object} routing The parsed JSON.
+ * @returns {string[]} A list of problems; empty when the routing is valid.
+ */
+function validateRouting(routing) {
+    const errors = [];
+    if (!routing || typeof routing !== 'object' || Array.isArray(routing)) {
+        return ['The routing file must contain a JSON object.'];
+    }
+
+    const { sellerGroupIds, buyerGroupMapping, allUpdatesGroupId, targetLanguages } = routing;
+
+    if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+        errors.push('targetLanguages must be a non-empty array of language codes.');
+    } else {
+        targetLanguages.forEach(language => {
+            if (typeof language !== 'string' || !/^[a-z]{2,3}$/.test(language)) {
+                errors.push(`targetLanguages: "${language}" is not a language code (e.g. "en", "te").`);
+            }
+        });
+        if (!targetLanguages.includes('en')) {
+            errors.push('targetLanguages must include "en"; offers are always extracted in English first.');
+        }
+    }
+
+    if (!Array.isArray(sellerGroupIds)) {
+        errors.push('sellerGroupIds must be an array of group IDs.');
+    } else {
+        sellerGroupIds.forEach(id => {
+            if (!GROUP_ID_REGEX.test(id)) {
+                errors.push(`sellerGroupIds: "${id}" is not a WhatsApp group ID (e.g. "123456789012345678@g.us").`);
+            }
+        });
+    }
+
+    if (!buyerGroupMapping || typeof buyerGroupMapping !== 'object' || Array.isArray(buyerGroupMapping)) {
+        errors.push('buyerGroupMapping must be an object of category -> { language: group ID }.');
+    } else {
+        for (const category in buyerGroupMapping) {
+            if (!CROP_CATEGORIES_AND_STANDARDIZATION[category]) {
+                errors.push(`buyerGroupMapping: unknown category "${category}". Known categories: ${Object.keys(CROP_CATEGORIES_AND_STANDARDIZATION).join(', ')}.`);
+            }
+            const groups = buyerGroupMapping[category];
+            if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+                errors.push(`buyerGroupMapping.${category} must be an object of language -> group ID.`);
+                continue;
+            }
+            for (const language in groups) {
+                if (Array.isArray(targetLanguages) && !targetLanguages.includes(language)) {
+                    errors.push(`buyerGroupMapping.${category}: language "${language}" is not in targetLanguages.`);
+                }
+                if (!GROUP_ID_REGEX.test(groups[language])) {
+                    errors.push(`buyerGroupMapping.${category}.${language}: "${groups[language]}" is not a WhatsApp group ID.`);
+                }
+            }
+        }
+    }
+
+    if (allUpdatesGroupId !== null && allUpdatesGroupId !== undefined && !GROUP_ID_REGEX.test(allUpdatesGroupId)) {
+        errors.push(`allUpdatesGroupId: "${allUpdatesGroupId}" is not a WhatsApp group ID (use null to disable it).`);
+    }
+
+    return errors;
+}
+
+/**
+ * Compares the configured group IDs with the groups the WhatsApp account is actually in.
+ *
+ * @param {Object} routing A valid routing object.
+ * @param {Set<string>|string[]} knownGroupIds Serialized IDs of the account's group chats.
+ * @returns {string[]} One warning per placeholder or unknown ID.
+ */
+function findUnknownGroups(routing, knownGroupIds) {
+    const known = new Set(knownGroupIds);
+    const warnings = [];
+    const check = (id, label) => {
+        if (PLACEHOLDER_ID_REGEX.test(id)) {
+            warnings.push(`${label} is still the placeholder ID ${id}.`);
+        } else if (!known.has(id)) {
+            warnings.push(`${label} (${id}) is not a group this WhatsApp account is in.`);
+        }
+    };
+
+    routing.sellerGroupIds.forEach(id => check(id, 'Seller group'));
+    for (const category in routing.buyerGroupMapping) {
+        for (const language in routing.buyerGroupMapping[category]) {
+            check(routing.buyerGroupMapping[category][language], `Buyer group ${category} (${language})`);
+        }
+    }
+    if (routing.allUpdatesGroupId) {
+        check(routing.allUpdatesGroupId, '"All Updates" group');
+    }
+    return warnings;
+}
+
+function readRoutingFile(filePath) {
+    const routing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = validateRouting(routing);
+    if (errors.length > 0) {
+        const error = new Error(`Invalid routing file ${filePath}:\n- ${errors.join('\n- ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    if (routing.allUpdatesGroupId === undefined) {
+        routing.allUpdatesGroupId = null;
+    }
+    return routing;
+}
+
+/**
+ * Loads the routing file and reloads it whenever it changes on disk. If the file does not exist
+ * yet it is created from `examplePath`. An invalid file at startup throws; an invalid edit while
+ * running is logged and the previous routing is kept.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the routing JSON file.
+ * @param {string} [options.examplePath] Template copied to `filePath` on first start.
+ * @param {number} [options.reloadCheckIntervalMs=2000] How often the file is checked for changes.
+ * @param {function(Object): void} [options.onReload] Called with the new routing after a successful reload.
+ * @param {function(Error): void} [options.onReloadError] Called when a changed file is invalid.
+ * @returns {{get: function(): Object, save: function(Object): Object, close: function(): void}}
+ */
+function createRoutingConfig({ filePath, examplePath, reloadCheckIntervalMs = 2000, onReload = () => {}, onReloadError = () => {} }) {
+    if (!fs.existsSync(filePath) && examplePath && fs.existsSync(examplePath)) {
+        fs.copyFileSync(examplePath, filePath);
+        logger.warn(`Created ${filePath} from ${examplePath}. Replace the placeholder group IDs with your own.`);
+    }
+
+    let routing = readRoutingFile(filePath);
+    let savedMtimeMs = null; // mtime of our own last save, so the watcher doesn't reload it again
+    logger.info(`Loaded routing from ${filePath}: ${routing.sellerGroupIds.length} seller group(s), ${Object.keys(routing.buyerGroupMapping).length} categories with buyer groups.`);
+
+    function reload() {
+        try {
+            routing = readRoutingFile(filePath);
+            logger.info(`🔄 Reloaded routing from ${filePath}.`);
+            onReload(routing);
+        } catch (error) {
+            logger.error(`Keeping the previous routing. ${error.message}`);
+            onReloadError(error);
+        }
+    }
+
+    /**
+     * Validates and writes a new routing (e.g. from the web UI editor) and uses it immediately.
+     * Throws an error with `validationErrors` if the routing is invalid; the file is not touched then.
+     *
+     * @param {Object} newRouting The complete routing object.
+     * @returns {Object} The saved routing.
+     */
+    function save(newRouting) {
+        const errors = validateRouting(newRouting);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid routing:\n- ${errors.join('\n- ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+        const cleaned = {
+            sellerGroupIds: newRouting.sellerGroupIds,
+            buyerGroupMapping: newRouting.buyerGroupMapping,
+            allUpdatesGroupId: newRouting.allUpdatesGroupId || null,
+            targetLanguages: newRouting.targetLanguages
+        };
+        writeJsonFile(filePath, cleaned, 4);
+        savedMtimeMs = fs.statSync(filePath).mtimeMs;
+        routing = cleaned;
+        logger.info(`Saved routing to ${filePath}.`);
+        return routing;
+    }
+
+    // fs.watchFile polls, which (unlike fs.watch) keeps working when editors replace the file on save.
+    const listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs !== savedMtimeMs && current.nlink > 0) {
+            reload();
+        }
+    };
+    fs.watchFile(filePath, { interval: reloadCheckIntervalMs }, listener);
+
+    return {
+        get: () => routing,
+        save,
+        close: () => fs.unwatchFile(filePath, listener)
+    };
+}
+
+module.exports = {
+    createRoutingConfig,
+    validateRouting,
+    findUnknownGroups
+};
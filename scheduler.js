@@ -0,0 +1,125 @@
+// scheduler.js
+
+const logger = require('./logger');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Parses "HH:mm" (24-hour clock) into { hours, minutes }, or null if the text isn't a valid time.
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+// Parses a weekday name ("sunday", "Mon") into 0 (Sunday) to 6 (Saturday), or null if it isn't one.
+function parseWeekday(text) {
+    const name = String(text).trim().toLowerCase();
+    const index = WEEKDAYS.findIndex(day => name.length >= 3 && day.startsWith(name));
+    return index >= 0 ? index : null;
+}
+
+/**
+ * Returns the next moment (after `from`) that matches one of the times, in local time.
+ *
+ * @param {string[]} times Times of day as "HH:mm", e.g. ["10:00", "16:00"].
+ * @param {Date} [from=new Date()] Starting point.
+ * @param {number|null} [weekday=null] Only on this day of the week (0 = Sunday); every day if null.
+ * @returns {Date|null} The next run time, or null if no valid time is given.
+ */
+function getNextRunTime(times, from = new Date(), weekday = null) {
+    let next = null;
+    for (const time of times) {
+        const parsed = parseTimeOfDay(time);
+        if (!parsed) {
+            continue;
+        }
+        const candidate = new Date(from);
+        candidate.setHours(parsed.hours, parsed.minutes, 0, 0);
+        while (candidate <= from || (weekday !== null && candidate.getDay() !== weekday)) {
+            candidate.setDate(candidate.getDate() + 1);
+        }
+        if (!next || candidate < next) {
+            next = candidate;
+        }
+    }
+    return next;
+}
+
+/**
+ * Runs `task` every day at each of the given local times. A run that throws is logged and
+ * does not stop later runs.
+ *
+ * @param {string[]} times Times of day as "HH:mm", e.g. ["10:00", "16:00"].
+ * @param {function(): Promise<void>|void} task The job to run.
+ * @param {string} [name='task'] Name used in log messages.
+ * @returns {{stop: function(): void, getNextRunTime: function(): Date|null}}
+ */
+function scheduleDaily(times, task, name = 'task') {
+    return schedule(times, null, task, name);
+}
+
+/**
+ * Runs `task` once a week, on `day` at each of the given local times. Works like scheduleDaily.
+ *
+ * @param {string} day Day of the week, e.g. "sunday".
+ * @param {string[]} times Times of day as "HH:mm", e.g. ["19:00"].
+ * @param {function(): Promise<void>|void} task The job to run.
+ * @param {string} [name='task'] Name used in log messages.
+ * @returns {{stop: function(): void, getNextRunTime: function(): Date|null}}
+ */
+function scheduleWeekly(day, times, task, name = 'task') {
+    const weekday = parseWeekday(day);
+    if (weekday === null) {
+        logger.warn(`Invalid ${name} day "${day}"; it will not run. Use a day name, e.g. "sunday".`);
+        return { stop: () => {}, getNextRunTime: () => null };
+    }
+    return schedule(times, weekday, task, name);
+}
+
+function schedule(times, weekday, task, name) {
+    const invalid = times.filter(time => !parseTimeOfDay(time));
+    if (invalid.length > 0) {
+        logger.warn(`Ignoring invalid ${name} time(s): ${invalid.join(', ')}. Use "HH:mm", e.g. "16:00".`);
+    }
+
+    let timer = null;
+    let nextRun = null;
+
+    function scheduleNext() {
+        nextRun = getNextRunTime(times, new Date(), weekday);
+        if (!nextRun) {
+            logger.warn(`No valid times configured for ${name}; it will not run.`);
+            return;
+        }
+        logger.info(`Next ${name} at ${nextRun.toLocaleString()}.`);
+        // Timers can't wait longer than ~24.8 days, which never happens with daily or weekly times.
+        timer = setTimeout(async () => {
+            try {
+                await task();
+            } catch (error) {
+                logger.error(`Error running scheduled ${name}: ${error.message}`);
+            }
+            scheduleNext();
+        }, nextRun.getTime() - Date.now());
+    }
+
+    scheduleNext();
+
+    return {
+        stop: () => {
+            clearTimeout(timer);
+            nextRun = null;
+        },
+        getNextRunTime: () => nextRun
+    };
+}
+
+module.exports = {
+    scheduleDaily,
+    scheduleWeekly,
+    getNextRunTime
+};
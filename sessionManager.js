@@ -0,0 +1,316 @@
+// sessionManager.js
+
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const logger = require('./logger');
+
+// What a session can be used for:
+//   'reader': the seller groups are read through it.
+//   'sender': offers, reports and direct messages to buyers are sent through it.
+const ROLES = ['reader', 'sender'];
+
+// LocalAuth keeps each login in "<dataPath>/session-<name>"; the session named "default" uses the
+// folder of the single-session setup ("<dataPath>/session"), so an existing login keeps working.
+const DEFAULT_SESSION_NAME = 'default';
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Checks the session settings (see SESSION_SETTINGS in config.js).
+ *
+ * @param {{sessions: string[], reader: string[], sender: string[]}} settings
+ * @returns {string[]} A list of problems; empty when the settings are valid.
+ */
+function validateSessionSettings({ sessions, reader, sender }) {
+    const errors = [];
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        return ['SESSION_SETTINGS.sessions must list at least one session name.'];
+    }
+    sessions.forEach(name => {
+        if (typeof name !== 'string' || !SESSION_NAME_PATTERN.test(name)) {
+            errors.push(`Session name "${name}" may only contain letters, digits, "_" and "-".`);
+        }
+    });
+    if (new Set(sessions).size !== sessions.length) {
+        errors.push('SESSION_SETTINGS.sessions lists a session twice.');
+    }
+    for (const [role, names] of [['reader', reader], ['sender', sender]]) {
+        if (!Array.isArray(names) || names.length === 0) {
+            errors.push(`SESSION_SETTINGS.${role} must list at least one session.`);
+            continue;
+        }
+        names.filter(name => !sessions.includes(name)).forEach(name => {
+            errors.push(`SESSION_SETTINGS.${role}: "${name}" is not in SESSION_SETTINGS.sessions.`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Runs one WhatsApp Web client per configured session and decides which session currently holds
+ * each role. Every session has its own login (and QR code). A role goes to the first ready session
+ * in its preference list and stays there until that session disconnects or its login fails; then it
+ * moves to the next ready session in the list (failover). A disconnected session is restarted after
+ * `reconnectDelayMs`, showing a new QR code if its login is gone, and is then available as a standby.
+ *
+ * @param {Object} options
+ * @param {string[]} options.sessions Session names.
+ * @param {string[]} options.reader Sessions that may read the seller groups, in order of preference.
+ * @param {string[]} options.sender Sessions that may send, in order of preference.
+ * @param {string} options.dataPath Folder holding the logins (LocalAuth dataPath).
+ * @param {Object} [options.puppeteer] Puppeteer options for the WhatsApp Web browsers.
+ * @param {number} [options.reconnectDelayMs=60000] Wait before restarting a disconnected session.
+ * @param {function(string): Object} [options.createClient] Creates the WhatsApp Web client of a session
+ *   (by default a whatsapp-web.js Client with a LocalAuth login under `dataPath`).
+ * @param {function(string, string): void} [options.onQr] Called with the session name and the QR code text to scan.
+ * @param {function(string): void} [options.onReady] Called when a session is logged in and ready.
+ * @param {function(Object, string): void} [options.onMessage] Called with every incoming message and the name of the session that received it.
+ * @param {function(Object): void} [options.onRoleChange] Called with `{ role, from, to, reason }` when a role moves; `to` is null if no session can take it.
+ * @param {function(string, string): void} [options.onProblem] Called with the session name and a description when a session disconnects or its login fails.
+ * @param {function(): void} [options.onChange] Called whenever the state of any session changes.
+ * @returns {{start: function(): void, getClient: function(string): Object|null, getActiveSession: function(string): string|null,
+ *   isRoleReady: function(string): boolean, getReadyClients: function(): Object[], assignRole: function(string, string): boolean,
+ *   restartSession: function(string): Promise<void>, getStatus: function(): Object}}
+ */
+function createSessionManager({
+    sessions,
+    reader,
+    sender,
+    dataPath,
+    puppeteer = {},
+    reconnectDelayMs = 60 * 1000,
+    createClient = name => new Client({
+        authStrategy: new LocalAuth({ dataPath, clientId: name === DEFAULT_SESSION_NAME ? undefined : name }),
+        puppeteer
+    }),
+    onQr = () => {},
+    onReady = () => {},
+    onMessage = () => {},
+    onRoleChange = () => {},
+    onProblem = () => {},
+    onChange = () => {}
+}) {
+    const errors = validateSessionSettings({ sessions, reader, sender });
+    if (errors.length > 0) {
+        throw new Error(`Invalid WhatsApp session settings:\n- ${errors.join('\n- ')}`);
+    }
+
+    const preferences = { reader, sender };
+    const activeSessions = { reader: null, sender: null };
+    // name -> { name, client, state, qr, phoneNumber, readyAt, lastError, reconnectTimer }
+    // `state` is 'starting', 'qr' (waiting for the QR code to be scanned), 'ready', 'disconnected' or 'auth_failure'.
+    const sessionStates = {};
+
+    function getRolesOf(name) {
+        return ROLES.filter(role => activeSessions[role] === name);
+    }
+
+    // Gives the role to the first ready session in its preference list, unless its current session is still ready.
+    function selectSession(role, reason) {
+        const current = activeSessions[role];
+        if (current && sessionStates[current].state === 'ready') {
+            return;
+        }
+        const next = preferences[role].find(name => sessionStates[name].state === 'ready') || null;
+        if (next === current) {
+            return;
+        }
+        activeSessions[role] = next;
+        if (next) {
+            logger.info(`WhatsApp session "${next}" is now the ${role}${current ? ` instead of "${current}" (${reason})` : ''}.`);
+        } else {
+            logger.error(`No WhatsApp session is ready to be the ${role} (${reason}).`);
+        }
+        onRoleChange({ role, from: current, to: next, reason });
+    }
+
+    // Creates a session's client and keeps its state up to date from the client's events.
+    function setUpClient(name) {
+        const client = createClient(name);
+        const session = sessionStates[name];
+
+        client.on('qr', (qr) => {
+            session.state = 'qr';
+            session.qr = qr;
+            logger.info(`QR Code received for WhatsApp session "${name}". Scan with WhatsApp Linked Devices.`);
+            onQr(name, qr);
+            onChange();
+        });
+
+        client.on('ready', () => {
+            session.state = 'ready';
+            session.qr = null;
+            session.lastError = null;
+            session.readyAt = new Date().toISOString();
+            session.phoneNumber = client.info && client.info.wid ? client.info.wid.user : null;
+            logger.info(`✅ WhatsApp session "${name}" is ready${session.phoneNumber ? ` (${session.phoneNumber})` : ''}.`);
+            ROLES.forEach(role => selectSession(role, `"${name}" is ready`));
+            onReady(name);
+            onChange();
+        });
+
+        client.on('auth_failure', (message) => {
+            handleFailure(name, 'auth_failure', `Authentication failure: ${message}`);
+        });
+
+        client.on('disconnected', (reason) => {
+            handleFailure(name, 'disconnected', `Disconnected: ${reason}`);
+        });
+
+        client.on('message', (msg) => onMessage(msg, name));
+
+        return client;
+    }
+
+    function handleFailure(name, state, description) {
+        const session = sessionStates[name];
+        if (session.state === state) {
+            return; // whatsapp-web.js may report the same problem more than once
+        }
+        session.state = state;
+        session.lastError = description;
+        logger.warn(`🔴 WhatsApp session "${name}": ${description}`);
+        onProblem(name, description);
+        ROLES.forEach(role => selectSession(role, `"${name}" ${state === 'auth_failure' ? 'failed to log in' : 'disconnected'}`));
+        onChange();
+
+        // Restart it later, so it comes back as a standby (or shows a new QR code if the login is gone)
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = setTimeout(() => {
+            restartSession(name).catch(error => logger.error(`Error restarting WhatsApp session "${name}": ${error.message}`));
+        }, reconnectDelayMs);
+    }
+
+    function initializeSession(name) {
+        const session = sessionStates[name];
+        session.state = 'starting';
+        session.client = setUpClient(name);
+        session.client.initialize().catch(error => {
+            handleFailure(name, 'disconnected', `Could not start: ${error.message}`);
+        });
+    }
+
+    /**
+     * Starts every session. Sessions with a stored login become ready by themselves; the others
+     * report a QR code through `onQr`.
+     */
+    function start() {
+        for (const name of sessions) {
+            sessionStates[name] = { name, client: null, state: 'starting', qr: null, phoneNumber: null, readyAt: null, lastError: null, reconnectTimer: null };
+        }
+        sessions.forEach(initializeSession);
+        logger.info(`Starting ${sessions.length} WhatsApp session(s): ${sessions.join(', ')}. Reader: ${reader.join(' > ')}. Sender: ${sender.join(' > ')}.`);
+    }
+
+    /**
+     * Closes a session's browser and starts it again, e.g. to log in with a new QR code. Its roles
+     * move to a standby in the meantime.
+     *
+     * @param {string} name
+     */
+    async function restartSession(name) {
+        const session = sessionStates[name];
+        if (!session) {
+            throw new Error(`Unknown WhatsApp session "${name}".`);
+        }
+        clearTimeout(session.reconnectTimer);
+        const oldClient = session.client;
+        session.state = 'starting';
+        session.qr = null;
+        ROLES.forEach(role => selectSession(role, `"${name}" is restarting`));
+        onChange();
+        if (oldClient) {
+            oldClient.removeAllListeners();
+            try {
+                await oldClient.destroy();
+            } catch (error) {
+                logger.warn(`Error closing WhatsApp session "${name}": ${error.message}`);
+            }
+        }
+        logger.info(`Restarting WhatsApp session "${name}".`);
+        initializeSession(name);
+        onChange();
+    }
+
+    /**
+     * Moves a role to a ready session by hand (from the web UI). It stays there until that session fails.
+     *
+     * @param {string} role 'reader' or 'sender'.
+     * @param {string} name Session name.
+     * @returns {boolean} false if the role or session is unknown or the session isn't ready.
+     */
+    function assignRole(role, name) {
+        if (!ROLES.includes(role) || !sessionStates[name] || sessionStates[name].state !== 'ready') {
+            return false;
+        }
+        const from = activeSessions[role];
+        if (from !== name) {
+            activeSessions[role] = name;
+            logger.info(`WhatsApp session "${name}" is now the ${role}${from ? ` instead of "${from}"` : ''} (set by hand).`);
+            onRoleChange({ role, from, to: name, reason: 'set by hand' });
+            onChange();
+        }
+        return true;
+    }
+
+    // The client of the session holding a role, or null if no session is ready for it.
+    function getClient(role) {
+        const name = activeSessions[role];
+        return name && sessionStates[name].state === 'ready' ? sessionStates[name].client : null;
+    }
+
+    function getActiveSession(role) {
+        return activeSessions[role];
+    }
+
+    function isRoleReady(role) {
+        return getClient(role) !== null;
+    }
+
+    function getReadyClients() {
+        return sessions
+            .filter(name => sessionStates[name] && sessionStates[name].state === 'ready')
+            .map(name => ({ name, client: sessionStates[name].client }));
+    }
+
+    /**
+     * @returns {{reader: string|null, sender: string|null, sessions: Array<{name: string, state: string, qr: string|null,
+     *   phoneNumber: string|null, readyAt: string|null, lastError: string|null, roles: string[], standbyFor: string[]}>}}
+     *   `roles` are the roles the session holds now, `standbyFor` the other roles it can take over.
+     */
+    function getStatus() {
+        return {
+            reader: activeSessions.reader,
+            sender: activeSessions.sender,
+            sessions: sessions.map(name => {
+                const session = sessionStates[name] || { state: 'starting' };
+                const roles = getRolesOf(name);
+                return {
+                    name,
+                    state: session.state,
+                    qr: session.qr || null,
+                    phoneNumber: session.phoneNumber || null,
+                    readyAt: session.readyAt || null,
+                    lastError: session.lastError || null,
+                    roles,
+                    standbyFor: ROLES.filter(role => preferences[role].includes(name) && !roles.includes(role))
+                };
+            })
+        };
+    }
+
+    return {
+        start,
+        getClient,
+        getActiveSession,
+        isRoleReady,
+        getReadyClients,
+        assignRole,
+        restartSession,
+        getStatus
+    };
+}
+
+module.exports = {
+    createSessionManager,
+    validateSessionSettings,
+    ROLES
+};
@@ -0,0 +1,143 @@
+// subscriptionStore.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+
+const MAX_SUBSCRIPTIONS_PER_CHAT = 20;
+
+// A subscription:
+//   { chatId, type, name, language, createdAt }
+// `type` is 'crop' (name is a standardized crop name, e.g. "TOOR DAL") or 'category'
+// (name is a category, e.g. "SPICES"). `language` is the language the offers are sent in.
+
+function describeSubscription(subscription) {
+    return `${subscription.name}${subscription.type === 'category' ? ' (all crops)' : ''} in ${subscription.language}`;
+}
+
+/**
+ * Creates the store of buyers' private offer subscriptions, kept in `filePath`.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the subscriptions.
+ * @returns {{subscribe: function(Object): Object, unsubscribe: function(string, string=): Object[],
+ *   listSubscriptions: function(string): Object[], listAll: function(): Object[],
+ *   renameSubscriptions: function(string, string, string|null): number, findSubscribers: function(Object): Object[],
+ *   describeSubscription: function(Object): string}}
+ */
+function createSubscriptionStore({ filePath }) {
+    let subscriptions = [];
+
+    function load() {
+        const saved = readJsonFile(filePath, 'subscriptions');
+        subscriptions = saved && Array.isArray(saved.subscriptions) ? saved.subscriptions : [];
+        if (saved) {
+            logger.info(`Loaded ${subscriptions.length} buyer subscription(s).`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { subscriptions }, 'subscriptions');
+    }
+
+    /**
+     * Subscribes a chat to a crop or category. Subscribing again to the same crop or category only
+     * changes the language. Throws if the chat already has the maximum number of subscriptions.
+     *
+     * @param {{chatId: string, type: string, name: string, language: string}} subscription
+     * @returns {Object} The stored subscription.
+     */
+    function subscribe({ chatId, type, name, language }) {
+        const existing = subscriptions.find(s => s.chatId === chatId && s.type === type && s.name === name);
+        if (existing) {
+            existing.language = language;
+            persist();
+            return existing;
+        }
+        if (listSubscriptions(chatId).length >= MAX_SUBSCRIPTIONS_PER_CHAT) {
+            throw new Error(`You can have at most ${MAX_SUBSCRIPTIONS_PER_CHAT} subscriptions. Remove one with UNSUBSCRIBE <crop or category> first.`);
+        }
+        const subscription = { chatId, type, name, language, createdAt: new Date().toISOString() };
+        subscriptions.push(subscription);
+        persist();
+        return subscription;
+    }
+
+    /**
+     * Removes a chat's subscription to `name` (a crop or category), or all of its subscriptions.
+     *
+     * @param {string} chatId
+     * @param {string} [name] Standardized crop name or category; omit to remove everything.
+     * @returns {Object[]} The removed subscriptions.
+     */
+    function unsubscribe(chatId, name) {
+        const removed = subscriptions.filter(s => s.chatId === chatId && (!name || s.name === name));
+        if (removed.length > 0) {
+            subscriptions = subscriptions.filter(s => !removed.includes(s));
+            persist();
+        }
+        return removed;
+    }
+
+    function listSubscriptions(chatId) {
+        return subscriptions.filter(s => s.chatId === chatId);
+    }
+
+    function listAll() {
+        return subscriptions.slice();
+    }
+
+    /**
+     * Follows a rename or merge in the crop taxonomy: subscriptions to `from` become subscriptions to
+     * `to`. A chat that already had both keeps one. With `to` null (a removed category) they are dropped.
+     *
+     * @param {string} type 'crop' or 'category'.
+     * @param {string} from The old standardized crop name or category.
+     * @param {string|null} to The new name, or null.
+     * @returns {number} How many subscriptions were changed or removed.
+     */
+    function renameSubscriptions(type, from, to) {
+        const affected = subscriptions.filter(s => s.type === type && s.name === from);
+        if (affected.length === 0) {
+            return 0;
+        }
+        for (const subscription of affected) {
+            const duplicate = subscriptions.some(s => s.chatId === subscription.chatId && s.type === type && s.name === to);
+            if (to && !duplicate) {
+                subscription.name = to;
+            } else {
+                subscriptions = subscriptions.filter(s => s !== subscription);
+            }
+        }
+        persist();
+        logger.info(`${to ? `Moved ${affected.length} subscription(s) from ${from} to ${to}` : `Removed ${affected.length} subscription(s) to ${from}`}.`);
+        return affected.length;
+    }
+
+    // Subscriptions matching an offer's standardized crop name or category.
+    function findSubscribers(offer) {
+        return subscriptions.filter(s => (s.type === 'crop' && s.name === offer.standardizedName)
+            || (s.type === 'category' && s.name === offer.category));
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        subscribe,
+        unsubscribe,
+        listSubscriptions,
+        listAll,
+        renameSubscriptions,
+        findSubscribers,
+        describeSubscription
+    };
+}
+
+module.exports = {
+    createSubscriptionStore
+};
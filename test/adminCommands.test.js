@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { createAdminCommands } = require('../adminCommands');
+const { createMarketStore } = require('../marketStore');
+
+function createStore() {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+    return createMarketStore({ filePath: path.join(tempDir, 'market_offers.jsonl') });
+}
+
+function createCommands(overrides = {}) {
+    const calls = { automation: [], resent: [] };
+    const marketStore = overrides.marketStore || createStore();
+    const commands = createAdminCommands({
+        adminNumbers: ['+91 98765-43210'],
+        marketStore,
+        getStatus: async () => ({
+            automationMode: 'on',
+            whatsappReady: true,
+            queue: { pending: 2, processing: 1, retrying: 0, failed: 0 },
+            circuitBreaker: { open: false },
+            cache: { entries: 3, hits: 5, misses: 2 }
+        }),
+        setAutomationMode: (mode, source) => calls.automation.push([mode, source]),
+        listGroups: async () => [{ role: 'Seller group', id: '111@g.us', name: 'Sellers' }],
+        resendOffer: async (offer) => {
+            calls.resent.push(offer.id);
+            return ['PULSES (en) - 222@g.us'];
+        },
+        ...overrides
+    });
+    return { commands, calls, marketStore };
+}
+
+test('admins are recognized by the digits of their number', () => {
+    const { commands } = createCommands();
+    assert.ok(commands.isAdmin('919876543210@c.us'));
+    assert.ok(commands.isAdmin('someone@lid', '919876543210'));
+    assert.ok(!commands.isAdmin('919812345678@c.us'));
+    assert.ok(commands.isCommand('  !status'));
+    assert.ok(!commands.isCommand('status'));
+});
+
+test('!automation sets the automation mode and checks its argument', async () => {
+    const { commands, calls } = createCommands();
+    assert.strictEqual(await commands.handleCommand('!automation on', '919876543210'), 'Automation turned ON.');
+    assert.deepStrictEqual(calls.automation, [['on', 'admin 919876543210']]);
+    assert.strictEqual(await commands.handleCommand('!automation maybe', '919876543210'), 'Usage: !automation on|off|review');
+    assert.strictEqual(calls.automation.length, 1);
+});
+
+test('!status, !last, !stats and !resend answer from the market history', async () => {
+    const { commands, calls, marketStore } = createCommands();
+    const [row] = marketStore.recordOffers({
+        'TUR KEKRI': { standardizedName: 'TOOR DAL', category: 'PULSES', en: 'KEKRI\nTUR: 6250-6300 (+50)' }
+    }, { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', languages: ['en'] });
+
+    const status = await commands.handleCommand('!status', 'admin');
+    assert.match(status, /Queue: 2 waiting, 1 processing/);
+    assert.match(status, /Gemini cache: 5 hit\(s\), 2 miss\(es\), 3 entries/);
+    const last = await commands.handleCommand('!last tur', 'admin');
+    assert.match(last, /^\*Latest TOOR DAL\*/);
+    assert.match(last, new RegExp(`ID: ${row.id}`));
+    assert.match(await commands.handleCommand('!stats today', 'admin'), /Offers: 1 from 1 seller group\(s\)\nFlagged: 0\nPULSES: 1/);
+
+    assert.match(await commands.handleCommand(`!resend ${row.id}`, 'admin'), /Resent offer .* to:\nPULSES \(en\)/);
+    assert.deepStrictEqual(calls.resent, [row.id]);
+    assert.strictEqual(await commands.handleCommand('!resend nope', 'admin'), 'No stored offer with ID "nope".');
+});
+
+test('unknown commands get the help text and errors are reported in the reply', async () => {
+    const { commands } = createCommands({ listGroups: async () => { throw new Error('not ready'); } });
+    assert.match(await commands.handleCommand('!help', 'admin'), /^\*Admin commands\*/);
+    assert.strictEqual(await commands.handleCommand('!groups', 'admin'), '❌ Error: not ready');
+});
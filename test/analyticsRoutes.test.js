@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+require('../logger').silent = true;
+
+const { createAnalyticsRouter } = require('../analyticsRoutes');
+const { createMarketStore } = require('../marketStore');
+
+// Serves the analytics routes on a free port; resolves to `get(path)`, which returns the parsed JSON
+// response and its status, and `close()`.
+function startServer(marketStore) {
+    const app = express();
+    app.use(createAnalyticsRouter({ marketStore }));
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                get: async (urlPath) => {
+                    const response = await fetch(baseUrl + urlPath);
+                    return { status: response.status, body: await response.json() };
+                },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+function createStore() {
+    const marketStore = createMarketStore({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'market_offers.jsonl') });
+    const record = (market, prices, receivedAt) => marketStore.recordOffers(
+        { TUR: { standardizedName: 'TOOR DAL', category: 'PULSES', en: `${market}\nTUR: ${prices}` } },
+        { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', languages: ['en'], receivedAt })[0];
+    record('KEKRI', '6200-6250', new Date(2026, 9, 18, 12).toISOString());
+    record('KEKRI', '6300-6350', new Date(2026, 9, 19, 12).toISOString());
+    record('LATUR', '6100-6150', new Date(2026, 9, 19, 13).toISOString());
+    const rejected = record('LATUR', '9100-9150', new Date(2026, 9, 19, 14).toISOString());
+    marketStore.flagOffers([rejected.id], 'Rejected in review');
+    return marketStore;
+}
+
+test('history and market comparison leave out flagged offers', async () => {
+    const server = await startServer(createStore());
+    try {
+        const filters = await server.get('/analytics/filters');
+        assert.deepStrictEqual(filters.body.crops, [{ standardizedName: 'TOOR DAL', category: 'PULSES' }]);
+        assert.deepStrictEqual(filters.body.markets, ['KEKRI', 'LATUR']);
+
+        const history = await server.get('/analytics/history?crop=toor%20dal&market=kekri&from=2026-10-19&to=2026-10-19');
+        assert.deepStrictEqual(history.body.offers.map(offer => offer.priceMax), [6350]);
+
+        const markets = await server.get('/analytics/markets?crop=TOOR%20DAL');
+        assert.deepStrictEqual(markets.body.markets.map(({ market, offers, lowest, highest, average }) => ({ market, offers, lowest, highest, average })), [
+            { market: 'KEKRI', offers: 2, lowest: 6200, highest: 6350, average: 6300 },
+            { market: 'LATUR', offers: 1, lowest: 6100, highest: 6150, average: 6150 }
+        ]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('history and market comparison need a crop', async () => {
+    const server = await startServer(createStore());
+    try {
+        assert.strictEqual((await server.get('/analytics/history')).status, 400);
+        assert.strictEqual((await server.get('/analytics/markets?crop=')).status, 400);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { createApiRouter } = require('../apiRoutes');
+const { createMarketStore } = require('../marketStore');
+
+// Serves the API on a free port; resolves to `request(method, path, { headers, body })`, which returns
+// the status and parsed JSON response, and `close()`.
+function startServer(options) {
+    const app = express();
+    app.use(createApiRouter({
+        marketStore: createMarketStore({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'market_offers.jsonl') }),
+        processText: async () => ({ offers: {}, diagnostics: {} }),
+        getStatus: async () => ({ automationMode: 'on', whatsappReady: true, circuitBreaker: { open: false } }),
+        setAutomationMode: mode => ['off', 'on', 'review'].includes(mode),
+        ...options
+    }));
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                request: async (method, urlPath, { headers = {}, body } = {}) => {
+                    const response = await fetch(baseUrl + urlPath, {
+                        method,
+                        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+                        body: body ? JSON.stringify(body) : undefined
+                    });
+                    return { status: response.status, body: await response.json() };
+                },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+test('without a configured token every request gets 503', async () => {
+    const server = await startServer({ apiToken: '' });
+    try {
+        const response = await server.request('GET', '/api/health', { headers: { Authorization: 'Bearer anything' } });
+        assert.strictEqual(response.status, 503);
+        assert.match(response.body.error, /API_TOKEN/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a missing or wrong token gets 401, the right one in either header is accepted', async () => {
+    const server = await startServer({ apiToken: 'secret-token' });
+    try {
+        assert.strictEqual((await server.request('GET', '/api/health')).status, 401);
+        assert.strictEqual((await server.request('GET', '/api/health', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+        assert.strictEqual((await server.request('POST', '/api/automation', { body: { mode: 'off' } })).status, 401);
+
+        const health = await server.request('GET', '/api/health', { headers: { Authorization: 'Bearer secret-token' } });
+        assert.strictEqual(health.status, 200);
+        assert.strictEqual(health.body.status, 'ok');
+        const offers = await server.request('GET', '/api/offers', { headers: { 'X-API-Token': 'secret-token' } });
+        assert.deepStrictEqual(offers.body, { count: 0, total: 0, offers: [] });
+    } finally {
+        await server.close();
+    }
+});
+
+test('invalid parameters and unknown endpoints are answered with a JSON error', async () => {
+    const server = await startServer({ apiToken: 'secret-token' });
+    const headers = { Authorization: 'Bearer secret-token' };
+    try {
+        assert.strictEqual((await server.request('GET', '/api/offers?limit=5000', { headers })).status, 400);
+        assert.strictEqual((await server.request('GET', '/api/offers?from=yesterday', { headers })).status, 400);
+        assert.strictEqual((await server.request('POST', '/api/automation', { headers, body: { mode: 'maybe' } })).status, 400);
+        assert.deepStrictEqual((await server.request('POST', '/api/automation', { headers, body: { mode: 'REVIEW' } })).body, { automationMode: 'review' });
+        const unknown = await server.request('GET', '/api/nothing', { headers });
+        assert.strictEqual(unknown.status, 404);
+        assert.match(unknown.body.error, /Unknown endpoint GET \/api\/nothing/);
+    } finally {
+        await server.close();
+    }
+});
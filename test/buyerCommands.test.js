@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { parseWatchArguments } = require('../buyerCommands');
+
+test('WATCH arguments give the crop, the market and the rule', () => {
+    assert.deepStrictEqual(parseWatchArguments('TOOR DAL KEKRI 100'), { standardizedName: 'TOOR DAL', market: 'KEKRI', type: 'change', value: 100 });
+    assert.deepStrictEqual(parseWatchArguments('kandulu 2%'), { standardizedName: 'TOOR DAL', market: null, type: 'percent', value: 2 });
+    assert.deepStrictEqual(parseWatchArguments('JEERA UNJHA ABOVE ₹25,000'), { standardizedName: 'JEERA', market: 'UNJHA', type: 'above', value: 25000 });
+    assert.deepStrictEqual(parseWatchArguments('Jeera below 20000'), { standardizedName: 'JEERA', market: null, type: 'below', value: 20000 });
+});
+
+test('invalid WATCH arguments are explained', () => {
+    assert.match(parseWatchArguments('TOOR DAL').error, /give a crop and an amount/);
+    assert.match(parseWatchArguments('TOOR DAL 0').error, /greater than zero/);
+    assert.match(parseWatchArguments('TOOR DAL ABOVE 5%').error, /take a price, not a percentage/);
+    assert.match(parseWatchArguments('GOLD 100').error, /Unknown crop in "GOLD"/);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+process.env.TAXONOMY_FILE = path.join(tempDir, 'taxonomy.json');
+require('../logger').silent = true;
+
+const {
+    CROP_CATEGORIES_AND_STANDARDIZATION,
+    normalizeName,
+    validateTaxonomy,
+    saveTaxonomy,
+    updateTaxonomy,
+    getCategories,
+    onTaxonomyChange,
+    resolveCropName,
+    findCropInText
+} = require('../cropTaxonomy');
+
+function savedTaxonomy() {
+    return JSON.parse(fs.readFileSync(process.env.TAXONOMY_FILE, 'utf8'));
+}
+
+test('the taxonomy file is created from the example on first start', () => {
+    assert.deepStrictEqual(savedTaxonomy(), JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'taxonomy.example.json'), 'utf8')));
+    assert.deepStrictEqual(resolveCropName('matar'), { standardizedName: 'MATAR', category: 'PULSES' });
+});
+
+test('normalizeName brings names into the stored form', () => {
+    assert.strictEqual(normalizeName(' Kabuli-chana '), 'KABULI CHANA');
+});
+
+test('validateTaxonomy reports bad names, reserved categories and shared aliases', () => {
+    assert.deepStrictEqual(validateTaxonomy({ PULSES: { 'CHANA DAL': ['CHANA'] } }), []);
+    assert.deepStrictEqual(validateTaxonomy({ UNKNOWN: { X: ['X'] } }), ['"UNKNOWN" is reserved for offers that match no category.']);
+    assert.deepStrictEqual(validateTaxonomy({ pulses: { X: ['X'] } }), ['Category "pulses" must be upper case letters and digits separated by single spaces.']);
+    assert.deepStrictEqual(validateTaxonomy({ A: { X: ['SAME'] }, B: { Y: ['SAME'] } }), ['Alias "SAME" is used for both X and Y.']);
+});
+
+test('adding a crop with aliases makes them resolvable and saves the file', () => {
+    let changes = 0;
+    onTaxonomyChange(() => changes++);
+    const { summary } = updateTaxonomy({ type: 'addCrop', category: 'pulses', crop: 'Kabuli chana', aliases: ['kabuli', ''] });
+
+    assert.strictEqual(summary, 'Added crop KABULI CHANA to PULSES.');
+    assert.deepStrictEqual(savedTaxonomy().PULSES['KABULI CHANA'], ['KABULI CHANA', 'KABULI']);
+    assert.strictEqual(resolveCropName('kabuli').standardizedName, 'KABULI CHANA');
+    assert.strictEqual(findCropInText('NEW KABULI CHANA 42-44').standardizedName, 'KABULI CHANA');
+    assert.strictEqual(changes, 1);
+});
+
+test('renaming a crop keeps the old name as an alias', () => {
+    const { cropChanges } = updateTaxonomy({ type: 'renameCrop', crop: 'KABULI CHANA', newName: 'CHICKPEA' });
+    assert.deepStrictEqual(cropChanges, [{ from: 'KABULI CHANA', to: 'CHICKPEA' }]);
+    assert.deepStrictEqual(CROP_CATEGORIES_AND_STANDARDIZATION.PULSES.CHICKPEA, ['KABULI CHANA', 'KABULI', 'CHICKPEA']);
+    assert.strictEqual(resolveCropName('KABULI CHANA').standardizedName, 'CHICKPEA');
+});
+
+test('aliases can be added and removed, but not shared between crops', () => {
+    updateTaxonomy({ type: 'addAlias', crop: 'CHICKPEA', alias: 'Garbanzo' });
+    assert.strictEqual(resolveCropName('GARBANZO').standardizedName, 'CHICKPEA');
+    updateTaxonomy({ type: 'removeAlias', crop: 'CHICKPEA', alias: 'GARBANZO' });
+    assert.strictEqual(resolveCropName('GARBANZO'), null);
+
+    assert.throws(() => updateTaxonomy({ type: 'addAlias', crop: 'CHICKPEA', alias: 'MATAR' }), /"MATAR" is already an alias of MATAR\./);
+});
+
+test('categories can be added, renamed, merged and removed', () => {
+    const added = updateTaxonomy({ type: 'addCategory', category: 'Dry fruits' });
+    assert.deepStrictEqual(added.categoryChanges, []);
+    assert.ok(getCategories().includes('DRY FRUITS'));
+
+    updateTaxonomy({ type: 'moveCrop', crop: 'CHICKPEA', category: 'DRY FRUITS' });
+    assert.strictEqual(resolveCropName('CHICKPEA').category, 'DRY FRUITS');
+
+    const renamed = updateTaxonomy({ type: 'renameCategory', category: 'DRY FRUITS', newName: 'NUTS' });
+    assert.deepStrictEqual(renamed.categoryChanges, [{ from: 'DRY FRUITS', to: 'NUTS' }]);
+    assert.strictEqual(resolveCropName('CHICKPEA').category, 'NUTS');
+
+    assert.throws(() => updateTaxonomy({ type: 'removeCategory', category: 'NUTS' }), /still has crops/);
+    const merged = updateTaxonomy({ type: 'mergeCategories', category: 'NUTS', into: 'PULSES' });
+    assert.deepStrictEqual(merged.categoryChanges, [{ from: 'NUTS', to: 'PULSES' }]);
+    assert.strictEqual(resolveCropName('CHICKPEA').category, 'PULSES');
+    assert.ok(!getCategories().includes('NUTS'));
+});
+
+test('moving a crop to the category it is in is rejected and keeps the crop', () => {
+    assert.throws(() => updateTaxonomy({ type: 'moveCrop', crop: 'MATAR', category: 'PULSES' }), /Crop MATAR is already in PULSES\./);
+    assert.deepStrictEqual(resolveCropName('MATAR'), { standardizedName: 'MATAR', category: 'PULSES' });
+    assert.ok(savedTaxonomy().PULSES.MATAR);
+});
+
+test('merging a crop moves its aliases to the other crop', () => {
+    const { cropChanges } = updateTaxonomy({ type: 'mergeCrops', crop: 'CHICKPEA', into: 'CHANA DAL' });
+    assert.deepStrictEqual(cropChanges, [{ from: 'CHICKPEA', to: 'CHANA DAL' }]);
+    assert.strictEqual(resolveCropName('KABULI').standardizedName, 'CHANA DAL');
+    assert.strictEqual(resolveCropName('CHICKPEA').standardizedName, 'CHANA DAL');
+});
+
+test('an invalid edit throws and leaves the taxonomy unchanged', () => {
+    const before = fs.readFileSync(process.env.TAXONOMY_FILE, 'utf8');
+    for (const change of [
+        { type: 'addCategory', category: 'PULSES' },
+        { type: 'addCategory', category: 'UNKNOWN' },
+        { type: 'addCrop', category: 'NOPE', crop: 'X' },
+        { type: 'renameCrop', crop: 'NOPE', newName: 'X' },
+        { type: 'mergeCrops', crop: 'MATAR', into: 'MATAR' },
+        { type: 'somethingElse' }
+    ]) {
+        assert.throws(() => updateTaxonomy(change), error => Array.isArray(error.validationErrors) && error.validationErrors.length > 0);
+    }
+    assert.strictEqual(fs.readFileSync(process.env.TAXONOMY_FILE, 'utf8'), before);
+});
+
+test('saveTaxonomy replaces the whole taxonomy, e.g. to undo an edit', () => {
+    const before = savedTaxonomy();
+    updateTaxonomy({ type: 'addCategory', category: 'HERBS' });
+    saveTaxonomy(before);
+    assert.ok(!getCategories().includes('HERBS'));
+    assert.deepStrictEqual(savedTaxonomy(), before);
+    assert.throws(() => saveTaxonomy({}), /The taxonomy needs at least one category\./);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createDigestCollector } = require('../digestCollector');
+
+function createCollector() {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'digest_pending.json');
+    return { filePath, collector: createDigestCollector({ filePath }) };
+}
+
+function offer(extractedName, standardizedName, market, priceMin) {
+    return { extractedName, standardizedName, category: 'PULSES', market, priceMin, en: `${market}\n${extractedName}: ${priceMin}` };
+}
+
+test('a newer offer for the same crop and market replaces the older one', () => {
+    const { collector } = createCollector();
+    collector.addOffers({ 'TUR': offer('TUR', 'TOOR DAL', 'Kekri', 6200) }, { sellerGroupName: 'A', receivedAt: '2026-03-10T08:00:00.000Z' });
+    collector.addOffers({ 'TOOR': offer('TOOR', 'TOOR DAL', 'KEKRI', 6300) }, { sellerGroupName: 'B', receivedAt: '2026-03-10T09:00:00.000Z' });
+    // A retried message that finishes late does not replace a newer offer
+    collector.addOffers({ 'TUR': offer('TUR', 'TOOR DAL', 'Kekri', 6100) }, { sellerGroupName: 'A', receivedAt: '2026-03-10T07:00:00.000Z' });
+
+    const { offers, sellerGroupNames } = collector.takeOffers();
+    assert.deepStrictEqual(Object.keys(offers), ['KEKRI|TOOR DAL']);
+    assert.strictEqual(offers['KEKRI|TOOR DAL'].priceMin, 6300);
+    assert.deepStrictEqual(sellerGroupNames, ['B']);
+});
+
+test('offers are taken oldest first and the digest is emptied', () => {
+    const { filePath, collector } = createCollector();
+    collector.addOffers({ 'MOONG': offer('MOONG', 'MOONG DAL', 'Jaipur', 7000) }, { sellerGroupName: 'B', receivedAt: '2026-03-10T09:00:00.000Z' });
+    collector.addOffers({ 'TUR': offer('TUR', 'TOOR DAL', 'Kekri', 6200) }, { sellerGroupName: 'A', receivedAt: '2026-03-10T08:00:00.000Z' });
+
+    // Collected offers survive a restart
+    const { offers, sellerGroupNames } = createDigestCollector({ filePath }).takeOffers();
+    assert.deepStrictEqual(Object.keys(offers), ['KEKRI|TOOR DAL', 'JAIPUR|MOONG DAL']);
+    assert.deepStrictEqual(sellerGroupNames, ['A', 'B']);
+    assert.strictEqual(createDigestCollector({ filePath }).getStats().offers, 0);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createDraftStore } = require('../draftStore');
+const { createMarketStore } = require('../marketStore');
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), name);
+}
+
+function addDraft(store, target, historyIds) {
+    const offers = {};
+    for (const historyId of historyIds) {
+        offers[`CROP ${historyId}`] = { historyId };
+    }
+    return store.addDraft({ groupId: '222@g.us', target, text: `Offers for ${target}`, sellerGroupName: 'Sellers', sellerMessage: 'rates', offers });
+}
+
+test('drafts are kept across restarts and can be edited and removed', () => {
+    const filePath = tempFile('review_drafts.json');
+    const store = createDraftStore({ filePath });
+    const draft = addDraft(store, 'PULSES (en)', ['a']);
+
+    store.updateDraftText(draft.id, 'Edited');
+    const reloaded = createDraftStore({ filePath });
+    assert.strictEqual(reloaded.getDraft(draft.id).text, 'Edited');
+    assert.deepStrictEqual(reloaded.getDraft(draft.id).offers, { 'CROP a': { historyId: 'a' } });
+
+    assert.strictEqual(reloaded.removeDraft(draft.id).id, draft.id);
+    assert.strictEqual(reloaded.removeDraft(draft.id), null);
+    assert.deepStrictEqual(createDraftStore({ filePath }).listDrafts(), []);
+});
+
+test('released offers are no longer held by any draft', () => {
+    const store = createDraftStore({ filePath: tempFile('review_drafts.json') });
+    const category = addDraft(store, 'PULSES (en)', ['a', 'b']);
+    const allUpdates = addDraft(store, 'All Updates (en)', ['a', 'b', 'c']);
+
+    store.removeDraft(category.id);
+    assert.ok(store.isOfferHeld('a'));
+    store.releaseOffers(['a', 'b']);
+    assert.ok(!store.isOfferHeld('a'));
+    assert.deepStrictEqual(Object.keys(store.getDraft(allUpdates.id).offers), ['CROP c']);
+});
+
+test('flagged offers stay flagged after the market history is reloaded', () => {
+    const filePath = tempFile('market_offers.jsonl');
+    const marketStore = createMarketStore({ filePath });
+    const [row] = marketStore.recordOffers({
+        'TUR KEKRI': { standardizedName: 'TOOR DAL', category: 'PULSES', en: 'KEKRI\nTUR: 6250-6300 (+50)' }
+    }, { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', languages: ['en'] });
+
+    marketStore.flagOffers([row.id, 'unknown'], 'Rejected in review');
+    assert.strictEqual(marketStore.getOfferById(row.id).flagged, true);
+
+    const reloaded = createMarketStore({ filePath }).getOfferById(row.id);
+    assert.strictEqual(reloaded.flagged, true);
+    assert.deepStrictEqual(reloaded.validationErrors, ['Rejected in review']);
+    assert.strictEqual(reloaded.priceMin, 6250);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createDuplicateDetector, normalizeMessageText } = require('../duplicateDetector');
+
+function createDetector() {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+    const options = {
+        filePath: path.join(tempDir, 'duplicates.json'),
+        suppressedLogPath: path.join(tempDir, 'suppressed.jsonl')
+    };
+    return { detector: createDuplicateDetector(options), options };
+}
+
+const BULLETIN = '👉 KEKRI MARKET\nMOONG DAL: 6800-7200\nARRIVAL: 750-900 BAG';
+const OFFER = { extractedName: 'MOONG DAL KEKRI', standardizedName: 'MOONG DAL', en: 'KEKRI\nMOONG DAL: 6800-7200', market: 'KEKRI', priceMin: 6800, priceMax: 7200 };
+
+test('normalizeMessageText drops emojis, punctuation and forwarded markers', () => {
+    assert.strictEqual(normalizeMessageText('Forwarded\n👉 Kekri market: 6800-7200!'), 'KEKRI MARKET 6800-7200');
+});
+
+test('checkMessage catches identical and near-duplicate copies but not changed prices', () => {
+    const { detector } = createDetector();
+    assert.strictEqual(detector.checkMessage(BULLETIN, { sellerGroupName: 'Sellers A' }).duplicate, false);
+
+    const copy = detector.checkMessage(`Forwarded\n${BULLETIN}`, { sellerGroupName: 'Sellers B' });
+    assert.strictEqual(copy.duplicate, true);
+    assert.strictEqual(copy.reason, 'identical text');
+    assert.strictEqual(copy.original.sellerGroupName, 'Sellers A');
+
+    const updated = detector.checkMessage(BULLETIN.replace('7200', '7250'), { sellerGroupName: 'Sellers B' });
+    assert.strictEqual(updated.duplicate, false);
+});
+
+test('filterDuplicateOffers only suppresses offers recorded as passed on', () => {
+    const { detector, options } = createDetector();
+    const offers = { [OFFER.extractedName]: OFFER };
+
+    // Checking does not remember, so a retried or re-posted message keeps its offers until they are sent
+    assert.deepStrictEqual(Object.keys(detector.filterDuplicateOffers(offers, { sellerGroupName: 'Sellers A' }).offers), [OFFER.extractedName]);
+    assert.deepStrictEqual(Object.keys(detector.filterDuplicateOffers(offers, { sellerGroupName: 'Sellers A' }).offers), [OFFER.extractedName]);
+
+    detector.recordOffers(offers, { sellerGroupName: 'Sellers A' });
+    const second = detector.filterDuplicateOffers(offers, { sellerGroupName: 'Sellers B' });
+    assert.deepStrictEqual(second.offers, {});
+    assert.strictEqual(second.suppressed.length, 1);
+
+    const logged = fs.readFileSync(options.suppressedLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0].type, 'offer');
+    assert.strictEqual(logged[0].originalSellerGroupName, 'Sellers A');
+});
+
+test('recording an offer again keeps its first record', () => {
+    const { detector, options } = createDetector();
+    const offers = { [OFFER.extractedName]: OFFER };
+    detector.recordOffers(offers, { sellerGroupName: 'Sellers A' });
+    detector.recordOffers(offers, { sellerGroupName: 'Sellers B' });
+    detector.filterDuplicateOffers(offers, { sellerGroupName: 'Sellers C' });
+    const [logged] = fs.readFileSync(options.suppressedLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(logged.originalSellerGroupName, 'Sellers A');
+});
+
+test('a forgotten message is no longer a duplicate', () => {
+    const { detector } = createDetector();
+    const { fingerprint } = detector.checkMessage(BULLETIN, { sellerGroupName: 'Sellers A' });
+    assert.ok(fingerprint);
+    detector.forgetMessage(fingerprint);
+    assert.strictEqual(detector.checkMessage(BULLETIN, { sellerGroupName: 'Sellers B' }).duplicate, false);
+});
+
+test('remembered offers survive a restart', () => {
+    const { detector, options } = createDetector();
+    detector.recordOffers({ [OFFER.extractedName]: OFFER }, { sellerGroupName: 'Sellers A' });
+
+    const restarted = createDuplicateDetector(options);
+    assert.deepStrictEqual(restarted.filterDuplicateOffers({ [OFFER.extractedName]: OFFER }, { sellerGroupName: 'Sellers A' }).offers, {});
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../logger').silent = true;
+
+const { createEmailNotifier, createMailTransportFromEnv } = require('../emailNotifier');
+
+// Stand-in for a nodemailer transport that keeps the mails it is asked to send.
+function createFakeTransport() {
+    const sent = [];
+    return { sent, sendMail: async mail => { sent.push(mail); } };
+}
+
+test('alerts of the same type are sent together in one email', async () => {
+    const transport = createFakeTransport();
+    const notifier = createEmailNotifier({ transport, from: 'bot@example.com', to: 'admin@example.com', batchWindowMs: 60000 });
+    notifier.notify({ type: 'send_failure', target: 'Buyers A', error: 'timeout' });
+    notifier.notify({ type: 'send_failure', target: 'Buyers B', error: 'timeout' });
+    notifier.notify({ type: 'gemini_failure', sellerGroupName: 'Sellers', messageBody: 'TUR 6250' });
+    assert.strictEqual(transport.sent.length, 0);
+
+    await notifier.flushAll();
+    assert.strictEqual(transport.sent.length, 2);
+    const sendFailures = transport.sent.find(mail => mail.subject.includes('Failed to send to buyer group'));
+    assert.strictEqual(sendFailures.subject, '[Crop Bot] Failed to send to buyer group (2 alerts)');
+    assert.match(sendFailures.text, /Target: Buyers A/);
+    assert.match(sendFailures.text, /Target: Buyers B/);
+    assert.strictEqual(sendFailures.to, 'admin@example.com');
+});
+
+test('alerts beyond maxAlertsPerEmail are only counted', async () => {
+    const transport = createFakeTransport();
+    const notifier = createEmailNotifier({ transport, from: 'bot@example.com', to: 'admin@example.com', maxAlertsPerEmail: 1 });
+    notifier.notify({ type: 'queue_failure', error: 'first' });
+    notifier.notify({ type: 'queue_failure', error: 'second' });
+    await notifier.flushAll();
+    assert.match(transport.sent[0].text, /Error: first/);
+    assert.doesNotMatch(transport.sent[0].text, /Error: second/);
+    assert.match(transport.sent[0].text, /\.\.\. and 1 more alert\(s\)/);
+});
+
+test('NODEMAILER_HOST selects a plain SMTP transport', () => {
+    const saved = { ...process.env };
+    try {
+        Object.assign(process.env, { NODEMAILER_HOST: 'localhost', NODEMAILER_PORT: '1025' });
+        delete process.env.NODEMAILER_EMAIL;
+        delete process.env.NODEMAILER_PASSWORD;
+        const transport = createMailTransportFromEnv();
+        assert.strictEqual(transport.options.host, 'localhost');
+        assert.strictEqual(transport.options.port, 1025);
+        assert.strictEqual(transport.options.secure, false);
+
+        delete process.env.NODEMAILER_HOST;
+        assert.strictEqual(createMailTransportFromEnv(), null);
+    } finally {
+        process.env = saved;
+    }
+});
+
+test('alerts are disabled without a sender address', async () => {
+    const transport = createFakeTransport();
+    const notifier = createEmailNotifier({ transport, from: undefined, to: 'admin@example.com' });
+    notifier.notify({ type: 'queue_failure', error: 'dropped' });
+    await notifier.flushAll();
+    assert.strictEqual(transport.sent.length, 0);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { readJsonFile, writeJsonFile, saveJsonFile } = require('../jsonFile');
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), name);
+}
+
+test('written files read back and leave no temporary file behind', () => {
+    const filePath = tempFile('state.json');
+    writeJsonFile(filePath, { jobs: [1, 2] });
+    assert.deepStrictEqual(readJsonFile(filePath, 'test'), { jobs: [1, 2] });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+
+    writeJsonFile(filePath, { jobs: [] }, 4);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{\n    "jobs": []\n}\n');
+});
+
+test('missing and damaged files read as null', () => {
+    const filePath = tempFile('state.json');
+    assert.strictEqual(readJsonFile(filePath, 'test'), null);
+    fs.writeFileSync(filePath, '{"jobs": [');
+    assert.strictEqual(readJsonFile(filePath, 'test'), null);
+});
+
+test('saveJsonFile logs write errors instead of throwing', () => {
+    const filePath = path.join(tempFile('missing-dir'), 'state.json');
+    assert.throws(() => writeJsonFile(filePath, {}));
+    assert.doesNotThrow(() => saveJsonFile(filePath, {}, 'test'));
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../logger').silent = true;
+
+const { getLanguageProfile } = require('../languages');
+
+test('configured languages get their own headers and reply texts', () => {
+    const hindi = getLanguageProfile('hi');
+    assert.strictEqual(hindi.name, 'Hindi');
+    assert.strictEqual(hindi.categoryHeader('pulses'), '--- PULSES (HINDI) ---');
+    assert.strictEqual(hindi.rateReply('hoursAgo', { n: 3 }), '3 घंटे पहले');
+    assert.strictEqual(getLanguageProfile('en').rateReply('hoursAgo', { n: 1 }), '1 hour ago');
+    assert.strictEqual(getLanguageProfile('en').rateReply('daysAgo', { n: 2 }), '2 days ago');
+});
+
+test('a language without settings gets the English texts with its code', () => {
+    const odia = getLanguageProfile('or');
+    assert.strictEqual(odia.name, 'OR');
+    assert.strictEqual(odia.allUpdatesHeader, '*** ALL MARKET UPDATES (OR) ***');
+    assert.strictEqual(odia.offerSeparator, '-----------------');
+    assert.strictEqual(odia.rateReply('noOffers', { crop: 'TOOR DAL' }), 'No prices for TOOR DAL yet.');
+});
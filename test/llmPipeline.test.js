@@ -0,0 +1,60 @@
+// Runs the extraction pipeline offline with the mock LLM provider (LLM_PROVIDER=mock).
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { createMockProvider, createLlmProvider } = require('../llmProviders');
+const { extractAndTranslateCropOffers } = require('../geminiProcessor');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'mock_llm_responses.json');
+
+test('the mock provider answers from the first matching fixture', async () => {
+    const provider = createMockProvider({ fixturesPath: FIXTURES_PATH });
+    const { text, rawResponse } = await provider.generateText('prompt', { input: 'mumbai\ntur sudan 6250-6300' });
+    assert.match(text, /"TOOR DAL"/);
+    assert.strictEqual(JSON.parse(rawResponse).provider, 'mock');
+});
+
+test('the mock provider returns no offers when nothing matches', async () => {
+    const provider = createMockProvider({ fixturesPath: FIXTURES_PATH });
+    const { text } = await provider.generateText('prompt', { input: 'GOOD MORNING' });
+    assert.strictEqual(text, '```json\n[]\n```');
+});
+
+test('createLlmProvider selects the mock provider and rejects unknown ones', () => {
+    assert.strictEqual(createLlmProvider({ provider: 'mock', mockFixturesPath: FIXTURES_PATH }).name, 'mock');
+    assert.throws(() => createLlmProvider({ provider: 'other' }), /Unknown LLM provider "other"/);
+});
+
+test('extractAndTranslateCropOffers turns the mock response into validated offers', async () => {
+    const provider = createMockProvider({ fixturesPath: FIXTURES_PATH });
+    const diagnostics = {};
+    const offers = await extractAndTranslateCropOffers('MUMBAI\nTUR SUDAN 6250-6300 (+50)', ['en', 'te'], { provider, useCache: false, diagnostics });
+
+    assert.deepStrictEqual(Object.keys(offers), ['TUR SUDAN', 'SUGAR KEKRI MARKET']);
+    const tur = offers['TUR SUDAN'];
+    assert.strictEqual(tur.standardizedName, 'TOOR DAL');
+    assert.strictEqual(tur.category, 'PULSES');
+    assert.strictEqual(tur.en, 'MUMBAI\nTUR SUDAN: 6250-6300 (+50)');
+    assert.ok(tur.te);
+    assert.strictEqual(tur.priceMin, 6250);
+    assert.strictEqual(tur.priceMax, 6300);
+    assert.strictEqual(tur.priceChange, 50);
+    assert.strictEqual(tur.flagged, false);
+    assert.strictEqual(tur.source, 'llm');
+    assert.strictEqual(offers['SUGAR KEKRI MARKET'].arrivalUnit, 'BAG');
+    assert.ok(diagnostics.rawResponse);
+    assert.ok(!diagnostics.usedOfflineFallback);
+});
+
+test('a message the mock provider has no offers for produces none', async () => {
+    const provider = createMockProvider({ fixturesPath: FIXTURES_PATH });
+    const offers = await extractAndTranslateCropOffers('GOOD MORNING EVERYONE', ['en'], { provider, useCache: false });
+    assert.deepStrictEqual(offers, {});
+});
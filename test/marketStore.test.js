@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createMarketStore, getPrice } = require('../marketStore');
+
+test('queries can leave out flagged rows', () => {
+    const marketStore = createMarketStore({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'market_offers.jsonl') });
+    const context = { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', languages: ['en'] };
+    const [older] = marketStore.recordOffers({ TUR: { standardizedName: 'TOOR DAL', category: 'PULSES', en: 'KEKRI\nTUR: 6200-6250' } },
+        { ...context, receivedAt: '2026-03-10T08:00:00.000Z' });
+    const [newer] = marketStore.recordOffers({ TUR: { standardizedName: 'TOOR DAL', category: 'PULSES', en: 'KEKRI\nTUR: 9200-9250' } },
+        { ...context, receivedAt: '2026-03-10T09:00:00.000Z' });
+    marketStore.flagOffers([newer.id], 'Rejected in review');
+
+    const filters = { standardizedName: 'toor dal', market: 'kekri', limit: 1 };
+    assert.strictEqual(marketStore.queryOffers(filters)[0].id, newer.id);
+    assert.strictEqual(marketStore.queryOffers({ ...filters, includeFlagged: false })[0].id, older.id);
+});
+
+test('the price of an offer is the top of its range', () => {
+    assert.strictEqual(getPrice({ priceMin: 6200, priceMax: 6250 }), 6250);
+    assert.strictEqual(getPrice({ priceMin: 6200, priceMax: null }), 6200);
+    assert.strictEqual(getPrice({ priceMin: null, priceMax: null }), null);
+});
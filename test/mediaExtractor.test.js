@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createMediaExtractor } = require('../mediaExtractor');
+
+function createExtractor(options = {}) {
+    const mediaDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'media');
+    const provider = {
+        name: 'test',
+        transcribeMedia: async (prompt, media) => ({ text: '```\nKEKRI   \nTUR: 6250-6300\n```', rawResponse: media.mimetype })
+    };
+    return { mediaDir, mediaExtractor: createMediaExtractor({ mediaDir, provider, ...options }) };
+}
+
+test('media files are stored once under their content hash', () => {
+    const { mediaDir, mediaExtractor } = createExtractor();
+    const media = { data: Buffer.from('rate sheet').toString('base64'), mimetype: 'image/jpeg' };
+    const filePath = mediaExtractor.saveMedia(media);
+    assert.match(path.basename(filePath), /^[0-9a-f]{16}\.jpg$/);
+    assert.strictEqual(mediaExtractor.saveMedia(media), filePath);
+    assert.deepStrictEqual(fs.readdirSync(mediaDir), [path.basename(filePath)]);
+
+    assert.ok(mediaExtractor.isSupported('application/pdf'));
+    assert.ok(!mediaExtractor.isSupported('video/mp4'));
+    assert.ok(mediaExtractor.isAudio('audio/ogg; codecs=opus'));
+    assert.ok(!mediaExtractor.isAudio('image/jpeg'));
+    assert.throws(() => mediaExtractor.saveMedia({ data: '', mimetype: 'video/mp4' }), /Unsupported media type/);
+});
+
+test('files larger than the limit are not stored', () => {
+    const { mediaExtractor } = createExtractor({ maxSizeBytes: 4 });
+    assert.throws(() => mediaExtractor.saveMedia({ data: Buffer.from('rate sheet').toString('base64'), mimetype: 'image/png' }), /limit/);
+});
+
+test('only stored media file names resolve to a path', () => {
+    const { mediaDir, mediaExtractor } = createExtractor();
+    const filePath = mediaExtractor.saveMedia({ data: Buffer.from('%PDF').toString('base64'), mimetype: 'application/pdf' });
+    const fileName = path.basename(filePath);
+    assert.strictEqual(mediaExtractor.getMediaFilePath(fileName), path.resolve(mediaDir, fileName));
+    assert.strictEqual(mediaExtractor.getMediaFilePath('0123456789abcdef.jpg'), null);
+    assert.strictEqual(mediaExtractor.getMediaFilePath(`../${fileName}`), null);
+    assert.strictEqual(mediaExtractor.getMediaFilePath(fileName.replace('.pdf', '.exe')), null);
+});
+
+test('the multimodal method reads the text through the LLM provider', async () => {
+    const { mediaExtractor } = createExtractor();
+    const filePath = mediaExtractor.saveMedia({ data: Buffer.from('rate sheet').toString('base64'), mimetype: 'image/jpeg' });
+    assert.deepStrictEqual(await mediaExtractor.extractText(filePath, 'image/jpeg'), {
+        text: 'KEKRI\nTUR: 6250-6300',
+        method: 'multimodal',
+        rawResponse: 'image/jpeg'
+    });
+
+    const { mediaExtractor: withoutProvider } = createExtractor({ provider: { name: 'mock' } });
+    await assert.rejects(withoutProvider.extractText(filePath, 'image/jpeg'), /cannot read images or PDFs/);
+});
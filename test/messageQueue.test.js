@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createMessageQueue } = require('../messageQueue');
+
+function tempQueueFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'queue.json');
+}
+
+// Resolves once `predicate()` is true, checking every few milliseconds.
+function waitFor(predicate, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            if (predicate()) {
+                resolve();
+            } else if (Date.now() - startedAt > timeoutMs) {
+                reject(new Error('Timed out waiting for the queue.'));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+}
+
+test('runs jobs in order', async () => {
+    const processed = [];
+    const queue = createMessageQueue({ filePath: tempQueueFile(), worker: async payload => { processed.push(payload.n); } });
+    queue.start();
+    [1, 2, 3].forEach(n => queue.enqueue({ n }));
+    await waitFor(() => processed.length === 3);
+    assert.deepStrictEqual(processed, [1, 2, 3]);
+    assert.strictEqual(queue.getStats().depth, 0);
+});
+
+test('retries a failing job and gives up after maxAttempts', async () => {
+    const attempts = { flaky: 0, broken: 0 };
+    const failedJobs = [];
+    const queue = createMessageQueue({
+        filePath: tempQueueFile(),
+        maxAttempts: 3,
+        retryBaseDelayMs: 1,
+        worker: async ({ name }) => {
+            attempts[name]++;
+            if (name === 'broken' || attempts[name] < 2) {
+                throw new Error(`${name} failed`);
+            }
+        },
+        onJobFailed: (job, error) => failedJobs.push({ job, error })
+    });
+    queue.start();
+    queue.enqueue({ name: 'flaky' });
+    queue.enqueue({ name: 'broken' });
+    await waitFor(() => failedJobs.length === 1 && queue.getStats().depth === 0);
+
+    assert.strictEqual(attempts.flaky, 2);
+    assert.strictEqual(attempts.broken, 3);
+    assert.strictEqual(failedJobs[0].job.payload.name, 'broken');
+    assert.strictEqual(failedJobs[0].error.message, 'broken failed');
+    assert.strictEqual(queue.getStats().failed, 1);
+});
+
+test('jobs left in the queue file are run after a restart', async () => {
+    const filePath = tempQueueFile();
+    const stopped = createMessageQueue({ filePath, worker: async () => {} });
+    stopped.enqueue({ n: 1 }); // Never started, so the job stays in the file
+
+    const processed = [];
+    const restarted = createMessageQueue({ filePath, worker: async payload => { processed.push(payload.n); } });
+    assert.strictEqual(restarted.getStats().pending, 1);
+    restarted.start();
+    await waitFor(() => processed.length === 1);
+    assert.deepStrictEqual(processed, [1]);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { OFFER_FIELDS, normalizeOfferFields, validateOfferFields } = require('../offerSchema');
+
+test('normalizeOfferFields converts numbers and text and fills missing fields with null', () => {
+    const fields = normalizeOfferFields({ priceMin: '6,800', priceMax: 7200, unit: ' quintal ', market: '' });
+    assert.deepStrictEqual(Object.keys(fields).sort(), OFFER_FIELDS.slice().sort());
+    assert.strictEqual(fields.priceMin, 6800);
+    assert.strictEqual(fields.priceMax, 7200);
+    assert.strictEqual(fields.unit, 'QUINTAL');
+    assert.strictEqual(fields.market, null);
+    assert.strictEqual(fields.arrivalMin, null);
+});
+
+test('normalizeOfferFields keeps values it cannot convert so validation reports them', () => {
+    assert.strictEqual(normalizeOfferFields({ priceMin: 'about 6800' }).priceMin, 'about 6800');
+});
+
+test('validateOfferFields accepts an offer that matches its text', () => {
+    const fields = normalizeOfferFields({ priceMin: 6800, priceMax: 7200, arrivalMin: 750, arrivalMax: 900, arrivalUnit: 'BAG', market: 'KEKRI' });
+    assert.deepStrictEqual(validateOfferFields(fields, 'KEKRI\nMOONG DAL: 6800-7200\nARRIVAL: 750-900 BAG'), []);
+});
+
+test('validateOfferFields reports wrong types, missing and implausible values', () => {
+    assert.deepStrictEqual(validateOfferFields(normalizeOfferFields({ priceMin: 'abc' })), ['priceMin is not a number ("abc")']);
+    assert.deepStrictEqual(validateOfferFields(normalizeOfferFields({})), ['priceMin is missing']);
+    assert.deepStrictEqual(validateOfferFields(normalizeOfferFields({ priceMin: 7200, priceMax: 6800 })),
+        ['priceMin (7200) is greater than priceMax (6800)']);
+    assert.deepStrictEqual(validateOfferFields(normalizeOfferFields({ priceMin: 100, priceMax: 900 })),
+        ['price range 100-900 is implausibly wide']);
+    assert.deepStrictEqual(validateOfferFields(normalizeOfferFields({ priceMin: 6800, arrivalMin: 750 })),
+        ['arrivalUnit is missing for the arrival quantity']);
+});
+
+test('validateOfferFields catches numbers that differ from the offer text', () => {
+    const fields = normalizeOfferFields({ priceMin: 6800, priceMax: 7300 });
+    assert.deepStrictEqual(validateOfferFields(fields, 'MOONG DAL: 6800-7200'),
+        ['priceMax (7300) does not match the offer text (7200)']);
+});
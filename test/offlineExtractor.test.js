@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { extractOffersOffline } = require('../offlineExtractor');
+
+test('reads market headers, price lines and the arrival line that follows them', () => {
+    const offers = extractOffersOffline('KEKRI MARKET\nNEW MOONG DAL: 6800-7200 (+50)\nARRIVAL: 750-900 BAG');
+    assert.deepStrictEqual(Object.keys(offers), ['NEW MOONG DAL KEKRI']);
+    const offer = offers['NEW MOONG DAL KEKRI'];
+    assert.strictEqual(offer.standardizedName, 'MOONG DAL');
+    assert.strictEqual(offer.category, 'PULSES');
+    assert.strictEqual(offer.en, 'KEKRI\nNEW MOONG DAL: 6800-7200 (+50)\nARRIVAL: 750-900 BAG');
+    assert.strictEqual(offer.market, 'KEKRI');
+    assert.strictEqual(offer.priceMin, 6800);
+    assert.strictEqual(offer.priceMax, 7200);
+    assert.strictEqual(offer.priceChange, 50);
+    assert.strictEqual(offer.arrivalMin, 750);
+    assert.strictEqual(offer.arrivalMax, 900);
+    assert.strictEqual(offer.arrivalUnit, 'BAG');
+    assert.strictEqual(offer.confidence, 'low');
+    assert.strictEqual(offer.source, 'offline');
+    assert.strictEqual(offer.flagged, false);
+});
+
+test('ignores price lines that name no known crop', () => {
+    const offers = extractOffersOffline('KEKRI MARKET\nFOO: 100-200\nARRIVAL: 10-20 BAG');
+    assert.deepStrictEqual(offers, {});
+});
+
+test('produces texts for the other target languages', () => {
+    const offers = extractOffersOffline('SUGAR: 6800-7200', ['en', 'te']);
+    const offer = Object.values(offers)[0];
+    assert.strictEqual(offer.standardizedName, 'SUGAR');
+    assert.strictEqual(typeof offer.te, 'string');
+    assert.ok(offer.te.length > 0);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { createRateQueries } = require('../rateQueries');
+const { createMarketStore } = require('../marketStore');
+
+function createQueries() {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+    const marketStore = createMarketStore({ filePath: path.join(tempDir, 'market_offers.jsonl') });
+    const record = (text, receivedAt) => marketStore.recordOffers({
+        TUR: { standardizedName: 'TOOR DAL', category: 'PULSES', en: text }
+    }, { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', receivedAt, languages: ['en'] })[0];
+    return { rateQueries: createRateQueries({ marketStore }), marketStore, record };
+}
+
+test('only RATE questions on a single line are queries', () => {
+    const { rateQueries } = createQueries();
+    assert.ok(rateQueries.isQuery('rate toor dal kekri'));
+    assert.ok(!rateQueries.isQuery('RATE LIST\nTUR: 6200-6250'));
+    assert.ok(!rateQueries.isQuery('what is the rate'));
+});
+
+test('the latest price per market is listed, newest first', () => {
+    const { rateQueries, record } = createQueries();
+    record('KEKRI\nTUR: 6200-6250 (+50)', '2026-03-10T08:00:00.000Z');
+    record('JAIPUR\nTUR: 6100-6150', '2026-03-10T09:00:00.000Z');
+    record('KEKRI\nTUR: 6300-6350 (+100)', '2026-03-10T10:00:00.000Z');
+
+    const reply = rateQueries.answerQuery('RATE KANDULU', 'en');
+    const lines = reply.split('\n').filter(line => line && !line.startsWith('🕒'));
+    assert.deepStrictEqual(lines, ['*TOOR DAL rates*', 'KEKRI: 6300-6350 (+100)', 'JAIPUR: 6100-6150']);
+    assert.match(rateQueries.answerQuery('RATE TOOR DAL JAIPUR', 'en'), /^\*TOOR DAL rates\*\n\nJAIPUR: 6100-6150\n🕒 .* days? ago\)$/);
+});
+
+test('flagged prices are never quoted', () => {
+    const { rateQueries, marketStore, record } = createQueries();
+    record('KEKRI\nTUR: 6200-6250', '2026-03-10T08:00:00.000Z');
+    const rejected = record('KEKRI\nTUR: 9200-9250', '2026-03-10T09:00:00.000Z');
+    marketStore.flagOffers([rejected.id], 'Rejected in review');
+
+    assert.match(rateQueries.answerQuery('RATE TOOR DAL', 'en'), /KEKRI: 6200-6250/);
+    assert.doesNotMatch(rateQueries.answerQuery('RATE TOOR DAL', 'en'), /9200/);
+});
+
+test('unknown crops and missing prices get a reply in the asked language', () => {
+    const { rateQueries } = createQueries();
+    assert.strictEqual(rateQueries.answerQuery('RATE GOLD', 'en'), 'Unknown crop "GOLD". Try e.g. RATE TOOR DAL or RATE KANDULU KEKRI.');
+    assert.strictEqual(rateQueries.answerQuery('RATE is up today', 'en', { quietIfUnknown: true }), null);
+    assert.strictEqual(rateQueries.answerQuery('RATE TOOR DAL KEKRI', 'en'), 'No prices for TOOR DAL in KEKRI yet.');
+    assert.match(rateQueries.answerQuery('RATE TOOR DAL', 'te'), /ధరలు ఇంకా అందుబాటులో లేవు\.$/);
+    assert.strictEqual(rateQueries.answerQuery('RATE TOOR DAL', 'hi'), 'तुअर दाल के भाव अभी उपलब्ध नहीं हैं।');
+});
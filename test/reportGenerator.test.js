@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createReportGenerator } = require('../reportGenerator');
+const { createMarketStore } = require('../marketStore');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+}
+
+// Records one TOOR DAL offer at KEKRI with the given top price, at local noon on `day`.
+function recordTur(marketStore, day, price) {
+    const receivedAt = new Date(day);
+    receivedAt.setHours(12, 0, 0, 0);
+    return marketStore.recordOffers({ TUR: { standardizedName: 'TOOR DAL', category: 'PULSES', en: `KEKRI\nTUR: ${price - 50}-${price}` } },
+        { sellerGroupId: '111@g.us', sellerGroupName: 'Sellers', languages: ['en'], receivedAt: receivedAt.toISOString() })[0];
+}
+
+test('report files are listed and served, including weekly reports and categories with spaces and digits', () => {
+    const outputDir = tempDir();
+    const reportGenerator = createReportGenerator({ marketStore: null, outputDir });
+    for (const fileName of ['report-2026-10-19.csv', 'report-2026-10-19-PULSES.pdf', 'report-2026-10-19-DRY_FRUITS.csv',
+        'report-2026-10-19-DRY_FRUITS.pdf', 'report-2026-10-19-GRADE_2.csv', 'report-week-2026-10-19.pdf',
+        'report-2026-10-18.csv', 'notes.txt']) {
+        fs.writeFileSync(path.join(outputDir, fileName), '');
+    }
+
+    // The order of the files within a report depends on the directory listing
+    const reports = reportGenerator.listReports().map(report => ({ ...report, files: report.files.sort() }));
+    assert.deepStrictEqual(reports, [
+        { name: 'report-2026-10-19', period: 'day', date: '2026-10-19', category: null, files: ['csv'] },
+        { name: 'report-2026-10-19-DRY_FRUITS', period: 'day', date: '2026-10-19', category: 'DRY FRUITS', files: ['csv', 'pdf'] },
+        { name: 'report-2026-10-19-GRADE_2', period: 'day', date: '2026-10-19', category: 'GRADE 2', files: ['csv'] },
+        { name: 'report-2026-10-19-PULSES', period: 'day', date: '2026-10-19', category: 'PULSES', files: ['pdf'] },
+        { name: 'report-week-2026-10-19', period: 'week', date: '2026-10-19', category: null, files: ['pdf'] },
+        { name: 'report-2026-10-18', period: 'day', date: '2026-10-18', category: null, files: ['csv'] }
+    ]);
+    assert.strictEqual(reportGenerator.getReportFilePath('report-2026-10-19-DRY_FRUITS.pdf'), path.resolve(outputDir, 'report-2026-10-19-DRY_FRUITS.pdf'));
+    assert.strictEqual(reportGenerator.getReportFilePath('report-week-2026-10-19.pdf'), path.resolve(outputDir, 'report-week-2026-10-19.pdf'));
+    assert.strictEqual(reportGenerator.getReportFilePath('notes.txt'), null);
+    assert.strictEqual(reportGenerator.getReportFilePath('../report-2026-10-19.csv'), null);
+});
+
+test('a weekly report covers the seven days ending on its date', () => {
+    const marketStore = createMarketStore({ filePath: path.join(tempDir(), 'market_offers.jsonl') });
+    const reportGenerator = createReportGenerator({ marketStore, outputDir: tempDir() });
+    recordTur(marketStore, new Date(2026, 9, 12), 6000);
+    recordTur(marketStore, new Date(2026, 9, 13), 6100);
+    recordTur(marketStore, new Date(2026, 9, 19), 6300);
+
+    const report = reportGenerator.buildReport({ date: new Date(2026, 9, 19), period: 'week' });
+    assert.strictEqual(report.fromDate, '2026-10-13');
+    assert.strictEqual(report.date, '2026-10-19');
+    assert.strictEqual(report.offerCount, 2);
+    const [entry] = report.categories[0].entries;
+    assert.strictEqual(entry.previousClose, 6000);
+    assert.strictEqual(entry.change, 300);
+
+    assert.strictEqual(reportGenerator.buildReport({ date: new Date(2026, 9, 19) }).offerCount, 1);
+    assert.throws(() => reportGenerator.buildReport({ period: 'month' }), /Unknown report period "month"/);
+});
+
+test('flagged prices are not used as the previous close', () => {
+    const marketStore = createMarketStore({ filePath: path.join(tempDir(), 'market_offers.jsonl') });
+    const reportGenerator = createReportGenerator({ marketStore, outputDir: tempDir() });
+    recordTur(marketStore, new Date(2026, 9, 17), 6200);
+    const rejected = recordTur(marketStore, new Date(2026, 9, 18), 9200);
+    marketStore.flagOffers([rejected.id], 'Rejected in review');
+    recordTur(marketStore, new Date(2026, 9, 19), 6250);
+
+    const [entry] = reportGenerator.buildReport({ date: new Date(2026, 9, 19) }).categories[0].entries;
+    assert.strictEqual(entry.previousClose, 6200);
+    assert.strictEqual(entry.change, 50);
+});
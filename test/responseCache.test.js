@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createResponseCache } = require('../responseCache');
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), name);
+}
+
+test('messages that differ only in spacing or case share a key', () => {
+    const cache = createResponseCache({ filePath: tempFile('llm_cache.json') });
+    const key = cache.makeKey('Kekri\n  TUR:  6250-6300\n\n', ['en', 'te'], 'v1');
+    assert.strictEqual(cache.makeKey('KEKRI\nTUR: 6250-6300', ['en', 'te'], 'v1'), key);
+    assert.notStrictEqual(cache.makeKey('KEKRI\nTUR: 6250-6300', ['en'], 'v1'), key);
+    assert.notStrictEqual(cache.makeKey('KEKRI\nTUR: 6250-6300', ['en', 'te'], 'v2'), key);
+});
+
+test('cached values are copies and survive a restart', () => {
+    const filePath = tempFile('llm_cache.json');
+    const cache = createResponseCache({ filePath });
+    const offers = { TUR: { standardizedName: 'TOOR DAL', priceMin: 6250 } };
+    assert.strictEqual(cache.get('key'), null);
+    cache.set('key', offers);
+
+    offers.TUR.flagged = true;
+    const cached = cache.get('key');
+    assert.deepStrictEqual(cached, { TUR: { standardizedName: 'TOOR DAL', priceMin: 6250 } });
+    cached.TUR.priceMin = 1;
+    assert.strictEqual(cache.get('key').TUR.priceMin, 6250);
+    assert.deepStrictEqual(cache.getStats(), { entries: 1, hits: 2, misses: 1 });
+
+    assert.strictEqual(createResponseCache({ filePath }).get('key').TUR.priceMin, 6250);
+});
+
+test('expired and least recently used entries are dropped', async () => {
+    const cache = createResponseCache({ filePath: tempFile('llm_cache.json'), ttlMs: 60 * 1000, maxEntries: 2 });
+    cache.set('a', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    cache.set('b', 2);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    cache.get('a');
+    cache.set('c', 3);
+    assert.strictEqual(cache.get('b'), null);
+    assert.strictEqual(cache.get('a'), 1);
+
+    const shortLived = createResponseCache({ filePath: tempFile('llm_cache.json'), ttlMs: 1 });
+    shortLived.set('a', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(shortLived.get('a'), null);
+});
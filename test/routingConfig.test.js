@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TAXONOMY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'taxonomy.json');
+require('../logger').silent = true;
+
+const { createRoutingConfig, validateRouting, findUnknownGroups } = require('../routingConfig');
+
+const EXAMPLE_PATH = path.join(__dirname, '..', 'routing.example.json');
+
+function validRouting() {
+    return {
+        sellerGroupIds: ['120363000000000001@g.us'],
+        buyerGroupMapping: { PULSES: { en: '120363000000000002@g.us', te: '120363000000000003@g.us' } },
+        allUpdatesGroupId: null,
+        targetLanguages: ['en', 'te']
+    };
+}
+
+// Resolves once `predicate()` is true, checking every few milliseconds.
+function waitFor(predicate, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            if (predicate()) {
+                resolve();
+            } else if (Date.now() - startedAt > timeoutMs) {
+                reject(new Error('Timed out waiting for condition'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+test('the example routing file is valid', () => {
+    assert.deepStrictEqual(validateRouting(JSON.parse(fs.readFileSync(EXAMPLE_PATH, 'utf8'))), []);
+    assert.deepStrictEqual(validateRouting(validRouting()), []);
+});
+
+test('validateRouting reports every problem', () => {
+    const routing = validRouting();
+    routing.sellerGroupIds.push('12345');
+    routing.buyerGroupMapping.PULSES.hi = '120363000000000004@g.us';
+    routing.buyerGroupMapping.GADGETS = { en: '120363000000000005@g.us' };
+    routing.targetLanguages = ['te'];
+    routing.allUpdatesGroupId = 'all-updates';
+
+    const errors = validateRouting(routing);
+    assert.ok(errors.some(error => error.includes('targetLanguages must include "en"')));
+    assert.ok(errors.some(error => error.includes('sellerGroupIds: "12345" is not a WhatsApp group ID')));
+    assert.ok(errors.some(error => error.includes('buyerGroupMapping.PULSES: language "hi" is not in targetLanguages')));
+    assert.ok(errors.some(error => error.includes('unknown category "GADGETS"')));
+    assert.ok(errors.some(error => error.includes('allUpdatesGroupId: "all-updates"')));
+    assert.deepStrictEqual(validateRouting([]), ['The routing file must contain a JSON object.']);
+});
+
+test('findUnknownGroups warns about placeholders and groups the account is not in', () => {
+    const routing = validRouting();
+    routing.allUpdatesGroupId = '000000000000000000@g.us';
+    const warnings = findUnknownGroups(routing, ['120363000000000001@g.us', '120363000000000002@g.us']);
+    assert.deepStrictEqual(warnings, [
+        'Buyer group PULSES (te) (120363000000000003@g.us) is not a group this WhatsApp account is in.',
+        '"All Updates" group is still the placeholder ID 000000000000000000@g.us.'
+    ]);
+});
+
+test('the routing file is created from the example and reloaded when it changes', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'routing.json');
+    const reloads = [];
+    const reloadErrors = [];
+    const routingConfig = createRoutingConfig({
+        filePath,
+        examplePath: EXAMPLE_PATH,
+        reloadCheckIntervalMs: 20,
+        onReload: routing => reloads.push(routing),
+        onReloadError: error => reloadErrors.push(error)
+    });
+    try {
+        assert.deepStrictEqual(routingConfig.get(), JSON.parse(fs.readFileSync(EXAMPLE_PATH, 'utf8')));
+
+        fs.writeFileSync(filePath, JSON.stringify(validRouting()));
+        await waitFor(() => reloads.length === 1);
+        assert.deepStrictEqual(routingConfig.get(), validRouting());
+
+        // An invalid edit is reported and the previous routing stays in use
+        fs.writeFileSync(filePath, JSON.stringify({ ...validRouting(), targetLanguages: [] }));
+        await waitFor(() => reloadErrors.length === 1);
+        assert.ok(reloadErrors[0].validationErrors.length > 0);
+        assert.deepStrictEqual(routingConfig.get(), validRouting());
+    } finally {
+        routingConfig.close();
+    }
+});
+
+test('save writes a valid routing and rejects an invalid one without touching the file', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'routing.json');
+    fs.writeFileSync(filePath, JSON.stringify(validRouting()));
+    const reloads = [];
+    const routingConfig = createRoutingConfig({ filePath, reloadCheckIntervalMs: 20, onReload: routing => reloads.push(routing) });
+    try {
+        const routing = { ...validRouting(), allUpdatesGroupId: '120363000000000009@g.us' };
+        routingConfig.save(routing);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), routing);
+        assert.deepStrictEqual(routingConfig.get(), routing);
+
+        assert.throws(() => routingConfig.save({ ...routing, targetLanguages: ['te'] }), error => error.validationErrors.length > 0);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), routing);
+
+        // The bot's own save is not picked up again as an outside edit
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(reloads.length, 0);
+    } finally {
+        routingConfig.close();
+    }
+});
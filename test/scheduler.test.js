@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../logger').silent = true;
+
+const { getNextRunTime } = require('../scheduler');
+
+test('the next run is the earliest of the times still ahead today', () => {
+    const from = new Date(2026, 2, 10, 12, 30);
+    assert.deepStrictEqual(getNextRunTime(['10:00', '16:00', '13:15'], from), new Date(2026, 2, 10, 13, 15));
+});
+
+test('times already passed today run tomorrow', () => {
+    const from = new Date(2026, 2, 31, 16, 0);
+    // A time equal to `from` has passed, so a run never repeats right away
+    assert.deepStrictEqual(getNextRunTime(['10:00', '16:00'], from), new Date(2026, 3, 1, 10, 0));
+});
+
+test('invalid times are ignored', () => {
+    const from = new Date(2026, 2, 10, 12, 0);
+    assert.deepStrictEqual(getNextRunTime(['25:00', '4pm', '9:05'], from), new Date(2026, 2, 11, 9, 5));
+    assert.strictEqual(getNextRunTime(['noon'], from), null);
+    assert.strictEqual(getNextRunTime([], from), null);
+});
+
+test('weekly runs fall on the given day of the week', () => {
+    // Tuesday, 10 March 2026
+    const from = new Date(2026, 2, 10, 12, 0);
+    assert.deepStrictEqual(getNextRunTime(['19:00'], from, 0), new Date(2026, 2, 15, 19, 0));
+    assert.deepStrictEqual(getNextRunTime(['19:00'], from, 2), new Date(2026, 2, 10, 19, 0));
+    assert.deepStrictEqual(getNextRunTime(['10:00'], from, 2), new Date(2026, 2, 17, 10, 0));
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+require('../logger').silent = true;
+
+const { createSessionManager, validateSessionSettings } = require('../sessionManager');
+
+// Stands in for a whatsapp-web.js Client: the test emits 'ready', 'disconnected' etc. itself.
+class FakeClient extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.destroyed = false;
+    }
+
+    async initialize() {}
+
+    async destroy() {
+        this.destroyed = true;
+    }
+}
+
+// Resolves once `predicate()` is true, checking every few milliseconds.
+function waitFor(predicate, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            if (predicate()) {
+                resolve();
+            } else if (Date.now() - startedAt > timeoutMs) {
+                reject(new Error('Timed out waiting for condition'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+function createManager(settings) {
+    const clients = [];
+    const roleChanges = [];
+    const manager = createSessionManager({
+        ...settings,
+        dataPath: 'unused',
+        reconnectDelayMs: 20,
+        createClient: name => {
+            const client = new FakeClient(name);
+            clients.push(client);
+            return client;
+        },
+        onRoleChange: change => roleChanges.push(change)
+    });
+    // The newest client of a session
+    const clientOf = name => clients.filter(client => client.name === name).pop();
+    return { manager, clients, roleChanges, clientOf };
+}
+
+test('validateSessionSettings reports every problem', () => {
+    assert.deepStrictEqual(validateSessionSettings({ sessions: ['default'], reader: ['default'], sender: ['default'] }), []);
+    assert.deepStrictEqual(validateSessionSettings({ sessions: [], reader: [], sender: [] }),
+        ['SESSION_SETTINGS.sessions must list at least one session name.']);
+
+    const errors = validateSessionSettings({ sessions: ['main', 'main', 'spare phone'], reader: [], sender: ['main', 'backup'] });
+    assert.deepStrictEqual(errors, [
+        'Session name "spare phone" may only contain letters, digits, "_" and "-".',
+        'SESSION_SETTINGS.sessions lists a session twice.',
+        'SESSION_SETTINGS.reader must list at least one session.',
+        'SESSION_SETTINGS.sender: "backup" is not in SESSION_SETTINGS.sessions.'
+    ]);
+    assert.throws(() => createSessionManager({ sessions: ['main'], reader: ['backup'], sender: ['main'] }), /Invalid WhatsApp session settings/);
+});
+
+test('roles go to the first ready session and fail over when it disconnects', async () => {
+    const { manager, roleChanges, clientOf } = createManager({ sessions: ['main', 'backup'], reader: ['main', 'backup'], sender: ['backup', 'main'] });
+    manager.start();
+    assert.strictEqual(manager.isRoleReady('reader'), false);
+    assert.strictEqual(manager.getClient('sender'), null);
+
+    // The first ready session takes both roles, and keeps them when a preferred session gets ready later
+    clientOf('main').emit('ready');
+    clientOf('backup').emit('ready');
+    assert.strictEqual(manager.getActiveSession('reader'), 'main');
+    assert.strictEqual(manager.getActiveSession('sender'), 'main');
+    assert.strictEqual(manager.getClient('sender'), clientOf('main'));
+    assert.deepStrictEqual(manager.getStatus().sessions.map(session => session.standbyFor), [[], ['reader', 'sender']]);
+
+    // main disconnects: backup takes over, and main is restarted as a standby
+    const firstMainClient = clientOf('main');
+    firstMainClient.emit('disconnected', 'NAVIGATION');
+    assert.strictEqual(manager.getActiveSession('reader'), 'backup');
+    assert.strictEqual(manager.getClient('sender'), clientOf('backup'));
+    assert.deepStrictEqual(roleChanges.slice(-2), [
+        { role: 'reader', from: 'main', to: 'backup', reason: '"main" disconnected' },
+        { role: 'sender', from: 'main', to: 'backup', reason: '"main" disconnected' }
+    ]);
+    await waitFor(() => clientOf('main') !== firstMainClient);
+    assert.ok(firstMainClient.destroyed);
+    clientOf('main').emit('ready');
+    assert.strictEqual(manager.getActiveSession('reader'), 'backup');
+
+    // A role can be moved by hand, but only to a ready session
+    assert.strictEqual(manager.assignRole('reader', 'main'), true);
+    assert.strictEqual(manager.getActiveSession('reader'), 'main');
+    assert.strictEqual(manager.assignRole('reader', 'unknown'), false);
+
+    // When no session is left, the role has no client
+    const backupClient = clientOf('backup');
+    backupClient.emit('auth_failure', 'logged out');
+    clientOf('main').emit('disconnected', 'LOGOUT');
+    assert.strictEqual(manager.isRoleReady('sender'), false);
+    assert.deepStrictEqual(roleChanges.slice(-1), [{ role: 'sender', from: 'main', to: null, reason: '"main" disconnected' }]);
+    assert.strictEqual(manager.getStatus().sessions.find(session => session.name === 'backup').lastError, 'Authentication failure: logged out');
+
+    // Let the pending restarts finish so no timer is left behind
+    await waitFor(() => clientOf('backup') !== backupClient && manager.getStatus().sessions.every(session => session.state === 'starting'));
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createSubscriptionStore } = require('../subscriptionStore');
+
+function createStore() {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'subscriptions.json');
+    return { filePath, store: createSubscriptionStore({ filePath }) };
+}
+
+test('offers reach the subscribers of their crop and of their category', () => {
+    const { store } = createStore();
+    store.subscribe({ chatId: 'a', type: 'crop', name: 'TOOR DAL', language: 'te' });
+    store.subscribe({ chatId: 'b', type: 'category', name: 'PULSES', language: 'en' });
+    store.subscribe({ chatId: 'c', type: 'category', name: 'SPICES', language: 'en' });
+
+    const subscribers = store.findSubscribers({ standardizedName: 'TOOR DAL', category: 'PULSES' });
+    assert.deepStrictEqual(subscribers.map(s => s.chatId), ['a', 'b']);
+    assert.deepStrictEqual(store.findSubscribers({ standardizedName: 'JEERA', category: 'SPICES' }).map(s => s.chatId), ['c']);
+});
+
+test('subscribing again changes the language, and subscriptions survive a restart', () => {
+    const { filePath, store } = createStore();
+    store.subscribe({ chatId: 'a', type: 'crop', name: 'TOOR DAL', language: 'en' });
+    store.subscribe({ chatId: 'a', type: 'crop', name: 'TOOR DAL', language: 'te' });
+    store.subscribe({ chatId: 'a', type: 'category', name: 'SPICES', language: 'en' });
+
+    const reloaded = createSubscriptionStore({ filePath });
+    assert.deepStrictEqual(reloaded.listSubscriptions('a').map(s => reloaded.describeSubscription(s)),
+        ['TOOR DAL in te', 'SPICES (all crops) in en']);
+
+    assert.strictEqual(reloaded.unsubscribe('a', 'TOOR DAL').length, 1);
+    assert.strictEqual(reloaded.unsubscribe('a').length, 1);
+    assert.deepStrictEqual(reloaded.listAll(), []);
+});
+
+test('subscriptions follow renamed and merged crops and categories', () => {
+    const { filePath, store } = createStore();
+    store.subscribe({ chatId: 'a', type: 'crop', name: 'KABULI CHANA', language: 'en' });
+    store.subscribe({ chatId: 'b', type: 'crop', name: 'KABULI CHANA', language: 'te' });
+    store.subscribe({ chatId: 'b', type: 'crop', name: 'CHANA DAL', language: 'te' });
+    store.subscribe({ chatId: 'c', type: 'category', name: 'DRY FRUITS', language: 'en' });
+
+    assert.strictEqual(store.renameSubscriptions('crop', 'KABULI CHANA', 'CHANA DAL'), 2);
+    assert.strictEqual(store.renameSubscriptions('category', 'DRY FRUITS', 'NUTS'), 1);
+    assert.strictEqual(store.renameSubscriptions('crop', 'JEERA', 'CUMIN'), 0);
+
+    // Chat b already had CHANA DAL, so it keeps a single subscription
+    const reloaded = createSubscriptionStore({ filePath });
+    assert.deepStrictEqual(reloaded.listAll().map(s => `${s.chatId} ${s.type} ${s.name}`),
+        ['a crop CHANA DAL', 'b crop CHANA DAL', 'c category NUTS']);
+
+    assert.strictEqual(reloaded.renameSubscriptions('category', 'NUTS', null), 1);
+    assert.deepStrictEqual(reloaded.listSubscriptions('c'), []);
+});
@@ -0,0 +1,50 @@
+// Voice notes transcribed offline with the mock transcription engine.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+require('../logger').silent = true;
+
+const { createTranscriber } = require('../transcriber');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-'));
+
+function writeFile(name, content) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('the mock engine answers with the default fixture', async () => {
+    const transcriber = createTranscriber({ engine: 'mock', mockFixturesPath: path.join(__dirname, '..', 'fixtures', 'mock_transcriptions.json') });
+    const result = await transcriber.transcribe(writeFile('note.ogg', 'any audio'), 'audio/ogg; codecs=opus');
+
+    assert.strictEqual(transcriber.engineName, 'mock');
+    assert.match(result.text, /TUR SUDAN 6250-6300/);
+    assert.strictEqual(result.language, 'te');
+    assert.strictEqual(result.uncertain, false);
+    assert.deepStrictEqual(result.reasons, []);
+});
+
+test('low confidence and unclear words make a transcription uncertain', async () => {
+    const audio = 'unclear audio';
+    const sha256 = crypto.createHash('sha256').update(audio).digest('hex');
+    const fixturesPath = writeFile('transcriptions.json', JSON.stringify([
+        { sha256: sha256.substring(0, 12), text: 'TUR 62?0', language: 'hi', confidence: 0.5, unclear: ['62?0'] },
+        { text: 'DEFAULT', confidence: 0.95 }
+    ]));
+    const transcriber = createTranscriber({ engine: 'mock', mockFixturesPath: fixturesPath, minConfidence: 0.8 });
+    const result = await transcriber.transcribe(writeFile('unclear.ogg', audio), 'audio/ogg');
+
+    assert.strictEqual(result.text, 'TUR 62?0');
+    assert.strictEqual(result.uncertain, true);
+    assert.deepStrictEqual(result.reasons, ['confidence 0.50 is below 0.8', 'unclear: 62?0']);
+});
+
+test('an unknown engine is rejected', () => {
+    assert.throws(() => createTranscriber({ engine: 'other' }), /Unknown transcription engine "other"/);
+});
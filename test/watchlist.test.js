@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../logger').silent = true;
+
+const { createWatchlist } = require('../watchlist');
+
+function createList() {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-bot-test-')), 'watchlists.json');
+    return { filePath, watchlist: createWatchlist({ filePath }) };
+}
+
+function row(priceMin, priceMax, market = 'KEKRI') {
+    return { standardizedName: 'TOOR DAL', market, priceMin, priceMax, translations: { en: `${market}\nTUR: ${priceMin}-${priceMax}` } };
+}
+
+function chatsAlerted(watchlist, offer, previousOffer) {
+    return watchlist.findAlerts(offer, previousOffer).map(alert => alert.chatId);
+}
+
+test('ABOVE and BELOW alert only when the price crosses the level', () => {
+    const { watchlist } = createList();
+    watchlist.addRule({ chatId: 'above', standardizedName: 'TOOR DAL', market: 'KEKRI', type: 'above', value: 7000 });
+    watchlist.addRule({ chatId: 'below', standardizedName: 'TOOR DAL', market: null, type: 'below', value: 6000 });
+
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6900, 7100), row(6800, 6950)), ['above']);
+    // Still above: no new alert
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(7000, 7200), row(6900, 7100)), []);
+    // Exactly at the level is not above it
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6900, 7000), row(6800, 6950)), []);
+    // Without a previous price, being past the level is enough
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(5800, 5900, 'JAIPUR'), null), ['below']);
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(5800, 5900, 'JAIPUR'), row(5900, 5950, 'JAIPUR')), []);
+});
+
+test('CHANGE and PERCENT need a previous price and work in both directions', () => {
+    const { watchlist } = createList();
+    watchlist.addRule({ chatId: 'change', standardizedName: 'TOOR DAL', market: null, type: 'change', value: 100 });
+    watchlist.addRule({ chatId: 'percent', standardizedName: 'TOOR DAL', market: 'KEKRI', type: 'percent', value: 2 });
+
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6200, 6300), null), []);
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6200, 6300), row(6150, 6250)), []);
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6100, 6150), row(6200, 6300)), ['change', 'percent']);
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6100, 6150, 'JAIPUR'), row(6200, 6300, 'JAIPUR')), ['change']);
+
+    const [alert] = watchlist.findAlerts(row(6300, 6400), row(6200, 6300));
+    assert.match(alert.text, /TOOR DAL \(KEKRI\): ₹6400 \(\+100 from ₹6300\)/);
+});
+
+test('rules are kept per chat and numbered for UNWATCH', () => {
+    const { filePath, watchlist } = createList();
+    watchlist.addRule({ chatId: 'a', standardizedName: 'TOOR DAL', market: null, type: 'change', value: 100 });
+    watchlist.addRule({ chatId: 'a', standardizedName: 'JEERA', market: null, type: 'above', value: 25000 });
+    watchlist.addRule({ chatId: 'b', standardizedName: 'JEERA', market: null, type: 'below', value: 20000 });
+
+    assert.strictEqual(watchlist.removeRule('a', 1).standardizedName, 'TOOR DAL');
+    assert.strictEqual(watchlist.removeRule('a', 5), null);
+    const reloaded = createWatchlist({ filePath });
+    assert.deepStrictEqual(reloaded.listRules('a').map(rule => rule.standardizedName), ['JEERA']);
+    assert.strictEqual(reloaded.listRules('b').length, 1);
+});
+
+test('rules follow a renamed or merged crop', () => {
+    const { filePath, watchlist } = createList();
+    watchlist.addRule({ chatId: 'a', standardizedName: 'TUR', market: null, type: 'above', value: 7000 });
+    watchlist.addRule({ chatId: 'a', standardizedName: 'JEERA', market: null, type: 'above', value: 30000 });
+
+    assert.strictEqual(watchlist.renameCrop('TUR', 'TOOR DAL'), 1);
+    assert.deepStrictEqual(createWatchlist({ filePath }).listRules('a').map(rule => rule.standardizedName), ['TOOR DAL', 'JEERA']);
+    assert.deepStrictEqual(chatsAlerted(watchlist, row(6900, 7100), null), ['a']);
+});
@@ -0,0 +1,170 @@
+// transcriber.js
+
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { createGeminiProvider } = require('./llmProviders');
+const { getLanguageProfile } = require('./languages');
+
+// Every transcription engine implements the same small interface:
+//   {
+//     name: string,
+//     transcribe({ data, mimetype }, { languages }): Promise<{ text: string, language: string|null,
+//       confidence: number|null, unclear: string[], rawResponse: string }>
+//   }
+// `data` is the base64-encoded audio and `languages` the codes of the languages sellers speak.
+// `confidence` is 0-1 (null if the engine can't tell) and `unclear` lists words or numbers the engine
+// was unsure of. Errors worth retrying are thrown with `error.transient = true`.
+
+function buildTranscriptionPrompt(languages) {
+    const names = languages.map(code => getLanguageProfile(code).name).join(', ');
+    return `This is a voice note from a seller in an agricultural commodity market, giving today's rates. It is spoken in one of: ${names}.
+Transcribe it in the language and script it is spoken in. Write all prices, price changes and quantities as digits (e.g. "6250-6300", "+50", "900 bags").
+Reply with JSON only, in this format:
+{"text": "<the transcription>", "language": "<language code, e.g. te>", "confidence": <0 to 1, how sure you are of the words and numbers>, "unclear": ["<every word or number you could not hear clearly>"]}`;
+}
+
+// Reads the JSON answer of an LLM engine; a plain-text answer is taken as the transcription with unknown confidence.
+function parseTranscription(text) {
+    const json = String(text || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+    try {
+        const parsed = JSON.parse(json);
+        return {
+            text: typeof parsed.text === 'string' ? parsed.text.trim() : '',
+            language: typeof parsed.language === 'string' ? parsed.language : null,
+            confidence: typeof parsed.confidence === 'number' ? Math.min(Math.max(parsed.confidence, 0), 1) : null,
+            unclear: Array.isArray(parsed.unclear) ? parsed.unclear.map(String) : []
+        };
+    } catch (e) {
+        return { text: json, language: null, confidence: null, unclear: [] };
+    }
+}
+
+/**
+ * Gemini engine: the audio is sent inline to the model, which returns the transcription with a
+ * self-assessed confidence.
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey Google Gemini API key.
+ * @param {string} options.model Model name (e.g. "gemini-1.5-flash").
+ */
+function createGeminiEngine({ apiKey, model }) {
+    const provider = createGeminiProvider({ apiKey, model });
+
+    async function transcribe({ data, mimetype }, { languages }) {
+        const response = await provider.transcribeMedia(buildTranscriptionPrompt(languages), { data, mimetype });
+        return { ...parseTranscription(response.text), rawResponse: response.rawResponse };
+    }
+
+    return {
+        name: 'gemini',
+        transcribe
+    };
+}
+
+/**
+ * Local stand-in for tests and running without an API key. Transcriptions come from a JSON fixtures
+ * file: an array of `{ "sha256": "...", "text": "...", "language": "te", "confidence": 0.9, "unclear": [] }`.
+ * The first fixture whose `sha256` is a prefix of the audio file's SHA-256 wins; a fixture without
+ * `sha256` is the default. If nothing matches, the transcription is empty.
+ *
+ * @param {Object} options
+ * @param {string} options.fixturesPath Path of the fixtures JSON file.
+ */
+function createMockEngine({ fixturesPath }) {
+    let fixtures = [];
+    if (fixturesPath && fs.existsSync(fixturesPath)) {
+        try {
+            fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+            logger.info(`Mock transcription engine loaded ${fixtures.length} fixture(s) from ${fixturesPath}.`);
+        } catch (e) {
+            logger.error(`Error parsing mock transcription fixtures file ${fixturesPath}: ${e.message}`);
+        }
+    } else {
+        logger.warn(`Mock transcription fixtures file ${fixturesPath} not found. Every voice note will transcribe as empty.`);
+    }
+
+    async function transcribe({ data }) {
+        const hash = crypto.createHash('sha256').update(Buffer.from(data, 'base64')).digest('hex');
+        const fixture = fixtures.find(f => f.sha256 && hash.startsWith(String(f.sha256).toLowerCase()))
+            || fixtures.find(f => !f.sha256);
+        const result = {
+            text: fixture ? fixture.text || '' : '',
+            language: fixture ? fixture.language || null : null,
+            confidence: fixture && typeof fixture.confidence === 'number' ? fixture.confidence : null,
+            unclear: fixture && Array.isArray(fixture.unclear) ? fixture.unclear : []
+        };
+        return { ...result, rawResponse: JSON.stringify({ engine: 'mock', ...result }) };
+    }
+
+    return {
+        name: 'mock',
+        transcribe
+    };
+}
+
+/**
+ * Creates the transcriber for voice notes from seller groups, using the engine selected in
+ * TRANSCRIPTION_SETTINGS (config.js).
+ *
+ * @param {Object} settings
+ * @param {string} settings.engine "gemini" or "mock".
+ * @param {string} [settings.model] Model name for the gemini engine.
+ * @param {string} [settings.mockFixturesPath] Fixtures file for the mock engine.
+ * @param {number} [settings.minConfidence=0.8] Transcriptions below this confidence are uncertain.
+ * @param {string[]} [settings.languages=['te', 'hi', 'en']] Languages the sellers speak.
+ * @returns {{engineName: string, transcribe: function(string, string): Promise<Object>}}
+ */
+function createTranscriber({ engine, model, mockFixturesPath, minConfidence = 0.8, languages = ['te', 'hi', 'en'] }) {
+    let transcriptionEngine;
+    switch (engine) {
+        case 'mock':
+            transcriptionEngine = createMockEngine({ fixturesPath: mockFixturesPath });
+            break;
+        case 'gemini':
+            transcriptionEngine = createGeminiEngine({ apiKey: process.env.GEMINI_API_KEY, model });
+            break;
+        default:
+            throw new Error(`Unknown transcription engine "${engine}". Use "gemini" or "mock".`);
+    }
+
+    /**
+     * Transcribes a stored voice note.
+     *
+     * @param {string} filePath Path of the audio file.
+     * @param {string} mimetype MIME type, e.g. "audio/ogg; codecs=opus".
+     * @returns {Promise<{text: string, language: string|null, confidence: number|null, unclear: string[],
+     *   uncertain: boolean, reasons: string[], rawResponse: string}>} `uncertain` is set (with the `reasons`)
+     *   if the offers read from it should be reviewed by an operator before anyone sees them.
+     */
+    async function transcribe(filePath, mimetype) {
+        const data = fs.readFileSync(filePath).toString('base64');
+        const result = await transcriptionEngine.transcribe({ data, mimetype: String(mimetype || '').split(';')[0] }, { languages });
+
+        const reasons = [];
+        if (result.confidence === null) {
+            reasons.push('the transcription engine gave no confidence');
+        } else if (result.confidence < minConfidence) {
+            reasons.push(`confidence ${result.confidence.toFixed(2)} is below ${minConfidence}`);
+        }
+        if (result.unclear.length > 0) {
+            reasons.push(`unclear: ${result.unclear.join(', ')}`);
+        }
+        if (!result.text) {
+            reasons.push('nothing was transcribed');
+        }
+        logger.info(`Transcribed voice note ${filePath} with ${transcriptionEngine.name} (language: ${result.language || 'unknown'}, confidence: ${result.confidence === null ? 'unknown' : result.confidence}): "${result.text}"`);
+        return { ...result, uncertain: reasons.length > 0, reasons };
+    }
+
+    return {
+        engineName: transcriptionEngine.name,
+        transcribe
+    };
+}
+
+module.exports = {
+    createTranscriber,
+    createGeminiEngine,
+    createMockEngine
+};
@@ -0,0 +1,298 @@
+// translationGlossary.js
+
+const { FLATTENED_CROP_MAPPING, onTaxonomyChange } = require('./cropTaxonomy');
+const { LANGUAGE_SETTINGS } = require('./config');
+
+// --- TRANSLATION GLOSSARIES ---
+// Fixed translations for the vocabulary that recurs in market bulletins, per language code.
+// Used to translate offers without the LLM (offline/lenient mode) and to correct the LLM's output,
+// which is unreliable for crop names and a few key terms.
+//   crops:    standardized crop name -> translated name. Every alias in the crop taxonomy is translated through this.
+//   variants: standardized crop name -> wrong translations the LLM tends to produce, replaced by the `crops` entry.
+//   markets:  market / origin names.
+//   terms:    units and other recurring words.
+//   corrections: extra [pattern, replacement] fixes applied to LLM output.
+const GLOSSARIES = {
+    "te": {
+        crops: {
+            // PULSES
+            "CHANA DAL": "సెనగ పప్పు",
+            "TOOR DAL": "కంది పప్పు",
+            "URAD DAL": "మినపప్పు",
+            "MOONG DAL": "పెసర పప్పు",
+            "MASUR DAL": "మసూర్ పప్పు",
+            "MATAR": "బటానీ పప్పు",
+            // SPICES
+            "TURMERIC": "పసుపు",
+            "DHANIA": "ధనియాలు",
+            "CHILLI": "ఎండు మిర్చి",
+            "JEERA": "జీలకర్ర",
+            "SAUNF": "సోంపు",
+            "METHI": "మెంతులు",
+            "KALONJI": "కలోంజి",
+            "AJWAIN": "వాము",
+            "BLACK PEPPER": "మిరియాలు",
+            // OILS
+            "COTTON OIL": "పత్తి నూనె",
+            "COTTON KHAL": "పత్తి చెక్క",
+            "RICE BRAN OIL": "తవుడు నూనె",
+            "GN SEED OIL": "వేరుశెనగ గింజల నూనె",
+            "GROUNDNUT OIL": "వేరుశెనగ నూనె",
+            "SESAME OIL": "నువ్వుల నూనె",
+            "CASTOR OIL": "ఆముదం నూనె",
+            "KANDLA OIL": "కాండ్లా నూనె",
+            "SOYA OIL": "సోయా నూనె",
+            "PALM OIL": "పామాయిల్",
+            "VANASPATI GHEE": "వనస్పతి నెయ్యి",
+            "MUSTARD OIL": "ఆవ నూనె",
+            "ADANI WILMAR": "అదానీ విల్మార్",
+            // SUGAR
+            "SUGAR": "పంచదార",
+            "JAGGERY": "బెల్లం",
+            // KIRANA
+            "KIRANA": "కిరాణా"
+        },
+        variants: {
+            "CHANA DAL": ["సెనగ దాల్", "చెన దాల్", "శనగ పప్పు", "చనా దాల్"],
+            "TOOR DAL": ["కంది దాల్", "టూర్ దాల్", "తూర్ దాల్"],
+            "URAD DAL": ["ఉరద్ దాల్", "మినప పప్పు"],
+            "MOONG DAL": ["మూంగ్ దాల్", "ముంగ్ దాల్"],
+            "MASUR DAL": ["మసూర్ దాల్"],
+            "MATAR": ["మటార్ దాల్", "బటానీ దాల్"],
+            "SUGAR": ["చక్కెర", "షుగర్"],
+            "JAGGERY": ["గుడ్"]
+        },
+        markets: {
+            "KEKRI": "కేక్రి",
+            "TONK": "టోంక్",
+            "MUMBAI": "ముంబై",
+            "DELHI": "ఢిల్లీ",
+            "INDORE": "ఇండోర్",
+            "JAIPUR": "జైపూర్",
+            "KOTA": "కోటా",
+            "BIKANER": "బికానేర్",
+            "AKOLA": "అకోలా",
+            "LATUR": "లాతూర్",
+            "NAGPUR": "నాగపూర్",
+            "RAJKOT": "రాజ్‌కోట్",
+            "UNJHA": "ఊంఝా",
+            "AHMEDABAD": "అహ్మదాబాద్",
+            "KOLKATA": "కోల్‌కతా",
+            "CHENNAI": "చెన్నై",
+            "BANGALORE": "బెంగళూరు",
+            "HYDERABAD": "హైదరాబాద్",
+            "GUNTUR": "గుంటూరు",
+            "WARANGAL": "వరంగల్",
+            "KURNOOL": "కర్నూలు",
+            "NIZAMABAD": "నిజామాబాద్",
+            "KHAMMAM": "ఖమ్మం",
+            "VIJAYAWADA": "విజయవాడ",
+            "SUDAN": "సూడాన్",
+            "MOZAMBIQUE": "మొజాంబిక్",
+            "TANZANIA": "టాంజానియా",
+            "MALAWI": "మలావి",
+            "BURMA": "బర్మా",
+            "AUSTRALIA": "ఆస్ట్రేలియా",
+            "CANADA": "కెనడా"
+        },
+        terms: {
+            "ARRIVALS": "రాబడులు",
+            "ARRIVAL": "రాబడులు",
+            "NEW": "కొత్త",
+            "OLD": "పాత",
+            "BAGS": "సంచులు",
+            "BAG": "సంచులు",
+            "QUINTALS": "క్వింటాళ్లు",
+            "QUINTAL": "క్వింటాల్",
+            "QTL": "క్వింటాల్",
+            "KG": "కిలో",
+            "TIN": "డబ్బా",
+            "TON": "టన్ను",
+            "MARKET": "మార్కెట్",
+            "RATE": "ధర",
+            "PRICE": "ధర",
+            "TODAY": "ఈరోజు",
+            "STEADY": "స్థిరం",
+            "DEMAND": "డిమాండ్",
+            "SUPPLY": "సరఫరా",
+            "QUALITY": "నాణ్యత",
+            "BEST": "ఉత్తమ",
+            "MEDIUM": "మధ్యస్థ",
+            "AVERAGE": "సగటు",
+            "DESI": "దేశీ",
+            "LOCAL": "స్థానిక",
+            "IMPORTED": "దిగుమతి",
+            "DAL": "పప్పు",
+            "OIL": "నూనె",
+            "SEED": "గింజలు"
+        },
+        corrections: [
+            // ARRIVAL must always be రాబడులు, never రాక (keep any colon that follows)
+            [/రాక(\s*[:\-–.])/g, 'రాబడులు$1'],
+            [/రాక(?=\s|$)/g, 'రాబడులు']
+        ]
+    }
+};
+
+// Adds the glossary entries from LANGUAGE_SETTINGS in config.js. They win over the built-in ones,
+// and languages without a built-in glossary (e.g. Hindi) get one.
+for (const language in LANGUAGE_SETTINGS) {
+    const overrides = LANGUAGE_SETTINGS[language].glossary;
+    if (!overrides) {
+        continue;
+    }
+    if (!GLOSSARIES[language]) {
+        GLOSSARIES[language] = { crops: {}, variants: {}, markets: {}, terms: {}, corrections: [] };
+    }
+    const glossary = GLOSSARIES[language];
+    for (const section of ['crops', 'variants', 'markets', 'terms']) {
+        glossary[section] = { ...glossary[section], ...(overrides[section] || {}) };
+    }
+    glossary.corrections = [...glossary.corrections, ...(overrides.corrections || [])];
+}
+
+// Escapes a string for use inside a RegExp.
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Builds the [regex, replacement] list for a language once: crop aliases, markets and terms,
+// longest first so "MOONG DAL" is translated as one crop instead of "MOONG" + "DAL".
+const replacementCache = {};
+onTaxonomyChange(() => {
+    // Aliases were added, moved or removed
+    for (const language of Object.keys(replacementCache)) {
+        delete replacementCache[language];
+    }
+});
+function getReplacements(language) {
+    if (replacementCache[language]) {
+        return replacementCache[language];
+    }
+    const glossary = GLOSSARIES[language];
+    const entries = [];
+
+    for (const alias in FLATTENED_CROP_MAPPING) {
+        const translated = glossary.crops[FLATTENED_CROP_MAPPING[alias].standardizedName];
+        if (translated) {
+            entries.push([alias, translated]);
+        }
+    }
+    for (const name in glossary.markets) {
+        entries.push([name, glossary.markets[name]]);
+    }
+    for (const term in glossary.terms) {
+        entries.push([term, glossary.terms[term]]);
+    }
+
+    entries.sort((a, b) => b[0].length - a[0].length);
+    replacementCache[language] = entries.map(([source, translated]) => [
+        // Whole words only; \b can't be used because it doesn't understand non-Latin scripts
+        new RegExp(`(?<![A-Z0-9])${escapeRegExp(source).replace(/ /g, '\\s+')}(?![A-Z0-9])`, 'gi'),
+        translated
+    ]);
+    return replacementCache[language];
+}
+
+function hasGlossary(language) {
+    return Boolean(GLOSSARIES[language]);
+}
+
+/**
+ * Translates a formatted English offer (e.g. "KEKRI\nNEW MOONG DAL: 6800-7200 (-50)\nARRIVAL: 750-900 BAG")
+ * word by word using the glossary. Numbers and punctuation are kept; words not in the glossary stay in English.
+ *
+ * @param {string} text The formatted English offer text.
+ * @param {string} language Target language code (e.g. 'te').
+ * @returns {{text: string, complete: boolean}} The translation, and whether every word was found in the glossary.
+ */
+function translateOfferText(text, language) {
+    if (!hasGlossary(language) || !text) {
+        return { text: text || '', complete: false };
+    }
+    let translated = text;
+    for (const [pattern, replacement] of getReplacements(language)) {
+        translated = translated.replace(pattern, replacement);
+    }
+    return {
+        text: translated,
+        complete: !/[A-Za-z]{2,}/.test(translated)
+    };
+}
+
+/**
+ * Corrects an LLM translation: applies the language's fixed corrections, replaces known wrong crop
+ * translations with the glossary ones, and translates any glossary words the LLM left in English.
+ *
+ * @param {string} text The LLM's translated offer text.
+ * @param {string} language Language code of the text.
+ * @returns {string} The corrected text.
+ */
+function correctTranslation(text, language) {
+    if (!hasGlossary(language) || !text) {
+        return text;
+    }
+    const glossary = GLOSSARIES[language];
+    let corrected = text;
+
+    for (const [pattern, replacement] of glossary.corrections) {
+        corrected = corrected.replace(pattern, replacement);
+    }
+    for (const standardizedName in glossary.variants) {
+        const desired = glossary.crops[standardizedName];
+        if (!desired) { // Variants added by a LANGUAGE_SETTINGS glossary for a crop it has no name for
+            continue;
+        }
+        for (const variant of glossary.variants[standardizedName]) {
+            if (!desired.includes(variant)) { // Never replace part of the correct name with itself
+                corrected = corrected.split(variant).join(desired);
+            }
+        }
+    }
+    return translateOfferText(corrected, language).text.trim();
+}
+
+/**
+ * Lists the glossary's crop translations for the LLM prompt, e.g. "- CHANA DAL: సెనగ పప్పు".
+ *
+ * @param {string} language Language code.
+ * @returns {string} One line per crop, or an empty string if there is no glossary for the language.
+ */
+function describeCropTranslations(language) {
+    if (!hasGlossary(language)) {
+        return '';
+    }
+    const crops = GLOSSARIES[language].crops;
+    return Object.keys(crops).map(name => `- ${name}: ${crops[name]}`).join('\n');
+}
+
+/**
+ * Finds a crop written in one of the glossary languages (e.g. "కంది పప్పు ధర"), using the glossary's
+ * crop translations and the wrong variants the LLM is known to produce. The longest match wins.
+ *
+ * @param {string} text Any text that may contain a translated crop name.
+ * @returns {{standardizedName: string, language: string}|null} The crop and the language it was written in.
+ */
+function findTranslatedCrop(text) {
+    let best = null;
+    for (const language in GLOSSARIES) {
+        const glossary = GLOSSARIES[language];
+        for (const standardizedName in glossary.crops) {
+            const names = [glossary.crops[standardizedName], ...(glossary.variants[standardizedName] || [])];
+            for (const name of names) {
+                if (String(text).includes(name) && (!best || name.length > best.name.length)) {
+                    best = { name, standardizedName, language };
+                }
+            }
+        }
+    }
+    return best ? { standardizedName: best.standardizedName, language: best.language } : null;
+}
+
+module.exports = {
+    hasGlossary,
+    translateOfferText,
+    correctTranslation,
+    describeCropTranslations,
+    findTranslatedCrop
+};
@@ -0,0 +1,132 @@
+// unmappedCrops.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+const { CROP_CATEGORIES_AND_STANDARDIZATION, normalizeName, resolveCropName, onTaxonomyChange } = require('./cropTaxonomy');
+
+const MAX_EXAMPLES = 3;
+
+// An entry of the queue, one per unknown crop name:
+//   { name, category, count, firstSeen, lastSeen, sellerGroupName, examples }
+// `name` is the offer's standardizedName in the taxonomy's form (e.g. "KABULI CHANA"), `category` the
+// category the LLM gave it (e.g. "UNKNOWN") and `examples` the last few extracted names with their
+// English offer text, so the operator can tell what sellers meant.
+
+/**
+ * Creates the queue of crop names the taxonomy doesn't know. Offers whose crop is not in the taxonomy,
+ * or whose category is "UNKNOWN" or not a known category, are collected here until an operator maps
+ * the name to a crop (it becomes an alias), adds it as a new crop, or dismisses it in the web UI.
+ * Entries whose name becomes known (however the taxonomy was edited) leave the queue by themselves.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the queue.
+ * @returns {{recordOffers: function(Object, Object): Object[], listEntries: function(): Object[],
+ *   getEntry: function(string): Object|null, removeEntry: function(string): Object|null}}
+ */
+function createUnmappedCropQueue({ filePath }) {
+    let entries = [];
+
+    function load() {
+        const saved = readJsonFile(filePath, 'unmapped crops');
+        entries = saved && Array.isArray(saved.entries) ? saved.entries : [];
+        if (entries.length > 0) {
+            logger.info(`Loaded ${entries.length} unmapped crop name(s) waiting for review.`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { entries }, 'unmapped crops');
+    }
+
+    function isMapped(offer) {
+        const crop = resolveCropName(offer.standardizedName || offer.extractedName);
+        return Boolean(crop && CROP_CATEGORIES_AND_STANDARDIZATION[String(offer.category || '').toUpperCase()]);
+    }
+
+    /**
+     * Adds the offers the taxonomy can't place to the queue (or counts them again).
+     *
+     * @param {Object} offers Processed offers, keyed by extracted name.
+     * @param {{sellerGroupName: string, receivedAt: string}} context
+     * @returns {Object[]} The entries that were added or updated.
+     */
+    function recordOffers(offers, { sellerGroupName, receivedAt }) {
+        const seenAt = receivedAt || new Date().toISOString();
+        const updated = [];
+        for (const offer of Object.values(offers)) {
+            if (isMapped(offer)) {
+                continue;
+            }
+            const name = normalizeName(offer.standardizedName || offer.extractedName);
+            if (!name) {
+                continue;
+            }
+            let entry = getEntry(name);
+            if (!entry) {
+                entry = { name, category: null, count: 0, firstSeen: seenAt, lastSeen: seenAt, sellerGroupName: null, examples: [] };
+                entries.push(entry);
+            }
+            entry.category = String(offer.category || '').toUpperCase() || null;
+            entry.count++;
+            entry.lastSeen = seenAt;
+            entry.sellerGroupName = sellerGroupName;
+            entry.examples = [{ extractedName: offer.extractedName, text: offer.en || '' }, ...entry.examples].slice(0, MAX_EXAMPLES);
+            if (!updated.includes(entry)) {
+                updated.push(entry);
+            }
+        }
+        if (updated.length > 0) {
+            persist();
+        }
+        return updated;
+    }
+
+    // Most recently seen first
+    function listEntries() {
+        return entries.slice().sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    }
+
+    function getEntry(name) {
+        return entries.find(entry => entry.name === name) || null;
+    }
+
+    function removeEntry(name) {
+        const entry = getEntry(name);
+        if (!entry) {
+            return null;
+        }
+        entries = entries.filter(e => e !== entry);
+        persist();
+        return entry;
+    }
+
+    // Names the taxonomy knows now (e.g. mapped as an alias) no longer need a decision
+    function removeKnownNames() {
+        const known = entries.filter(entry => resolveCropName(entry.name));
+        if (known.length > 0) {
+            entries = entries.filter(entry => !known.includes(entry));
+            persist();
+            logger.info(`Removed ${known.length} crop name(s) the taxonomy now knows from the unmapped queue: ${known.map(entry => entry.name).join(', ')}`);
+        }
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+    onTaxonomyChange(removeKnownNames);
+
+    return {
+        recordOffers,
+        listEntries,
+        getEntry,
+        removeEntry
+    };
+}
+
+module.exports = {
+    createUnmappedCropQueue
+};
@@ -0,0 +1,186 @@
+// watchlist.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, saveJsonFile } = require('./jsonFile');
+const { getPrice } = require('./marketStore');
+
+const MAX_RULES_PER_CHAT = 20;
+
+// A watch rule:
+//   { id, chatId, standardizedName, market, type, value, createdAt }
+// `market` is null to watch every market. `type` is one of:
+//   'change'  - the price moved by at least `value` rupees since the previous offer
+//   'percent' - the price moved by at least `value` percent since the previous offer
+//   'above'   - the price rose above `value`
+//   'below'   - the price fell below `value`
+// The price of an offer is the top of its range (see getPrice in marketStore.js).
+
+function describeRule(rule) {
+    const where = rule.market ? `${rule.standardizedName} in ${rule.market}` : `${rule.standardizedName} (any market)`;
+    switch (rule.type) {
+        case 'change':
+            return `${where} moves by ₹${rule.value} or more`;
+        case 'percent':
+            return `${where} moves by ${rule.value}% or more`;
+        case 'above':
+            return `${where} goes above ₹${rule.value}`;
+        case 'below':
+            return `${where} goes below ₹${rule.value}`;
+        default:
+            return where;
+    }
+}
+
+/**
+ * Creates the watchlist: price alert rules per chat, stored in `filePath`.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath Path of the JSON file holding the rules.
+ * @returns {{addRule: function(Object): Object, removeRule: function(string, number): Object|null,
+ *   listRules: function(string): Object[], renameCrop: function(string, string): number,
+ *   findAlerts: function(Object, Object|null): Object[], describeRule: function(Object): string}}
+ */
+function createWatchlist({ filePath }) {
+    let rules = [];
+
+    function load() {
+        const saved = readJsonFile(filePath, 'watchlist');
+        rules = saved && Array.isArray(saved.rules) ? saved.rules : [];
+        if (saved) {
+            logger.info(`Loaded ${rules.length} watchlist rule(s).`);
+        }
+    }
+
+    function persist() {
+        saveJsonFile(filePath, { rules }, 'watchlist');
+    }
+
+    /**
+     * Adds a rule for a chat. Throws if the chat already has the maximum number of rules.
+     *
+     * @param {{chatId: string, standardizedName: string, market: string|null, type: string, value: number}} rule
+     * @returns {Object} The stored rule.
+     */
+    function addRule({ chatId, standardizedName, market, type, value }) {
+        if (listRules(chatId).length >= MAX_RULES_PER_CHAT) {
+            throw new Error(`You can have at most ${MAX_RULES_PER_CHAT} watches. Remove one with UNWATCH <number> first.`);
+        }
+        const rule = {
+            id: crypto.randomBytes(4).toString('hex'),
+            chatId,
+            standardizedName,
+            market: market || null,
+            type,
+            value,
+            createdAt: new Date().toISOString()
+        };
+        rules.push(rule);
+        persist();
+        return rule;
+    }
+
+    // Rules of one chat, oldest first. Their 1-based position is the number used by UNWATCH.
+    function listRules(chatId) {
+        return rules.filter(rule => rule.chatId === chatId);
+    }
+
+    function removeRule(chatId, number) {
+        const rule = listRules(chatId)[number - 1];
+        if (!rule) {
+            return null;
+        }
+        rules = rules.filter(r => r.id !== rule.id);
+        persist();
+        return rule;
+    }
+
+    /**
+     * Points the rules for a crop at its new standardized name after the crop was renamed or merged
+     * in the taxonomy.
+     *
+     * @param {string} from The old standardized name.
+     * @param {string} to The new standardized name.
+     * @returns {number} How many rules were changed.
+     */
+    function renameCrop(from, to) {
+        const changed = rules.filter(rule => rule.standardizedName === from);
+        if (changed.length > 0) {
+            changed.forEach(rule => { rule.standardizedName = to; });
+            persist();
+        }
+        return changed.length;
+    }
+
+    /**
+     * Checks a new offer against every rule for its crop and market.
+     *
+     * @param {Object} offer A market history row (see marketStore.js).
+     * @param {Object|null} previousOffer The previous row for the same crop and market, or null.
+     * @returns {{chatId: string, rule: Object, text: string}[]} One alert per triggered rule.
+     */
+    function findAlerts(offer, previousOffer) {
+        const price = getPrice(offer);
+        if (price === null) {
+            return [];
+        }
+        const previousPrice = previousOffer ? getPrice(previousOffer) : null;
+        const alerts = [];
+
+        for (const rule of rules) {
+            if (rule.standardizedName !== offer.standardizedName) continue;
+            if (rule.market && rule.market !== (offer.market || '').toUpperCase()) continue;
+
+            let triggered = false;
+            switch (rule.type) {
+                case 'change':
+                    triggered = previousPrice !== null && Math.abs(price - previousPrice) >= rule.value;
+                    break;
+                case 'percent':
+                    triggered = previousPrice !== null && previousPrice > 0 && Math.abs(price - previousPrice) / previousPrice * 100 >= rule.value;
+                    break;
+                case 'above':
+                    // Only when the price crosses the threshold, not on every offer while it stays above
+                    triggered = price > rule.value && (previousPrice === null || previousPrice <= rule.value);
+                    break;
+                case 'below':
+                    triggered = price < rule.value && (previousPrice === null || previousPrice >= rule.value);
+                    break;
+            }
+            if (!triggered) {
+                continue;
+            }
+
+            const change = previousPrice !== null ? price - previousPrice : null;
+            const lines = [
+                `🔔 *Price alert*: ${describeRule(rule)}`,
+                `${offer.standardizedName}${offer.market ? ` (${offer.market})` : ''}: ₹${price}`
+                    + (change !== null ? ` (${change >= 0 ? '+' : ''}${change} from ₹${previousPrice})` : ''),
+                offer.translations && offer.translations.en ? `\n${offer.translations.en}` : null
+            ];
+            alerts.push({ chatId: rule.chatId, rule, text: lines.filter(Boolean).join('\n') });
+        }
+        return alerts;
+    }
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    load();
+
+    return {
+        addRule,
+        removeRule,
+        listRules,
+        renameCrop,
+        findAlerts,
+        describeRule
+    };
+}
+
+module.exports = {
+    createWatchlist
+};